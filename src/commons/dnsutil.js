@@ -17,6 +17,43 @@ export const dnsHeaderSize = 2;
 export const dnsPacketHeaderSize = 12;
 export const minDNSPacketSize = dnsPacketHeaderSize + 5;
 export const maxDNSPacketSize = 4096;
+// max size of answers over udp to clients that do not do edns
+// datatracker.ietf.org/doc/html/rfc1035#section-4.2.1
+export const minUdpPayloadSize = 512;
+// truncation (tc) bit in header flags
+const flagTC = 1 << 9;
+
+// edns option code for extended dns errors
+// datatracker.ietf.org/doc/html/rfc8914#section-5.1
+const edeOptionCode = 15;
+// info-codes of extended dns errors
+// datatracker.ietf.org/doc/html/rfc8914#section-4
+export const ede = {
+  other: 0,
+  staleAnswer: 3,
+  blocked: 15,
+  filtered: 17,
+  prohibited: 18,
+  staleNxdomainAnswer: 19,
+  noReachableAuthority: 22,
+  networkError: 23,
+};
+
+// ways to answer blocked queries with, ref: IOState.assignBlockResponse
+export const blockModes = new Set([
+  "nullip", // 0.0.0.0 / ::
+  "sinkhole", // custom ip4 / ip6
+  "nxdomain",
+  "nodata",
+  "refused",
+]);
+
+// ways to guard against dns rebinding with, ref: RebindGuard
+export const rebindModes = new Set([
+  "off",
+  "strip", // private ips from answers
+  "block", // answers with private ips
+]);
 
 const _dnsCacheSize = 30000;
 
@@ -83,6 +120,44 @@ export function truncated(ans) {
   return tc === 1;
 }
 
+/**
+ * @param {any} packet - dns query
+ * @returns {int} max size of answers the client takes over udp
+ */
+export function udpPayloadSize(packet) {
+  const opt = hasEdns(packet) ? packet.additionals.find(optAnswer) : null;
+  const sz = opt ? opt.udpPayloadSize || 0 : 0;
+  // sizes under 512 are treated as 512: rfc6891 sec 6.2.5
+  return Math.min(Math.max(sz, minUdpPayloadSize), maxDNSPacketSize);
+}
+
+/**
+ * Truncates ans if it does not fit in sz bytes, so that udp clients retry
+ * over tcp: datatracker.ietf.org/doc/html/rfc7766#section-5
+ * @param {ArrayBuffer|Uint8Array} ans - dns answer
+ * @param {int} sz - max size of ans
+ * @returns {ArrayBuffer|Uint8Array} ans if it fits; or, ans with the tc
+ * flag set, sans all records but its opt
+ */
+export function truncate(ans, sz) {
+  if (bufutil.len(ans) <= sz) return ans;
+
+  // ans may be larger than maxDNSPacketSize, and so, not via decode()
+  const p = dnslib.decode(bufutil.bufferOf(ans));
+  const tc = {
+    id: p.id,
+    type: "response",
+    flags: p.flags | flagTC,
+    questions: p.questions,
+    additionals: (p.additionals || []).filter(optAnswer),
+  };
+  const b = encode(tc);
+  if (b.byteLength <= sz) return b;
+  // opt did not fit either
+  tc.additionals = [];
+  return encode(tc);
+}
+
 export function validResponseSize(r) {
   return r && validateSize(r.byteLength);
 }
@@ -109,6 +184,32 @@ export function rcodeNoError(packet) {
   return packet.rcode === "NOERROR";
 }
 
+/**
+ * @param {any} packet
+ * @returns {boolean} true if packet is a nxdomain or a nodata answer
+ */
+export function isNegativeAnswer(packet) {
+  if (!isAnswer(packet)) return false;
+  // datatracker.ietf.org/doc/html/rfc2308#section-2
+  if (packet.rcode === "NXDOMAIN") return true;
+  return rcodeNoError(packet) && !hasAnswers(packet);
+}
+
+/**
+ * @param {ArrayBuffer|Buffer} ab - a dns answer
+ * @returns {string?} "SERVFAIL" or "REFUSED", if ab is either; else null
+ */
+export function failedRcode(ab) {
+  if (bufutil.emptyBuf(ab)) return null;
+  if (ab.byteLength < dnsPacketHeaderSize) return null;
+  // lower 4 bits of the 2nd octet of flags, which is the 4th octet
+  // github.com/mafintosh/dns-packet/blob/8e6d91c07/rcodes.js
+  const rcode = new Uint8Array(ab)[3] & 0xf;
+  if (rcode === 2) return "SERVFAIL";
+  if (rcode === 5) return "REFUSED";
+  return null;
+}
+
 export function hasDnssecOk(packet) {
   if (util.emptyObj(packet)) return false;
   if (util.emptyArray(packet.additionals)) return false;
@@ -213,6 +314,53 @@ export function dropECS(packet) {
   return [packet, rmv];
 }
 
+/**
+ * Adds an extended dns error to packet's OPT record (which is created, if
+ * missing). github.com/mafintosh/dns-packet/blob/8e6d91c07/index.js#L719
+ * @param {any} packet - dns answer
+ * @param {int} code - info-code, see: ede
+ * @param {string} text - extra-text, if any
+ * @returns {any} packet
+ */
+export function addEde(packet, code, text = "") {
+  if (util.emptyObj(packet)) return packet;
+
+  // datatracker.ietf.org/doc/html/rfc8914#section-2
+  const txt = bufutil.fromStr(text);
+  const data = bufutil.createBuffer(2 + txt.byteLength);
+  data.writeUInt16BE(code, 0);
+  data.set(txt, 2);
+
+  if (util.emptyArray(packet.additionals)) packet.additionals = [];
+  let opt = packet.additionals.find(optAnswer);
+  if (opt == null) {
+    opt = {
+      name: ".",
+      type: "OPT",
+      udpPayloadSize: 1232, // dnsflagday.net/2020
+      extendedRcode: 0,
+      ednsVersion: 0,
+      flags: 0,
+      options: [],
+    };
+    packet.additionals.push(opt);
+  }
+  if (util.emptyArray(opt.options)) opt.options = [];
+  opt.options.push({ code: edeOptionCode, data: data });
+
+  return packet;
+}
+
+/**
+ * @param {any} packet
+ * @returns {boolean} true if packet has an OPT record
+ */
+export function hasEdns(packet) {
+  if (util.emptyObj(packet)) return false;
+  if (util.emptyArray(packet.additionals)) return false;
+  return packet.additionals.some(optAnswer);
+}
+
 // dup: isAnswerOPT
 export function optAnswer(a) {
   if (util.emptyObj(a) || util.emptyString(a.type)) return false;
@@ -424,6 +572,29 @@ export function extractDomains(dnsPacket) {
   return [...names];
 }
 
+/**
+ * @param {any} dnsPacket
+ * @returns {string[]} ips in A / AAAA answers, and in HTTPS / SVCB ip hints
+ */
+export function extractIps(dnsPacket) {
+  if (!hasAnswers(dnsPacket)) return [];
+
+  const ips = new Set();
+  for (const a of dnsPacket.answers) {
+    if (isAnswerA(a) || isAnswerAAAA(a)) {
+      if (!util.emptyString(a.data)) ips.add(a.data);
+    } else if (isAnswerHttps(a) && a.data && a.data.svcParams) {
+      const kv = a.data.svcParams;
+      const hints = [...(kv.ipv4hint || []), ...(kv.ipv6hint || [])];
+      for (const ip of hints) {
+        if (!util.emptyString(ip)) ips.add(ip);
+      }
+    }
+  }
+
+  return [...ips];
+}
+
 export function getInterestingAnswerData(packet, maxlen = 80, delim = "|") {
   if (!hasAnswers(packet)) {
     return !util.emptyObj(packet) ? packet.rcode || "WTF1" : "WTF2";
@@ -118,6 +118,11 @@ export function blocklistUrl() {
   return envManager.get("CF_BLOCKLIST_URL");
 }
 
+export function ipBlocklistUrl() {
+  if (!envManager) return "";
+  return envManager.get("IP_BLOCKLIST_URL") || "";
+}
+
 export function primaryDohResolver() {
   if (!envManager) return null;
 
@@ -159,6 +164,114 @@ export function dohResolvers() {
   return [primaryDohResolver()];
 }
 
+// returns a set of forwarding rules; see: Forwarders
+export function forwardRules() {
+  if (!envManager) return null;
+
+  return envManager.get("FORWARD_RULES") || null;
+}
+
+export function forwardRulesPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("FORWARD_RULES_PATH") || "";
+}
+
+// see: LocalRecords
+export function localRecords() {
+  if (!envManager) return "";
+
+  return envManager.get("LOCAL_RECORDS") || "";
+}
+
+export function localRecordsPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("LOCAL_RECORDS_PATH") || "";
+}
+
+// see: UserStore
+export function userRules() {
+  if (!envManager) return "";
+
+  return envManager.get("USER_RULES") || "";
+}
+
+export function userRulesPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("USER_RULES_PATH") || "";
+}
+
+// returns a set of cidrs of clients to serve, ref: Acl
+export function aclAllow() {
+  if (!envManager) return new Set();
+
+  return envManager.get("ACL_ALLOW") || new Set();
+}
+
+// returns a set of cidrs of clients to not serve, ref: Acl
+export function aclDeny() {
+  if (!envManager) return new Set();
+
+  return envManager.get("ACL_DENY") || new Set();
+}
+
+export function aclPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("ACL_PATH") || "";
+}
+
+// see: RateLimiter
+export function rateLimits() {
+  if (!envManager) return "";
+
+  return envManager.get("RATE_LIMITS") || "";
+}
+
+// see: UserStore
+export function profilesPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("PROFILES_PATH") || "";
+}
+
+export function profilesKv() {
+  if (!envManager) return null;
+
+  // match the binding name as in wrangler.toml
+  if (onCloudflare()) return envManager.get("PROFILES") || null;
+
+  return null;
+}
+
+// see: UpstreamHealth.rank
+export function upstreamFanout() {
+  if (!envManager) return 1;
+
+  return envManager.get("UPSTREAM_FANOUT") || 1;
+}
+
+// see: HedgedFetch
+export function upstreamHedge() {
+  if (!envManager) return false;
+
+  return envManager.get("UPSTREAM_HEDGE") || false;
+}
+
+// 0 means hedge delay is determined by primary upstream's p90 latency
+export function upstreamHedgeDelayMs() {
+  if (!envManager) return 0;
+
+  return envManager.get("UPSTREAM_HEDGE_DELAY_MS") || 0;
+}
+
 export function geoipUrl() {
   if (!envManager) return null;
   return envManager.get("GEOIP_URL");
@@ -189,12 +302,66 @@ export function cacheTtl() {
   return envManager.get("CACHE_TTL");
 }
 
+export function dnsCacheSnapshotPath() {
+  if (!envManager) return "";
+  if (!hasDisk()) return "";
+
+  return envManager.get("DNS_CACHE_SNAPSHOT_PATH") || "";
+}
+
+export function dnsCacheSnapshotMax() {
+  if (!envManager) return 0;
+  return envManager.get("DNS_CACHE_SNAPSHOT_MAX") || 0;
+}
+
+export function dnsCacheSnapshotIntervalSec() {
+  if (!envManager) return 0;
+  return envManager.get("DNS_CACHE_SNAPSHOT_INTERVAL_SEC") || 0;
+}
+
+export function negativeCacheMinTtl() {
+  if (!envManager) return 0;
+  return envManager.get("NEGATIVE_CACHE_MIN_TTL") || 0;
+}
+
+export function negativeCacheMaxTtl() {
+  if (!envManager) return 0;
+  return envManager.get("NEGATIVE_CACHE_MAX_TTL") || 0;
+}
+
+export function serveStaleSecs() {
+  if (!envManager) return 0;
+  return envManager.get("SERVE_STALE_SECS") || 0;
+}
+
+export function serveStaleAfterMs() {
+  if (!envManager) return 0;
+  return envManager.get("SERVE_STALE_AFTER_MS") || 0;
+}
+
+export function prefetchPercent() {
+  if (!envManager) return 0;
+  return envManager.get("PREFETCH_PERCENT") || 0;
+}
+
+export function prefetchMinHits() {
+  if (!envManager) return 1;
+  return envManager.get("PREFETCH_MIN_HITS") || 1;
+}
+
 export function isDotOverProxyProto() {
   if (!envManager) return false;
 
   return envManager.get("DOT_HAS_PROXY_PROTO") || false;
 }
 
+// returns a set of cidrs of proxies trusted to send PROXY headers
+export function proxyProtoTrusted() {
+  if (!envManager) return new Set();
+
+  return envManager.get("PROXY_PROTO_TRUSTED") || new Set();
+}
+
 export function isCleartext() {
   if (!envManager) return false;
 
@@ -281,6 +448,13 @@ export function dotCleartextBackendPort() {
   return isCleartext() ? 10555 : /* random*/ 0;
 }
 
+// plain old dns (udp and tcp); not served when 0
+export function do53BackendPort() {
+  if (!envManager) return 0;
+
+  return envManager.get("DO53_PORT") || 0;
+}
+
 export function httpCheckPort() {
   return 8888;
 }
@@ -320,6 +494,33 @@ export function forceDoh() {
   return envManager.get("NODE_DOH_ONLY") || false;
 }
 
+// dns-over-tls upstream, valid only on nodejs
+export function dotUpstream() {
+  if (!envManager) return "";
+  if (!isNode()) return "";
+
+  return envManager.get("NODE_DOT_UPSTREAM") || "";
+}
+
+export function dotUpstreamPort() {
+  if (!envManager) return 853;
+
+  return envManager.get("NODE_DOT_UPSTREAM_PORT") || 853;
+}
+
+export function dotUpstreamSni() {
+  if (!envManager) return "";
+
+  return envManager.get("NODE_DOT_UPSTREAM_SNI") || "";
+}
+
+// returns a set of base64 sha256 public-key pins, may be empty
+export function dotUpstreamPins() {
+  if (!envManager) return new Set();
+
+  return envManager.get("NODE_DOT_UPSTREAM_PINS") || new Set();
+}
+
 export function disableDnsCache() {
   // disable when profiling dns resolutions
   return profileDnsResolves();
@@ -340,6 +541,28 @@ export function blockSubdomains() {
   return envManager.get("BLOCK_SUBDOMAINS") || true;
 }
 
+export function blockMode() {
+  if (!envManager) return "nullip";
+
+  return envManager.get("BLOCK_MODE") || "nullip";
+}
+
+export function rebindProtection() {
+  if (!envManager) return "off";
+
+  return envManager.get("REBIND_PROTECTION") || "off";
+}
+
+export function blockSinkholeIp4() {
+  if (!envManager) return "";
+  return envManager.get("BLOCK_SINKHOLE_IP4") || "";
+}
+
+export function blockSinkholeIp6() {
+  if (!envManager) return "";
+  return envManager.get("BLOCK_SINKHOLE_IP6") || "";
+}
+
 // recurisve resolver on Fly
 // see: node/config.js#prep
 export function recursive() {
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as util from "./util.js";
+
+/**
+ * @param {string} ip - dotted-quad, ex: 10.1.2.3
+ * @returns {Uint8Array?} 4 bytes, or null if ip is not a valid ipv4
+ */
+export function ip4ToBytes(ip) {
+  if (util.emptyString(ip)) return null;
+
+  const parts = ip.split(".");
+  if (parts.length !== 4) return null;
+
+  const b = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) {
+    const p = parts[i];
+    if (!/^\d{1,3}$/.test(p)) return null;
+    const n = parseInt(p, 10);
+    if (n > 255) return null;
+    b[i] = n;
+  }
+  return b;
+}
+
+/**
+ * @param {string} ip - ex: fd00::1, ::ffff:10.1.2.3, 2001:db8:0:0:0:0:0:1
+ * @returns {Uint8Array?} 16 bytes, or null if ip is not a valid ipv6
+ */
+export function ip6ToBytes(ip) {
+  if (util.emptyString(ip) || ip.indexOf(":") < 0) return null;
+
+  // drop zone, if any; ex: fe80::1%eth0
+  const z = ip.indexOf("%");
+  if (z >= 0) ip = ip.slice(0, z);
+
+  const b = new Uint8Array(16);
+  // ipv4 suffix, if any, makes up the last 4 bytes; ex: ::ffff:1.2.3.4
+  let max = 8;
+  const last = ip.lastIndexOf(":");
+  if (ip.indexOf(".", last) > 0) {
+    const b4 = ip4ToBytes(ip.slice(last + 1));
+    if (b4 == null) return null;
+    b.set(b4, 12);
+    max = 6;
+    // keep the trailing colon if ip ends in "::", as in ::1.2.3.4
+    ip = ip.slice(0, ip[last - 1] === ":" ? last + 1 : last);
+  }
+
+  const halves = ip.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const gap = max - head.length - tail.length;
+  if (halves.length === 1 && gap !== 0) return null;
+  if (halves.length === 2 && gap < 1) return null;
+
+  const groups = [...head, ...new Array(gap).fill("0"), ...tail];
+  for (let i = 0; i < max; i++) {
+    const g = groups[i];
+    if (!/^[0-9a-fA-F]{1,4}$/.test(g)) return null;
+    const n = parseInt(g, 16);
+    b[i * 2] = n >> 8;
+    b[i * 2 + 1] = n & 0xff;
+  }
+  return b;
+}
+
+/**
+ * @param {string} ip
+ * @returns {Uint8Array?} 4 bytes for ipv4, 16 for ipv6, null if not an ip
+ */
+export function ipToBytes(ip) {
+  return ip4ToBytes(ip) || ip6ToBytes(ip);
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function isIp(ip) {
+  return ipToBytes(ip) != null;
+}
+
+/**
+ * @param {string} ip
+ * @returns {string?} reverse-lookup name of ip, ex: 3.2.1.10.in-addr.arpa
+ */
+export function ptrName(ip) {
+  const b = ipToBytes(ip);
+  if (b == null) return null;
+
+  if (b.length === 4) return [...b].reverse().join(".") + ".in-addr.arpa";
+
+  // datatracker.ietf.org/doc/html/rfc3596#section-2.5
+  const nibbles = [];
+  for (let i = b.length - 1; i >= 0; i--) {
+    nibbles.push((b[i] & 0xf).toString(16), (b[i] >> 4).toString(16));
+  }
+  return nibbles.join(".") + ".ip6.arpa";
+}
+
+// ipv4-mapped ipv6 addresses: datatracker.ietf.org/doc/html/rfc4291#section-2.5.5.2
+const mapped4 = ip6ToBytes("::ffff:0.0.0.0");
+
+/**
+ * @param {string} cidr - ex: 10.1.0.0/16, fd00::/8; a bare ip is a /32
+ * (or a /128)
+ * @returns {[Uint8Array, int]?} prefix and its length in bits, or null if
+ * cidr is not valid
+ */
+export function parseCidr(cidr) {
+  if (util.emptyString(cidr)) return null;
+
+  const [ip, bits] = cidr.trim().split("/");
+  const b = ipToBytes(ip);
+  if (b == null) return null;
+
+  const max = b.length * 8;
+  if (bits == null) return [b, max];
+  if (!/^\d{1,3}$/.test(bits)) return null;
+  const len = parseInt(bits, 10);
+  if (len > max) return null;
+  return [b, len];
+}
+
+/**
+ * @param {string} ip - ipv4-mapped ipv6 addresses match ipv4 cidrs
+ * @param {Array<[Uint8Array, int]>} cidrs - ref: parseCidr
+ * @returns {boolean} true if ip is in any of cidrs
+ */
+export function inCidrs(ip, cidrs) {
+  let b = ipToBytes(ip);
+  if (b == null || util.emptyArray(cidrs)) return false;
+
+  if (b.length === 16 && hasPrefix(b, mapped4, 96)) b = b.subarray(12);
+
+  for (const [p, len] of cidrs) {
+    if (p.length === b.length && hasPrefix(b, p, len)) return true;
+  }
+  return false;
+}
+
+// addresses not reachable over the internet, that a public name must not
+// resolve to: rfc1918, rfc6598 (cgnat), rfc3927 / rfc4291 (link-local),
+// rfc1122 / rfc4291 (loopback), and rfc4193 (ula). Excludes 0.0.0.0 / ::,
+// since those are what blocked answers resolve to.
+const privateCidrs = [
+  ["10.0.0.0", 8],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["100.64.0.0", 10],
+  ["169.254.0.0", 16],
+  ["127.0.0.0", 8],
+  ["fe80::", 10],
+  ["::1", 128],
+  ["fc00::", 7],
+].map(([ip, len]) => [ipToBytes(ip), len]);
+
+/**
+ * @param {string} ip
+ * @returns {boolean} true if ip is a private, loopback, or link-local address
+ */
+export function isPrivate(ip) {
+  return inCidrs(ip, privateCidrs);
+}
+
+/**
+ * @param {Uint8Array} b - address
+ * @param {Uint8Array} p - prefix, of the same length as b
+ * @param {int} len - prefix length in bits
+ * @returns {boolean}
+ */
+function hasPrefix(b, p, len) {
+  const whole = len >> 3;
+  for (let i = 0; i < whole; i++) {
+    if (b[i] !== p[i]) return false;
+  }
+  const rem = len & 7;
+  if (rem === 0) return true;
+  const mask = (0xff << (8 - rem)) & 0xff;
+  return (b[whole] & mask) === (p[whole] & mask);
+}
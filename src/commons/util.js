@@ -73,6 +73,15 @@ export function rxidHeader(id) {
   return { "x-rethinkdns-rxid": id };
 }
 
+/**
+ * @param {string} ip - of the client, as seen by the server
+ * @returns {Object?} header only servers set, ref: LogPusher.getip
+ */
+export function clientIpHeader(ip) {
+  if (emptyString(ip)) return null;
+  return { "x-nile-client-ip": ip };
+}
+
 export function rxidFromHeader(h) {
   if (!h || !h.get) return null;
   return h.get("x-rethinkdns-rxid");
@@ -231,6 +240,16 @@ export function rolldice(sides = 6) {
   return rand(1, sides + 1);
 }
 
+/**
+ * @param {number[]} sorted - in ascending order
+ * @param {number} p - percentile, between 0 and 1
+ * @returns {number} nearest-rank p-th percentile in sorted, or 0 if empty
+ */
+export function percentile(sorted, p) {
+  if (emptyArray(sorted)) return 0;
+  return sorted[Math.floor((sorted.length - 1) * p)];
+}
+
 // stackoverflow.com/a/8084248
 export function uid(prefix = "") {
   // ex: ".ww8ja208it"
@@ -378,6 +397,22 @@ export function respond401() {
   });
 }
 
+export function respond403() {
+  return new Response(null, {
+    status: 403,
+    statusText: "Forbidden",
+    headers: dohHeaders(),
+  });
+}
+
+export function respond404() {
+  return new Response(null, {
+    status: 404,
+    statusText: "Not Found",
+    headers: dohHeaders(),
+  });
+}
+
 export function respond405() {
   return new Response(null, {
     status: 405,
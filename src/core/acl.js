@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as envutil from "../commons/envutil.js";
+import * as iputil from "../commons/iputil.js";
+import * as util from "../commons/util.js";
+
+// loopback clients are always admitted; they are either local, or conns
+// relayed by the server itself, ref: server-node.js:serveProxyProto
+const loopbackCidrs = ["127.0.0.0/8", "::1"].map(iputil.parseCidr);
+
+// Acl admits clients of servers with a disk (Node, Deno) by their ips:
+// clients in the deny list are turned away, and so are clients not in the
+// allow list, unless it is empty. Lists are cidrs in env ACL_ALLOW and
+// ACL_DENY; and in a file at ACL_PATH, with lines of the form "allow <cidr>"
+// or "deny <cidr>" ("#" begins a comment), which is re-read on SIGHUP
+// (ref: core/node/acl.js). Servers check clients as they connect over
+// tcp (after PROXY headers, if any), and per query (udp) or request (DoH).
+export class Acl {
+  constructor() {
+    /** @type {Array<[Uint8Array, int]>} */
+    this.allows = [];
+    /** @type {Array<[Uint8Array, int]>} */
+    this.denies = [];
+    this.log = log.withTags("Acl");
+
+    this.load("");
+  }
+
+  /**
+   * Replaces the lists with cidrs in env, and those in txt.
+   * @param {string} txt - contents of the acl file, if any
+   * @returns {int} number of cidrs loaded
+   */
+  load(txt) {
+    const allows = [];
+    const denies = [];
+    const add = (verdict, cidr) => {
+      const c = iputil.parseCidr(cidr);
+      if (c == null) this.log.w("skip invalid cidr", verdict, cidr);
+      else if (verdict === "allow") allows.push(c);
+      else if (verdict === "deny") denies.push(c);
+      else this.log.w("skip unknown verdict", verdict, cidr);
+    };
+
+    for (const c of envutil.aclAllow()) add("allow", c);
+    for (const c of envutil.aclDeny()) add("deny", c);
+    for (let line of (txt || "").split("\n")) {
+      const i = line.indexOf("#");
+      line = (i >= 0 ? line.slice(0, i) : line).trim();
+      if (util.emptyString(line)) continue;
+
+      const [verdict, cidr] = line.split(/\s+/);
+      add(verdict.toLowerCase(), cidr);
+    }
+
+    this.allows = allows;
+    this.denies = denies;
+    const n = allows.length + denies.length;
+    if (n > 0) this.log.i("allow", allows.length, "deny", denies.length);
+    return n;
+  }
+
+  empty() {
+    return this.allows.length + this.denies.length <= 0;
+  }
+
+  /**
+   * @param {string} ip - of the client
+   * @returns {boolean} true if the client is to be served
+   */
+  admit(ip) {
+    if (this.empty()) return true;
+    // clients that aren't known aren't served, ex: relayed conns whose
+    // relays are yet to say who the client is, ref: server-node.js:clientAddr
+    if (!iputil.isIp(ip)) return false;
+    if (iputil.inCidrs(ip, loopbackCidrs)) return true;
+    if (iputil.inCidrs(ip, this.denies)) return false;
+
+    return util.emptyArray(this.allows) || iputil.inCidrs(ip, this.allows);
+  }
+}
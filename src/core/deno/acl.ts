@@ -0,0 +1,31 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+import { Acl } from "../acl.js";
+
+// see: core/node/acl.js
+export function setup(acl: Acl) {
+  const fp: string = envutil.aclPath();
+  if (!acl || util.emptyString(fp)) return false;
+
+  reload(acl, fp);
+  // docs.deno.com/runtime/tutorials/os_signals
+  Deno.addSignalListener("SIGHUP", () => reload(acl, fp));
+  return true;
+}
+
+function reload(acl: Acl, fp: string) {
+  try {
+    const n = acl.load(Deno.readTextFileSync(fp));
+    console.info("acl: loaded", n, "cidrs from", fp);
+  } catch (ex) {
+    console.error("acl: unreadable", fp, ex);
+  }
+}
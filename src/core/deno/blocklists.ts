@@ -28,6 +28,8 @@ export async function setup(bw: any) {
   const ok = setupLocally(bw, timestamp, codec);
   if (ok) {
     console.info("bl setup locally tstamp/nc", timestamp, nodecount);
+    // ip-blocklists are not saved to disk, and so, always downloaded
+    await bw.initIpBlocklists(/* rxid*/ "bl-local");
     return true;
   }
 
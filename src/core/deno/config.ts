@@ -1,10 +1,14 @@
 // deno-lint-ignore-file no-var
 import * as system from "../../system.js";
+import * as acl from "./acl.ts";
 import * as blocklists from "./blocklists.ts";
 import * as dbip from "./dbip.ts";
+import * as dnscache from "./dnscache.ts";
+import * as profiles from "./profiles.ts";
 import { services, stopAfter } from "../svc.js";
 import Log, { LogLevels } from "../log.js";
 import EnvManager from "../env.js";
+import * as envutil from "../../commons/envutil.js";
 
 // In global scope.
 declare global {
@@ -64,6 +68,46 @@ async function up() {
     console.warn("Config", "logpusher unavailable");
   }
 
+  // restore the dns cache before the first query is served
+  dnscache.setup(services.dnsCache);
+
+  const lr = services.localRecords;
+  const lrPath = envutil.localRecordsPath();
+  if (lr != null && lrPath) {
+    try {
+      lr.load(await Deno.readTextFile(lrPath));
+    } catch (ex) {
+      console.error("Config", "local records unreadable", lrPath, ex);
+    }
+  }
+
+  // acl lists are also read from disk, if a path for them is set
+  acl.setup(services.acl);
+
+  // profiles are kept on disk, if a path for them is set
+  profiles.setup(services.userStore);
+
+  const us = services.userStore;
+  const usPath = envutil.userRulesPath();
+  if (us != null && usPath) {
+    try {
+      us.load(await Deno.readTextFile(usPath));
+    } catch (ex) {
+      console.error("Config", "user rules unreadable", usPath, ex);
+    }
+  }
+
+  const fwd = services.forwarders;
+  const rulesPath = envutil.forwardRulesPath();
+  if (fwd != null && rulesPath) {
+    try {
+      // do53 forwarders are unsupported on deno
+      fwd.load(await Deno.readTextFile(rulesPath));
+    } catch (ex) {
+      console.error("Config", "forwarding rules unreadable", rulesPath, ex);
+    }
+  }
+
   // docs.deno.com/runtime/tutorials/os_signals
   Deno.addSignalListener("SIGINT", () => {
     stopAfter();
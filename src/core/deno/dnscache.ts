@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+import * as system from "../../system.js";
+import { DnsCache } from "../../plugins/dns-op/cache.js";
+
+// see: core/node/dnscache.js
+export function setup(cache: DnsCache) {
+  const fp: string = envutil.dnsCacheSnapshotPath();
+  if (!cache || util.emptyString(fp)) return false;
+
+  restore(cache, fp);
+
+  const secs: number = envutil.dnsCacheSnapshotIntervalSec();
+  const timer = secs > 0 ? setInterval(() => save(cache, fp), secs * 1000) : 0;
+  if (timer) Deno.unrefTimer(timer);
+
+  system.when("stop").then(() => {
+    if (timer) clearInterval(timer);
+    save(cache, fp);
+  });
+  return true;
+}
+
+function restore(cache: DnsCache, fp: string) {
+  try {
+    const snap = JSON.parse(Deno.readTextFileSync(fp));
+    return cache.restore(snap, envutil.dnsCacheSnapshotMax());
+  } catch (ex) {
+    if (ex instanceof Deno.errors.NotFound) {
+      console.info("dnscache: no snapshot at", fp);
+    } else {
+      console.warn("dnscache: unreadable snapshot", fp, ex);
+    }
+    return 0;
+  }
+}
+
+function save(cache: DnsCache, fp: string) {
+  try {
+    const snap = cache.snapshot(envutil.dnsCacheSnapshotMax());
+    // a crash mid-write must not corrupt the previous snapshot
+    const tmp = fp + ".tmp";
+    Deno.writeTextFileSync(tmp, JSON.stringify(snap));
+    Deno.renameSync(tmp, fp);
+    console.info("dnscache: snapshot", snap.entries.length, "to", fp);
+    return true;
+  } catch (ex) {
+    console.error("dnscache: snapshot failed", fp, ex);
+    return false;
+  }
+}
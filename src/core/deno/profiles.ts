@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+import { MemProfiles, UserStore } from "../../plugins/users/user-store.js";
+
+// see: core/node/profiles.js
+export function setup(store: UserStore) {
+  const fp: string = envutil.profilesPath();
+  if (!store || util.emptyString(fp)) return false;
+
+  store.setProfiles(new FileProfiles(fp));
+  return true;
+}
+
+class FileProfiles extends MemProfiles {
+  fp: string;
+
+  constructor(fp: string) {
+    super();
+    this.fp = fp;
+    this.restore();
+  }
+
+  async put(id: string, p: any) {
+    await super.put(id, p);
+    this.save();
+  }
+
+  async delete(id: string) {
+    const ok = await super.delete(id);
+    if (ok) this.save();
+    return ok;
+  }
+
+  restore() {
+    try {
+      const all = JSON.parse(Deno.readTextFileSync(this.fp));
+      for (const [id, p] of Object.entries(all)) this.m.set(id, p);
+      console.info("profiles: restored", this.m.size, "from", this.fp);
+    } catch (ex) {
+      if (ex instanceof Deno.errors.NotFound) {
+        console.info("profiles: none at", this.fp);
+      } else {
+        console.warn("profiles: unreadable", this.fp, ex);
+      }
+    }
+  }
+
+  save() {
+    try {
+      // a crash mid-write must not corrupt the previous file
+      const tmp = this.fp + ".tmp";
+      Deno.writeTextFileSync(tmp, JSON.stringify(Object.fromEntries(this.m)));
+      Deno.renameSync(tmp, this.fp);
+    } catch (ex) {
+      console.error("profiles: save failed", this.fp, ex);
+    }
+  }
+}
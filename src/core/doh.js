@@ -47,7 +47,7 @@ async function proxyRequest(event) {
     await util.timedSafeAsyncOp(
       /* op*/ async () => plugin.execute(),
       /* waitMs*/ dnsutil.requestTimeout(),
-      /* onTimeout*/ async () => errorResponse(io)
+      /* onTimeout*/ async () => errorResponse(io, null, "doh.js:timeout")
     );
   } catch (err) {
     log.e("doh", "proxy-request error", err.stack);
@@ -64,9 +64,10 @@ function optionsRequest(request) {
 /**
  * @param {IOState} io
  * @param {Error} err
+ * @param {string} from
  */
-function errorResponse(io, err = null) {
-  const eres = pres.errResponse("doh.js", err);
+function errorResponse(io, err = null, from = "doh.js") {
+  const eres = pres.errResponse(from, err);
   io.dnsExceptionResponse(eres);
 }
 
@@ -113,6 +113,12 @@ const defaults = new Map(
       type: "string",
       default: "https://cfstore.rethinkdns.com/blocklists/",
     },
+    // cidrs to block answers of, one per line, as "cidr list-id[,list-id]"
+    // where list-ids are the same as that of the blocklists above
+    IP_BLOCKLIST_URL: {
+      type: "string",
+      default: "",
+    },
     // primary doh upstream
     CF_DNS_RESOLVER_URL: {
       type: "string",
@@ -123,12 +129,98 @@ const defaults = new Map(
       type: "string",
       default: "https://dns.google/dns-query",
     },
+    // max doh upstreams (healthiest first) a query is sent to at once
+    UPSTREAM_FANOUT: {
+      type: "number",
+      default: "1",
+    },
+    // send a query to the (healthiest) primary doh upstream first, and to
+    // the next one only if the primary hasn't answered within a hedge delay;
+    // no-op for queries sent over dns53 / dot (as on Node, sans NODE_DOH_ONLY)
+    UPSTREAM_HEDGE: {
+      type: "boolean",
+      default: false,
+    },
+    // hedge delay; 0 uses the primary's observed p90 latency, instead
+    UPSTREAM_HEDGE_DELAY_MS: {
+      type: "number",
+      default: "0",
+    },
     // upstream recursive rethinkdns resolver running on Fly.io
     MAX_DNS_RESOLVER_URL: {
       type: "string",
       // must always end with a trailing slash
       default: "https://max.rethinkdns.com/",
     },
+    // conditional forwarding rules, as suffix=target, where target is
+    // either a doh url or a do53 host:port (do53 only on nodejs); suffixes
+    // match the domain and all its subdomains; *.suffix only subdomains
+    // ex: corp.example=https://10.1.1.1/dns-query,*.internal.example=10.2.2.2:53
+    FORWARD_RULES: {
+      type: "csv",
+      default: "",
+    },
+    // path to a file with forwarding rules, one "suffix target" per line;
+    // read on runtimes with a disk (nodejs, deno), in addition to env rules
+    FORWARD_RULES_PATH: {
+      type: "string",
+      default: "",
+    },
+    // records answered locally, one per line, in hosts (ip name aliases..)
+    // or zone-like (name [ttl] [IN] type data) format; types: A, AAAA,
+    // CNAME, TXT, PTR; ex: "10.0.0.2 nas nas.lan\nwiki.lan CNAME nas.lan"
+    LOCAL_RECORDS: {
+      type: "string",
+      default: "",
+    },
+    // path to a file with local records; read on runtimes with a disk
+    // (nodejs, deno), in addition to records in env LOCAL_RECORDS
+    LOCAL_RECORDS_PATH: {
+      type: "string",
+      default: "",
+    },
+    // per-user allow and deny rules over blocklists, as json, keyed by
+    // access key; ex: {"<msg-key>": {"allow": ["a.co"], "deny": ["*.b.co"]}}
+    USER_RULES: {
+      type: "string",
+      default: "",
+    },
+    // path to a file with per-user rules (same json as env USER_RULES); read
+    // on runtimes with a disk (nodejs, deno), in addition to env USER_RULES
+    USER_RULES_PATH: {
+      type: "string",
+      default: "",
+    },
+    // path to a json file profiles are kept in, on runtimes with a disk
+    // (nodejs, deno); on Workers, profiles are kept in the kv namespace
+    // bound as PROFILES (see: wrangler.toml); elsewhere, only in memory
+    PROFILES_PATH: {
+      type: "string",
+      default: "",
+    },
+    // cidrs of clients to serve, on nodejs and deno; all, when empty
+    ACL_ALLOW: {
+      type: "csv",
+      default: "",
+    },
+    // cidrs of clients to never serve, on nodejs and deno
+    ACL_DENY: {
+      type: "csv",
+      default: "",
+    },
+    // path to a file with lines of "allow <cidr>" or "deny <cidr>", in
+    // addition to ACL_ALLOW and ACL_DENY; re-read on SIGHUP
+    ACL_PATH: {
+      type: "string",
+      default: "",
+    },
+    // per-client query rate limits, as json, by tier (ip, key, profile);
+    // ex: {"ip": {"rate": 20, "burst": 40}, "key": {"rate": 100}}, where rate
+    // is queries per second, and burst (default: rate) the most at once
+    RATE_LIMITS: {
+      type: "string",
+      default: "",
+    },
     // max doh request processing timeout some requests may have to wait
     // for blocklists to download before being responded to.
     WORKER_TIMEOUT: {
@@ -145,6 +237,55 @@ const defaults = new Map(
       type: "number",
       default: "1800", // 30m
     },
+    // file the dns cache is snapshot to (on stop and periodically), and
+    // restored from (on start); only on runtimes with a disk (nodejs, deno)
+    DNS_CACHE_SNAPSHOT_PATH: {
+      type: "string",
+      default: "",
+    },
+    // max entries (most hit first) in a dns cache snapshot
+    DNS_CACHE_SNAPSHOT_MAX: {
+      type: "number",
+      default: "5000",
+    },
+    // secs between dns cache snapshots; 0 snapshots only on stop
+    DNS_CACHE_SNAPSHOT_INTERVAL_SEC: {
+      type: "number",
+      default: "300", // 5m
+    },
+    // bounds of ttls of negative (nxdomain, nodata) answers, which are
+    // otherwise got from the soa in the answer's authority: rfc2308 sec 5
+    NEGATIVE_CACHE_MIN_TTL: {
+      type: "number",
+      default: "30", // 30s
+    },
+    NEGATIVE_CACHE_MAX_TTL: {
+      type: "number",
+      default: "3600", // 1h
+    },
+    // serve expired answers from the cache for up to these many secs past
+    // their expiry, if upstreams fail or time out; 0 disables: rfc8767
+    SERVE_STALE_SECS: {
+      type: "number",
+      default: "0", // ex: 86400 (1d)
+    },
+    // answer with a stale answer, if any, when upstreams haven't answered
+    // within these many millis; 0 serves stale only when upstreams fail
+    SERVE_STALE_AFTER_MS: {
+      type: "number",
+      default: "0", // ex: 1800 (1.8s)
+    },
+    // refresh cached answers that are hit often (see: PREFETCH_MIN_HITS)
+    // once within these many percent of their ttl; 0 disables prefetches
+    PREFETCH_PERCENT: {
+      type: "number",
+      default: "0", // ex: 10
+    },
+    // min cache hits an answer must see before it is prefetched
+    PREFETCH_MIN_HITS: {
+      type: "number",
+      default: "8",
+    },
     // disable downloading blocklists altogether
     DISABLE_BLOCKLISTS: {
       type: "boolean",
@@ -162,6 +303,28 @@ const defaults = new Map(
       type: "boolean",
       default: true,
     },
+    // answer blocked queries with: "nullip" (0.0.0.0 / ::), "sinkhole"
+    // (BLOCK_SINKHOLE_IP4 / BLOCK_SINKHOLE_IP6), "nxdomain", "nodata", or
+    // "refused"; may be overriden per request, ref: rdnsutil.blockModeFromUrl
+    BLOCK_MODE: {
+      type: "string",
+      default: "nullip",
+    },
+    BLOCK_SINKHOLE_IP4: {
+      type: "string",
+      default: "",
+    },
+    BLOCK_SINKHOLE_IP6: {
+      type: "string",
+      default: "",
+    },
+    // "strip" private ips from, or "block", answers of public names that
+    // have them; or "off"; may be overriden per request, ref:
+    // rdnsutil.rebindModeFromUrl
+    REBIND_PROTECTION: {
+      type: "string",
+      default: "off",
+    },
     // run in profiler mode
     PROFILE_DNS_RESOLVES: {
       type: "boolean",
@@ -186,11 +349,49 @@ const defaults = new Map(
       // default: "localhost|1e84b3c687,rethinkdns.localhost|c9de656fd9",
       default: "", // no auth when empty
     },
+    // port to serve plain old dns (udp and tcp) on, in addition to doh and
+    // dot, on nodejs; ex: 53; not served when 0
+    DO53_PORT: {
+      type: "number",
+      default: "0",
+    },
+    // cidrs of load balancers trusted to send PROXY protocol (v1 or v2)
+    // headers, on nodejs; when set, all listeners accept such headers from
+    // these, and drop conns from others that send them; ex: 10.0.0.0/8
+    PROXY_PROTO_TRUSTED: {
+      type: "csv",
+      default: "",
+    },
     // use only doh upstream on nodejs (udp/tcp is the default on nodejs)
     NODE_DOH_ONLY: {
       type: "boolean",
       default: false,
     },
+    // ip or hostname of a dns-over-tls upstream on nodejs; when set, it
+    // replaces plain old dns (udp/tcp) upstream; ex: 1.1.1.2 or dns.quad9.net
+    NODE_DOT_UPSTREAM: {
+      type: "string",
+      default: "",
+    },
+    // port of the dns-over-tls upstream
+    NODE_DOT_UPSTREAM_PORT: {
+      type: "number",
+      default: "853",
+    },
+    // tls server name (sni) of the dns-over-tls upstream; required if
+    // NODE_DOT_UPSTREAM is an ip; ex: security.cloudflare-dns.com
+    NODE_DOT_UPSTREAM_SNI: {
+      type: "string",
+      default: "",
+    },
+    // base64 sha256 digests of the dns-over-tls upstream's public keys;
+    // upstream's cert chain is verified (but not pinned) when empty
+    // ex: openssl x509 -pubkey -noout | openssl pkey -pubin -outform der |
+    //     openssl dgst -sha256 -binary | base64
+    NODE_DOT_UPSTREAM_PINS: {
+      type: "csv",
+      default: "",
+    },
     LOGPUSH_ENABLED: {
       type: "boolean",
       default: false,
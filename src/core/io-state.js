@@ -9,7 +9,21 @@
 import * as bufutil from "../commons/bufutil.js";
 import * as dnsutil from "../commons/dnsutil.js";
 import * as envutil from "../commons/envutil.js";
+import * as iputil from "../commons/iputil.js";
 import * as util from "../commons/util.js";
+import * as rdnsutil from "../plugins/rdns-util.js";
+
+// ttl of answers to blocked queries
+const blockTtl = 300; // 5m
+const nullip4 = "0.0.0.0";
+const nullip6 = "::";
+// github.com/mafintosh/dns-packet/blob/8e6d91c07/rcodes.js
+const rcodes = { NOERROR: 0, NXDOMAIN: 3, REFUSED: 5 };
+// extended dns errors for servfails, by where the exception was from
+const servfailEdes = new Map([
+  ["dnsResolver", dnsutil.ede.networkError],
+  ["doh.js:timeout", dnsutil.ede.noReachableAuthority],
+]);
 
 export default class IOState {
   constructor() {
@@ -29,6 +43,12 @@ export default class IOState {
     this.exceptionFrom = "";
     /** @type {boolean} */
     this.isDnsBlock = false;
+    /** @type {string} - one of dnsutil.blockModes */
+    this.blockMode = envutil.blockMode();
+    // blocklists in stamps chosen by the operator (as opposed to by the
+    // client) block, while the others filter: rfc8914 sec 4.16 and 4.18
+    /** @type {number} */
+    this.blockEde = dnsutil.ede.filtered;
     /** @type {boolean} */
     this.alwaysGatewayAnswer = false;
     /** @type {string} */
@@ -51,6 +71,21 @@ export default class IOState {
     this.decodedDnsPacket = packet;
   }
 
+  /**
+   * Overrides the block mode (set by env BLOCK_MODE) for this request.
+   * @param {string} mode - one of dnsutil.blockModes; or empty to not override
+   * @param {boolean} byOperator - true if blocklists weren't client's choice
+   */
+  blockWith(mode, byOperator = false) {
+    if (byOperator) this.blockEde = dnsutil.ede.blocked;
+    if (util.emptyString(mode)) return;
+    if (!dnsutil.blockModes.has(mode)) {
+      this.log.w("ignore unknown block mode", mode);
+      return;
+    }
+    this.blockMode = mode;
+  }
+
   gatewayAnswersOnly(ip4, ip6) {
     if (util.emptyString(ip4) || util.emptyString(ip6)) {
       this.alwaysGatewayAnswer = false;
@@ -89,13 +124,20 @@ export default class IOState {
 
     const qid = this.decodedDnsPacket.id;
     const questions = this.decodedDnsPacket.questions;
-    const servfail = dnsutil.servfail(qid, questions);
+    const edns = dnsutil.hasEdns(this.decodedDnsPacket);
+    let servfail = dnsutil.servfail(qid, questions);
     const ex = {
       exceptionFrom: this.exceptionFrom,
       exceptionStack: this.exceptionStack,
     };
     this.decodedDnsPacket = dnsutil.decode(servfail);
 
+    const code = servfailEdes.get(this.exceptionFrom);
+    if (edns && code != null) {
+      dnsutil.addEde(this.decodedDnsPacket, code);
+      servfail = dnsutil.encode(this.decodedDnsPacket);
+    }
+
     this.logDnsPkt();
     this.httpResponse = new Response(servfail, {
       headers: util.concatHeaders(
@@ -165,6 +207,7 @@ export default class IOState {
 
     try {
       this.assignBlockResponse();
+      this.addEdeIfEdns(this.blockEde, blocklistsText(blockflag));
       const b = dnsutil.encode(this.decodedDnsPacket);
       this.httpResponse = new Response(b, {
         headers: this.headers(b),
@@ -191,6 +234,7 @@ export default class IOState {
 
     try {
       this.assignNxDomainResponse();
+      this.addEdeIfEdns(dnsutil.ede.prohibited);
       const b = dnsutil.encode(this.decodedDnsPacket);
       this.httpResponse = new Response(b, {
         headers: this.headers(b),
@@ -210,6 +254,51 @@ export default class IOState {
     }
   }
 
+  /**
+   * Answers REFUSED, with http status 429 for DoH clients to back off; as
+   * clients over DoT and Do53 are only sent the dns answer in the body.
+   * @param {int} retryAfterSec - secs until the client may query again
+   */
+  dnsRateLimitResponse(retryAfterSec) {
+    this.initDecodedDnsPacketIfNeeded();
+    this.stopProcessing = true;
+
+    try {
+      if (!this.assignNoAnswer("REFUSED")) throw new Error("no question");
+      this.addEdeIfEdns(dnsutil.ede.other, "rate limited");
+      const b = dnsutil.encode(this.decodedDnsPacket);
+      this.httpResponse = new Response(b, {
+        headers: util.concatHeaders(this.headers(b), {
+          "retry-after": String(retryAfterSec),
+        }),
+        status: 429,
+      });
+    } catch (e) {
+      this.log.e("ratelimit", JSON.stringify(this.decodedDnsPacket), e.stack);
+      this.isException = true;
+      this.exceptionStack = e.stack;
+      this.exceptionFrom = "IOState:dnsRateLimitResponse";
+      this.httpResponse = new Response(null, {
+        headers: util.concatHeaders(
+          this.headers(),
+          this.debugHeaders(JSON.stringify(this.exceptionStack))
+        ),
+        status: 503,
+      });
+    }
+  }
+
+  /**
+   * Adds an extended dns error to the answer, but only if the query had an
+   * OPT record; as clients that don't speak edns expect none: rfc6891 sec 7
+   * @param {number} code - one of dnsutil.ede
+   * @param {string} text - extra-text, if any
+   */
+  addEdeIfEdns(code, text = "") {
+    if (!dnsutil.hasEdns(this.decodedDnsPacket)) return;
+    dnsutil.addEde(this.decodedDnsPacket, code, text);
+  }
+
   headers(b = null) {
     const hasBlockFlag = !util.emptyString(this.flag);
     const isBlocked = hasBlockFlag && this.isDnsBlock;
@@ -260,10 +349,107 @@ export default class IOState {
   }
 
   assignBlockResponse() {
-    let done = this.initFlagsAndAnswers();
-    done = done && this.addData();
-    done = done && this.wipeAuthorities();
-    if (!done) throw new Error("fail assign block-response");
+    let done = false;
+    switch (this.blockMode) {
+      case "nxdomain":
+        done = this.assignNoAnswer("NXDOMAIN");
+        break;
+      case "nodata":
+        done = this.assignNoAnswer("NOERROR");
+        break;
+      case "refused":
+        done = this.assignNoAnswer("REFUSED");
+        break;
+      case "sinkhole":
+        done = this.assignBlockIps(
+          envutil.blockSinkholeIp4(),
+          envutil.blockSinkholeIp6()
+        );
+        break;
+      default:
+        // nullip, or a misconfigured BLOCK_MODE
+        done = this.assignBlockIps(nullip4, nullip6);
+        break;
+    }
+    if (!done) throw new Error("fail assign block-response " + this.blockMode);
+  }
+
+  /**
+   * Answers A / AAAA queries with ip4 / ip6 (or null ips, if invalid);
+   * HTTPS / SVCB queries with "service not available"; and all others
+   * (CNAME, TXT, MX etc) with NODATA.
+   * @param {string} ip4
+   * @param {string} ip6
+   * @returns {boolean}
+   */
+  assignBlockIps(ip4, ip6) {
+    if (util.emptyObj(this.decodedDnsPacket.questions)) {
+      this.log.e("decoded dns-packet missing question");
+      return false;
+    }
+
+    const qtype = this.decodedDnsPacket.questions[0].type;
+    if (qtype === "A" || qtype === "AAAA") {
+      if (iputil.ip4ToBytes(ip4) == null) ip4 = nullip4;
+      if (iputil.ip6ToBytes(ip6) == null) ip6 = nullip6;
+      let done = this.initFlagsAndAnswers(blockTtl);
+      done = done && this.addData(ip4, ip6);
+      return done && this.wipeAuthorities();
+    } else if (qtype === "HTTPS" || qtype === "SVCB") {
+      // alias-mode with target "." means the service is not available:
+      // datatracker.ietf.org/doc/html/rfc9460#section-2.5.1
+      const done = this.initFlagsAndAnswers(blockTtl);
+      this.decodedDnsPacket.answers[0].data = {
+        svcPriority: 0,
+        targetName: ".",
+        svcParams: {},
+      };
+      return done && this.wipeAuthorities();
+    }
+    // ip answers to, say, a cname query, aren't answers to it
+    return this.assignNoAnswer("NOERROR");
+  }
+
+  /**
+   * Answers with no records, and for NOERROR (nodata) and NXDOMAIN, with a
+   * soa of the question so that downstream resolvers cache the answer for
+   * only as long as the answers to blocked queries are: rfc2308 sec 5
+   * @param {string} rcode - NOERROR, NXDOMAIN, or REFUSED
+   * @returns {boolean}
+   */
+  assignNoAnswer(rcode) {
+    if (util.emptyObj(this.decodedDnsPacket.questions)) {
+      this.log.e("decoded dns-packet missing question");
+      return false;
+    }
+
+    const name = this.decodedDnsPacket.questions[0].name;
+    this.decodedDnsPacket.type = "response";
+    this.decodedDnsPacket.rcode = rcode;
+    // recursion desired and available (384), and the rcode
+    this.decodedDnsPacket.flags = 384 | rcodes[rcode];
+    this.decodedDnsPacket.flag_qr = true;
+    this.decodedDnsPacket.answers = [];
+    this.decodedDnsPacket.authorities = [];
+    if (rcode === "REFUSED") return true;
+
+    this.decodedDnsPacket.authorities[0] = {
+      name: name,
+      type: "SOA",
+      ttl: blockTtl,
+      class: "IN",
+      flush: false,
+      data: {
+        mname: name,
+        rname: "hostmaster." + name,
+        serial: 1,
+        refresh: 3600,
+        retry: 600,
+        expire: 86400,
+        minimum: blockTtl,
+      },
+    };
+    return true;
   }
 
   assignGatewayResponseIfNeeded() {
@@ -371,3 +557,17 @@ export default class IOState {
     return true;
   }
 }
+
+/**
+ * @param {string} flag - blockstamp of blocklists that blocked an answer
+ * @returns {string} ids of those blocklists, if any
+ */
+function blocklistsText(flag) {
+  if (util.emptyString(flag)) return "";
+  try {
+    return rdnsutil.blocklists(flag).join(",");
+  } catch (ignore) {
+    // not a stamp, ex: "prefilter"
+    return "";
+  }
+}
@@ -0,0 +1,42 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as fs from "node:fs";
+import process from "node:process";
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+
+/** @typedef {import("../acl.js").Acl} Acl */
+
+/**
+ * Loads acl from the file at ACL_PATH, if set; and again on every SIGHUP,
+ * so that lists can be changed without a restart.
+ * @param {Acl} acl
+ * @returns {boolean}
+ */
+export function setup(acl) {
+  const fp = envutil.aclPath();
+  if (!acl || util.emptyString(fp)) return false;
+
+  reload(acl, fp);
+  process.on("SIGHUP", () => reload(acl, fp));
+  return true;
+}
+
+/**
+ * @param {Acl} acl
+ * @param {string} fp
+ */
+function reload(acl, fp) {
+  try {
+    const n = acl.load(fs.readFileSync(fp, "utf8"));
+    log.i("acl: loaded", n, "cidrs from", fp);
+  } catch (ex) {
+    // on errors, the lists loaded previously, if any, stay
+    log.e("acl: unreadable", fp, ex.message);
+  }
+}
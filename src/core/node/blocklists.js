@@ -32,6 +32,8 @@ export async function setup(bw) {
   const ok = await setupLocally(bw, timestamp, codec, useMmap);
   if (ok) {
     log.i("bl setup locally tstamp/nc", timestamp, nodecount);
+    // ip-blocklists are not saved to disk, and so, always downloaded
+    await bw.initIpBlocklists(/* rxid*/ "bl-local");
     return true;
   }
 
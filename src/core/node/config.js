@@ -12,14 +12,19 @@
  * This module has side effects, sequentially setting up the environment.
  */
 import { atob, btoa } from "node:buffer";
+import * as fs from "node:fs";
 import process from "node:process";
 import * as dnst from "../../core/node/dns-transport.js";
+import * as envutil from "../../commons/envutil.js";
 import * as system from "../../system.js";
 import EnvManager from "../env.js";
 import Log from "../log.js";
 import { services, stopAfter } from "../svc.js";
+import * as acl from "./acl.js";
 import * as blocklists from "./blocklists.js";
 import * as dbip from "./dbip.js";
+import * as dnscache from "./dnscache.js";
+import * as profiles from "./profiles.js";
 import * as util from "./util.js";
 
 // some of the cjs node globals aren't available in esm
@@ -119,13 +124,37 @@ async function prep() {
   // TODO: move dns* related settings to env
   // flydns is always ipv6 (fdaa::53)
   const plainOldDnsIp = onFly ? "fdaa::3" : "1.1.1.2";
-  const dns53 = dnst.makeTransport(plainOldDnsIp);
-  log.i("imported udp/tcp dns transport", plainOldDnsIp);
+  const dotUpstream = envutil.dotUpstream();
+  let dns53 = null;
+  if (!dotUpstream) {
+    dns53 = dnst.makeTransport(plainOldDnsIp);
+    log.i("imported udp/tcp dns transport", plainOldDnsIp);
+  } else {
+    const port = envutil.dotUpstreamPort();
+    const sni = envutil.dotUpstreamSni();
+    const pins = envutil.dotUpstreamPins();
+    dns53 = dnst.makeTlsTransport(dotUpstream, port, sni, pins);
+    log.i("imported dot transport", dotUpstream, port, sni);
+  }
 
   // signal ready
   system.pub("ready", [dns53]);
 }
 
+function setupForwarders(fwd) {
+  const rulesPath = envutil.forwardRulesPath();
+  if (rulesPath) {
+    try {
+      const n = fwd.load(fs.readFileSync(rulesPath, "utf8"));
+      log.i("Config", "forwarding rules from", rulesPath, n);
+    } catch (ex) {
+      log.e("Config", "forwarding rules unreadable", rulesPath, ex);
+    }
+  }
+  // do53 forwarders get a transport of their own
+  fwd.setupTransports((host, port) => dnst.makeTransport(host, port));
+}
+
 function setTlsVars(tlsKey, tlsCrt) {
   envManager.set("TLS_KEY", tlsKey);
   envManager.set("TLS_CRT", tlsCrt);
@@ -154,6 +183,44 @@ async function up() {
     log.w("Config", "logpusher unavailable");
   }
 
+  // restore the dns cache before the first query is served
+  dnscache.setup(services.dnsCache);
+
+  const lr = services.localRecords;
+  const lrPath = envutil.localRecordsPath();
+  if (lr != null && lrPath) {
+    try {
+      const n = lr.load(fs.readFileSync(lrPath, "utf8"));
+      log.i("Config", "local records from", lrPath, n);
+    } catch (ex) {
+      log.e("Config", "local records unreadable", lrPath, ex);
+    }
+  }
+
+  // acl lists are also read from disk, if a path for them is set
+  acl.setup(services.acl);
+
+  // profiles are kept on disk, if a path for them is set
+  profiles.setup(services.userStore);
+
+  const us = services.userStore;
+  const usPath = envutil.userRulesPath();
+  if (us != null && usPath) {
+    try {
+      const n = us.load(fs.readFileSync(usPath, "utf8"));
+      log.i("Config", "user rules from", usPath, n);
+    } catch (ex) {
+      log.e("Config", "user rules unreadable", usPath, ex);
+    }
+  }
+
+  const fwd = services.forwarders;
+  if (fwd != null) {
+    setupForwarders(fwd);
+  } else {
+    log.w("Config", "forwarders unavailable");
+  }
+
   process.on("SIGINT", (sig) => stopAfter());
 
   process.on("warning", (e) => console.warn(e.stack));
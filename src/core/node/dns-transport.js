@@ -6,7 +6,9 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.
  */
 import net from "node:net";
+import tls from "node:tls";
 import dgram from "node:dgram";
+import { createHash } from "node:crypto";
 import * as util from "../../commons/util.js";
 import { TcpConnPool, UdpConnPool } from "../dns/conns.js";
 import { TcpTx, UdpTx } from "../dns/transact.js";
@@ -28,6 +30,25 @@ export function makeTransport(host, port = 53, opts = {}) {
   return new Transport(host, port, opts);
 }
 
+/**
+ * @param {string} host
+ * @param {int} port
+ * @param {string} servername
+ * @param {Set<string>|string[]?} pins
+ * @param {any} opts
+ * @returns {Transport}
+ */
+export function makeTlsTransport(
+  host,
+  port = 853,
+  servername,
+  pins,
+  opts = {}
+) {
+  opts.tls = { servername: servername, pins: pins };
+  return new Transport(host, port || 853, opts);
+}
+
 // Transport upstreams plain-old DNS queries over both UDPv4 and TCPv4.
 // Host and port constructor parameters are IPv4 addresses of the upstream.
 // TCP and UDP connections are pooled for reuse, but DNS queries are not
@@ -35,6 +56,10 @@ export function makeTransport(host, port = 53, opts = {}) {
 // constructor parameters to configure the pooling behaviour. Methods udpquery
 // and tcpquery are the main entry points which forward a raw dns-packet as
 // and return non-null dns-answers, if recieved on-time and without errors.
+// When opts.tls is set, TCP connections are instead wrapped in TLS (DoT),
+// verified against opts.tls.servername (SNI) and, if non-empty, pinned to
+// the sha256 digests (base64) of the upstream's public-key (opts.tls.pins).
+// A DoT transport never upstreams over UDP; see: Transport.encrypted
 export class Transport {
   constructor(host, port, opts = {}) {
     if (util.emptyString(host)) throw new Error("invalid host" + host);
@@ -54,9 +79,54 @@ export class Transport {
     this.tcpconns = new TcpConnPool(sz, ttl);
     /** @type {UdpConnPool} */
     this.udpconns = new UdpConnPool(sz, ttl);
+    /** @type {tls.ConnectionOptions?} */
+    this.tlsopts = opts.tls ? this.makeTlsOpts(opts.tls) : null;
 
     this.log = log.withTags("DnsTransport");
     this.log.i(this.ipproto, "W transport", host, port, "pool", sz, ttl);
+    if (this.tlsopts) {
+      const sni = this.tlsopts.servername;
+      this.log.i("dot sni", sni, "pins", new Set(opts.tls.pins || []).size);
+    }
+  }
+
+  /**
+   * @returns {boolean} true if queries are upstreamed over tls (DoT)
+   */
+  encrypted() {
+    return this.tlsopts != null;
+  }
+
+  /**
+   * @param {{servername: string?, pins: Set<string>|string[]?}} o
+   * @returns {tls.ConnectionOptions}
+   */
+  makeTlsOpts(o) {
+    let servername = o.servername;
+    if (util.emptyString(servername)) {
+      // sni must not be an ip: datatracker.ietf.org/doc/html/rfc6066#section-3
+      if (this.ipproto !== 0) throw new Error("dot: no sni for " + this.host);
+      servername = this.host;
+    }
+    const pins = new Set(o.pins || []);
+    return {
+      host: this.host,
+      port: this.port,
+      servername: servername,
+      // datatracker.ietf.org/doc/html/rfc7858#section-3.2
+      ALPNProtocols: ["dot"],
+      // nodejs.org/api/tls.html#tlscheckserveridentityhostname-cert
+      checkServerIdentity: (hostname, cert) => {
+        // hostname is the sni, and not the (ip) host
+        const err = tls.checkServerIdentity(hostname, cert);
+        if (err) return err;
+        if (pins.size <= 0) return undefined;
+        // pin-sha256 as in datatracker.ietf.org/doc/html/rfc7469#section-2.4
+        const pin = createHash("sha256").update(cert.pubkey).digest("base64");
+        if (pins.has(pin)) return undefined;
+        return new Error("dot: pin mismatch for " + hostname + " " + pin);
+      },
+    };
   }
 
   async teardown() {
@@ -71,6 +141,9 @@ export class Transport {
    * @returns {Promise<Buffer>|null}
    */
   async udpquery(rxid, q) {
+    // never leak queries in cleartext when upstreaming over tls
+    if (this.encrypted()) return this.tcpquery(rxid, q);
+
     let sock = this.udpconns.take();
     this.log.d(rxid, "udp pooled?", sock !== null);
 
@@ -94,7 +167,7 @@ export class Transport {
    */
   async tcpquery(rxid, q) {
     let sock = this.tcpconns.take();
-    this.log.d(rxid, "tcp pooled?", sock != null);
+    this.log.d(rxid, "tcp pooled?", sock != null, "tls?", this.encrypted());
 
     /** @type {Buffer?} */
     let ans = null;
@@ -130,7 +203,18 @@ export class Transport {
    * @throws {Error}
    */
   makeConn(proto) {
-    if (proto === "tcp") {
+    if (proto === "tcp" && this.tlsopts) {
+      const tlsconnect = (cb) => {
+        // unlike tcp, handshake and pinning failures surface as errors
+        const onerr = (err) => cb(sock, err);
+        const sock = tls.connect(this.tlsopts, () => {
+          sock.removeListener("error", onerr);
+          cb(sock);
+        });
+        sock.once("error", onerr);
+      };
+      return util.timedOp(tlsconnect, this.connectTimeout, this.closeTcp);
+    } else if (proto === "tcp") {
       const tcpconnect = (cb) => {
         // not monitoring connection-error events, instead relying on timeouts
         const sock = net.connect(this.port, this.host, () => cb(sock));
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as fs from "node:fs";
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+import * as system from "../../system.js";
+
+/** @typedef {import("../../plugins/dns-op/cache.js").DnsCache} DnsCache */
+
+/**
+ * Restores cache from its snapshot on disk, if any; and then, snapshots
+ * it periodically and on stop, so that restarts do not start out cold.
+ * @param {DnsCache} cache
+ * @returns {boolean}
+ */
+export function setup(cache) {
+  const fp = envutil.dnsCacheSnapshotPath();
+  if (!cache || util.emptyString(fp)) return false;
+
+  restore(cache, fp);
+
+  const secs = envutil.dnsCacheSnapshotIntervalSec();
+  const timer = secs > 0 ? setInterval(() => save(cache, fp), secs * 1000) : 0;
+  if (timer && typeof timer.unref === "function") timer.unref();
+
+  system.when("stop").then(() => {
+    if (timer) clearInterval(timer);
+    save(cache, fp);
+  });
+  return true;
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {string} fp
+ * @returns {int}
+ */
+function restore(cache, fp) {
+  if (!fs.existsSync(fp)) {
+    log.i("dnscache: no snapshot at", fp);
+    return 0;
+  }
+
+  try {
+    const snap = JSON.parse(fs.readFileSync(fp, "utf8"));
+    return cache.restore(snap, envutil.dnsCacheSnapshotMax());
+  } catch (ex) {
+    log.w("dnscache: unreadable snapshot", fp, ex.message);
+    return 0;
+  }
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {string} fp
+ * @returns {boolean}
+ */
+function save(cache, fp) {
+  try {
+    const snap = cache.snapshot(envutil.dnsCacheSnapshotMax());
+    // a crash mid-write must not corrupt the previous snapshot
+    const tmp = fp + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(snap));
+    fs.renameSync(tmp, fp);
+    log.i("dnscache: snapshot", snap.entries.length, "to", fp);
+    return true;
+  } catch (ex) {
+    log.e("dnscache: snapshot failed", fp, ex);
+    return false;
+  }
+}
@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as fs from "node:fs";
+import * as util from "../../commons/util.js";
+import * as envutil from "../../commons/envutil.js";
+import { MemProfiles } from "../../plugins/users/user-store.js";
+
+/** @typedef {import("../../plugins/users/user-store.js").UserStore} UserStore */
+
+/**
+ * Keeps profiles of store in a json file, so that they outlive restarts.
+ * @param {UserStore} store
+ * @returns {boolean}
+ */
+export function setup(store) {
+  const fp = envutil.profilesPath();
+  if (!store || util.emptyString(fp)) return false;
+
+  store.setProfiles(new FileProfiles(fp));
+  return true;
+}
+
+// profiles in memory, and saved to fp on every change
+class FileProfiles extends MemProfiles {
+  /**
+   * @param {string} fp
+   */
+  constructor(fp) {
+    super();
+    this.fp = fp;
+    this.restore();
+  }
+
+  async put(id, p) {
+    await super.put(id, p);
+    this.save();
+  }
+
+  async delete(id) {
+    const ok = await super.delete(id);
+    if (ok) this.save();
+    return ok;
+  }
+
+  restore() {
+    if (!fs.existsSync(this.fp)) {
+      log.i("profiles: none at", this.fp);
+      return;
+    }
+
+    try {
+      const all = JSON.parse(fs.readFileSync(this.fp, "utf8"));
+      for (const [id, p] of Object.entries(all)) this.m.set(id, p);
+      log.i("profiles: restored", this.m.size, "from", this.fp);
+    } catch (ex) {
+      log.w("profiles: unreadable", this.fp, ex.message);
+    }
+  }
+
+  save() {
+    try {
+      // a crash mid-write must not corrupt the previous file
+      const tmp = this.fp + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.m)));
+      fs.renameSync(tmp, this.fp);
+    } catch (ex) {
+      log.e("profiles: save failed", this.fp, ex);
+    }
+  }
+}
@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import net from "node:net";
+
+// PROXY protocol headers precede data that load balancers relay from
+// clients, and carry the client's address: haproxy.org/download/2.8/doc/proxy-protocol.txt
+// v1 is a line of text, as in "PROXY TCP4 1.2.3.4 5.6.7.8 1234 443\r\n";
+// v2 is binary, and begins with the 12 byte signature below.
+const v1sig = Buffer.from("PROXY ", "ascii");
+const v2sig = Buffer.from([
+  0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a,
+]);
+// v1 headers are at most 107 bytes, crlf included
+const v1maxlen = 107;
+// v2 signature, version & command, family, and length of addresses
+const v2hdrlen = 16;
+// max bytes to read in search of the end of a header
+const maxHeaderLen = 4096;
+
+export const none = 0;
+export const v1 = 1;
+export const v2 = 2;
+export const more = -1;
+
+/**
+ * @typedef {Object} ProxyHeader
+ * @property {int} len - bytes the header takes up
+ * @property {string} ip - client (source) ip; empty for v2 LOCAL, or for
+ * v1 UNKNOWN, in which case the peer's own address is the client's
+ * @property {int} port - client (source) port; 0 if ip is empty
+ */
+
+/**
+ * @typedef {Object} Verdict
+ * @property {boolean} more - if more bytes are needed to decide
+ * @property {string} drop - why the conn is to be dropped, if it is
+ * @property {ProxyHeader?} header - the conn begins with, if any
+ */
+
+/**
+ * Decides what to do with a conn from a peer, given the bytes read so far.
+ * @param {Buffer} buf - bytes read so far
+ * @param {boolean} trusted - if the peer is a proxy trusted to send headers
+ * @param {boolean} required - if the conn must begin with a header
+ * @returns {Verdict}
+ */
+export function accept(buf, trusted, required) {
+  const ver = sniff(buf);
+  if (ver === more) return verdict(true);
+  if (ver === none) return verdict(false, required ? "sans header" : "");
+  if (!trusted) return verdict(false, "header from untrusted peer");
+
+  let h = null;
+  try {
+    h = parse(buf);
+  } catch (e) {
+    return verdict(false, e.message);
+  }
+  if (h != null) return verdict(false, "", h);
+  if (buf.length > maxHeaderLen) return verdict(false, "header too long");
+  return verdict(true);
+}
+
+/**
+ * @param {Buffer} buf - bytes read so far
+ * @returns {int} v1 or v2, if buf begins with a header; none, if it does
+ * not; more, if more bytes are needed to tell
+ */
+export function sniff(buf) {
+  if (buf.length <= 0) return more;
+
+  const v1ok = hasPrefix(buf, v1sig);
+  const v2ok = hasPrefix(buf, v2sig);
+  if (v1ok && buf.length >= v1sig.length) return v1;
+  if (v2ok && buf.length >= v2sig.length) return v2;
+  return v1ok || v2ok ? more : none;
+}
+
+/**
+ * @param {Buffer} buf - bytes read so far, beginning with a header
+ * @returns {ProxyHeader?} header, or null if it is not yet read in full
+ * @throws {Error} if the header is malformed
+ */
+export function parse(buf) {
+  const ver = sniff(buf);
+  if (ver === v1) return parseV1(buf);
+  if (ver === v2) return parseV2(buf);
+  if (ver === more) return null;
+  throw new Error("pp: no header");
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {ProxyHeader?}
+ */
+function parseV1(buf) {
+  const end = buf.indexOf("\r\n", 0, "ascii");
+  if (end < 0) {
+    if (buf.length >= v1maxlen) throw new Error("pp1: header too long");
+    return null;
+  }
+  if (end + 2 > v1maxlen) throw new Error("pp1: header too long");
+
+  const len = end + 2;
+  // ex: PROXY TCP6 fd00::1 fd00::2 1234 853
+  const [, proto, src, , sport] = buf.toString("ascii", 0, end).split(" ");
+  if (proto === "UNKNOWN") return { len: len, ip: "", port: 0 };
+
+  const fam = proto === "TCP4" ? 4 : proto === "TCP6" ? 6 : 0;
+  if (fam === 0) throw new Error("pp1: bad proto " + proto);
+  if (net.isIP(src) !== fam) throw new Error("pp1: bad src " + src);
+  const port = parseInt(sport, 10);
+  if (!(port >= 0 && port <= 65535)) throw new Error("pp1: bad port " + sport);
+
+  return { len: len, ip: src, port: port };
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {ProxyHeader?}
+ */
+function parseV2(buf) {
+  if (buf.length < v2hdrlen) return null;
+
+  const verCmd = buf[12];
+  const fam = buf[13];
+  const len = v2hdrlen + buf.readUInt16BE(14);
+  if (verCmd >> 4 !== 2) throw new Error("pp2: bad version " + verCmd);
+  if (buf.length < len) return null;
+
+  const cmd = verCmd & 0xf;
+  // LOCAL: health-checks and such, sent by the proxy itself
+  if (cmd === 0) return { len: len, ip: "", port: 0 };
+  if (cmd !== 1) throw new Error("pp2: bad command " + cmd);
+
+  // upper nibble is the address family, lower is the transport
+  const af = fam >> 4;
+  const a = buf.subarray(v2hdrlen, len);
+  if (af === 1 && a.length >= 12) {
+    // src ip, dst ip, src port, dst port
+    const ip = [...a.subarray(0, 4)].join(".");
+    return { len: len, ip: ip, port: a.readUInt16BE(8) };
+  } else if (af === 2 && a.length >= 36) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(a.readUInt16BE(i).toString(16));
+    return { len: len, ip: groups.join(":"), port: a.readUInt16BE(32) };
+  } else if (af === 0 || af === 3) {
+    // AF_UNSPEC, or AF_UNIX: no ip to speak of
+    return { len: len, ip: "", port: 0 };
+  }
+  throw new Error("pp2: bad family " + fam + " / len " + a.length);
+}
+
+/**
+ * @param {boolean} more
+ * @param {string} drop
+ * @param {ProxyHeader?} header
+ * @returns {Verdict}
+ */
+function verdict(more, drop = "", header = null) {
+  return { more: more, drop: drop, header: header };
+}
+
+/**
+ * @param {Buffer} buf
+ * @param {Buffer} sig
+ * @returns {boolean} true if buf (or sig, if buf is shorter) begins with
+ * the other
+ */
+function hasPrefix(buf, sig) {
+  const n = Math.min(buf.length, sig.length);
+  if (n <= 0) return false;
+  return buf.subarray(0, n).equals(sig.subarray(0, n));
+}
@@ -8,6 +8,9 @@
 
 import { Http2ServerRequest, Http2ServerResponse } from "node:http2";
 
+// nodejs lowercases names of incoming headers
+const serverOnlyHeaders = new Set(["x-nile-client-ip"]);
+
 /**
  * @param {String} TLS_CRT_KEY - Contains base64 (no wrap) encoded key and
  * certificate files seprated by a newline (\n) and described by `KEY=` and
@@ -50,9 +53,11 @@ export function copyNonPseudoHeaders(headers) {
 
   if (!headers) return out;
 
-  // drop http/2 pseudo-headers
+  // drop http/2 pseudo-headers; and headers only the server may set,
+  // so that clients cannot spoof them (ref: util.clientIpHeader)
   for (const name in headers) {
     if (name.startsWith(":")) continue;
+    if (serverOnlyHeaders.has(name)) continue;
     out[name] = headers[name];
   }
 
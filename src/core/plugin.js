@@ -57,6 +57,38 @@ export default class RethinkPlugin {
       this.userOpCallback
     );
 
+    // refuse clients querying too fast before any work is done for them
+    !services.rateLimiter.empty() &&
+      this.registerPlugin(
+        "rateLimiter",
+        services.rateLimiter,
+        ["rxid", "request", "userAuth", "userProfileId", "isDnsMsg"],
+        this.rateLimiterCallback
+      );
+
+    // answer "why blocked" queries before they are filtered out as undelegated
+    this.registerPlugin(
+      "explainer",
+      services.explainer,
+      [
+        "rxid",
+        "request",
+        "userBlocklistInfo",
+        "userBlockMode",
+        "requestDecodedDnsPacket",
+        "isDnsMsg",
+      ],
+      this.explainerCallback
+    );
+
+    // answer local names before they are filtered out, or looked up in caches
+    this.registerPlugin(
+      "localRecords",
+      services.localRecords,
+      ["rxid", "requestDecodedDnsPacket", "isDnsMsg"],
+      this.localRecordsCallback
+    );
+
     // filter out undelegated domains if running recurisve resolver
     envutil.recursive() &&
       this.registerPlugin(
@@ -69,7 +101,16 @@ export default class RethinkPlugin {
     this.registerPlugin(
       "cacheOnlyResolver",
       services.dnsCacheHandler,
-      ["rxid", "userBlocklistInfo", "requestDecodedDnsPacket", "isDnsMsg"],
+      [
+        "rxid",
+        "dispatcher",
+        "request",
+        "userBlocklistInfo",
+        "userRebindMode",
+        "requestBodyBuffer",
+        "requestDecodedDnsPacket",
+        "isDnsMsg",
+      ],
       this.dnsCacheCallback
     );
 
@@ -91,6 +132,7 @@ export default class RethinkPlugin {
         "userDnsResolverUrl",
         "userBlocklistInfo",
         "userBlockstamp",
+        "userRebindMode",
         "domainBlockstamp",
         "requestDecodedDnsPacket",
         "requestBodyBuffer",
@@ -196,16 +238,82 @@ export default class RethinkPlugin {
       const rr = r.dnsResolverUrl;
       // may be empty string; usually of form "v:base64" or "v-base32"
       const bs = r.userBlocklistFlag;
+      // may be empty string; one of dnsutil.blockModes
+      const bm = r.userBlockMode;
       this.log.d(rxid, "set user:auth/blockInfo/resolver/stamp", a, bi, rr, bs);
       this.addCtx("userAuth", a);
       this.addCtx("userBlocklistInfo", bi);
       this.addCtx("userBlockstamp", bs);
       this.addCtx("userDnsResolverUrl", rr);
+      this.addCtx("userRebindMode", r.userRebindMode);
+      this.addCtx("userBlockMode", bm);
+      this.addCtx("userProfileId", r.userProfileId);
+      // recommended stamps are chosen by the operator, not by the client
+      io.blockWith(bm, r.userBlockstampIsRec);
     } else {
       this.log.i(rxid, "user-op is a no-op, possibly a command-control req");
     }
   }
 
+  /**
+   * @param {RResp} response
+   * @param {IOState} io
+   */
+  rateLimiterCallback(response, io) {
+    const rxid = this.ctx.get("rxid");
+    const r = response.data;
+
+    if (r.isLimited) {
+      this.log.d(rxid, "rate-limited; retry after", r.retryAfterSec);
+      io.dnsRateLimitResponse(r.retryAfterSec);
+    } else {
+      this.log.d(rxid, "rate-limiter no-op");
+    }
+  }
+
+  /**
+   * @param {RResp} response
+   * @param {IOState} io
+   */
+  localRecordsCallback(response, io) {
+    const rxid = this.ctx.get("rxid");
+    const r = response.data;
+    const isAns = dnsutil.isAnswer(r.dnsPacket);
+    this.log.d(rxid, "local-records ans?", isAns);
+
+    if (response.isException) {
+      this.log.w(rxid, "local-records: error", r);
+      this.loadException(rxid, response, io);
+    } else if (isAns) {
+      this.addCtx("responseBodyBuffer", r.dnsBuffer);
+      this.addCtx("responseDecodedDnsPacket", r.dnsPacket);
+      io.dnsResponse(r.dnsBuffer, r.dnsPacket);
+    } else {
+      this.log.d(rxid, "local-records no-op");
+    }
+  }
+
+  /**
+   * @param {RResp} response
+   * @param {IOState} io
+   */
+  explainerCallback(response, io) {
+    const rxid = this.ctx.get("rxid");
+    const r = response.data;
+    const isAns = dnsutil.isAnswer(r.dnsPacket);
+
+    if (response.isException) {
+      this.log.w(rxid, "explainer: error", r);
+      this.loadException(rxid, response, io);
+    } else if (isAns) {
+      this.addCtx("responseBodyBuffer", r.dnsBuffer);
+      this.addCtx("responseDecodedDnsPacket", r.dnsPacket);
+      io.dnsResponse(r.dnsBuffer, r.dnsPacket);
+    } else {
+      this.log.d(rxid, "explainer no-op");
+    }
+  }
+
   /**
    * @param {RResp} response
    * @param {IOState} io
@@ -320,8 +428,10 @@ export default class RethinkPlugin {
     // nothing to do if the current request isn't a dns question
     if (!isDnsMsg) {
       // throw away any request that is not a dns-msg since cc.js
-      // processes non-dns msgs only via GET, while rest of the
-      // plugins process only dns-msgs via GET and POST.
+      // processes non-dns msgs only via GET (save for a few cmds that
+      // are POSTed), while rest of the plugins process only dns-msgs
+      // via GET and POST.
+      if (services.commandControl.isPostCmd(request)) return;
       if (!util.isGetRequest(request)) {
         this.log.i(rxid, "not a dns-msg, not a GET req either", request);
         io.hResponse(util.respond405());
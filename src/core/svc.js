@@ -9,13 +9,20 @@
 import { BlocklistWrapper } from "../plugins/rethinkdns/main.js";
 import { CommandControl } from "../plugins/command-control/cc.js";
 import { UserOp } from "../plugins/users/user-op.js";
+import { UserStore } from "../plugins/users/user-store.js";
+import { RateLimiter } from "../plugins/users/rate-limiter.js";
 import {
   DNSPrefilter,
   DNSCacheResponder,
   DNSResolver,
   DnsCache,
+  Explainer,
+  Forwarders,
+  LocalRecords,
+  Prefetcher,
 } from "../plugins/dns-op/dns-op.js";
 import { LogPusher } from "../plugins/observability/log-pusher.js";
+import { Acl } from "./acl.js";
 import * as dnsutil from "../commons/dnsutil.js";
 import * as system from "../system.js";
 import * as util from "../commons/util.js";
@@ -31,14 +38,30 @@ export const services = {
   blocklistWrapper: null,
   /** @type {UserOp?} userOp */
   userOp: null,
+  /** @type {Acl?} acl */
+  acl: null,
+  /** @type {RateLimiter?} rateLimiter */
+  rateLimiter: null,
+  /** @type {UserStore?} userStore */
+  userStore: null,
+  /** @type {LocalRecords?} localRecords */
+  localRecords: null,
   /** @type {DNSPrefilter?} prefilter */
   prefilter: null,
+  /** @type {Explainer?} explainer */
+  explainer: null,
   /** @type {CommandControl?} commandControl */
   commandControl: null,
   /** @type {DNSCacheResponder?} dnsCacheHandler */
   dnsCacheHandler: null,
   /** @type {DNSResolver?} dnsResolver */
   dnsResolver: null,
+  /** @type {DnsCache?} dnsCache */
+  dnsCache: null,
+  /** @type {Forwarders?} forwarders */
+  forwarders: null,
+  /** @type {Prefetcher?} prefetcher */
+  prefetcher: null,
   /** @type {LogPusher?} logPusher */
   logPusher: null,
 };
@@ -59,14 +82,41 @@ async function systemReady(args) {
   const cache = new DnsCache(dnsutil.cacheSize());
   const lp = new LogPusher();
   const dns53 = util.emptyArray(args) ? null : args[0];
+  const fwd = new Forwarders();
 
   services.blocklistWrapper = bw;
+  services.dnsCache = cache;
   services.logPusher = lp;
-  services.userOp = new UserOp();
+  services.acl = new Acl();
+  services.userStore = new UserStore();
+  services.userOp = new UserOp(services.userStore);
+  services.rateLimiter = new RateLimiter();
+  services.localRecords = new LocalRecords();
   services.prefilter = new DNSPrefilter();
-  services.dnsCacheHandler = new DNSCacheResponder(bw, cache);
-  services.dnsResolver = new DNSResolver(bw, cache, dns53);
-  services.commandControl = new CommandControl(bw, services.dnsResolver, lp);
+  services.forwarders = fwd;
+  services.dnsResolver = new DNSResolver(bw, cache, dns53, fwd);
+  services.prefetcher = new Prefetcher(cache, services.dnsResolver);
+  services.explainer = new Explainer(
+    bw,
+    cache,
+    services.dnsResolver,
+    services.localRecords
+  );
+  services.dnsCacheHandler = new DNSCacheResponder(
+    bw,
+    cache,
+    fwd,
+    services.prefetcher
+  );
+  services.commandControl = new CommandControl(
+    bw,
+    services.dnsResolver,
+    lp,
+    cache,
+    services.userStore,
+    services.explainer,
+    services.dnsCacheHandler
+  );
 
   services.ready = true;
 
@@ -77,7 +127,9 @@ async function systemReady(args) {
 
 async function systemStop() {
   log.d("svc stop, signal close resolver");
-  if (services.ready) await services.dnsResolver.close();
+  if (!services.ready) return;
+  services.prefetcher.close();
+  await services.dnsResolver.close();
 }
 
 function stopProc() {
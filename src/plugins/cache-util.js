@@ -14,6 +14,8 @@ import * as pres from "./plugin-response.js";
 const minTtlSec = 30; // 30s
 const maxTtlSec = 180; // 3m
 const expiresImmediately = 0; // 0s
+// ttl of stale answers: datatracker.ietf.org/doc/html/rfc8767#section-4
+const staleTtlSec = 30; // 30s
 const someVeryHighTtl = 1 << 30; // 2^30s
 const cheader = "x-rdnscache-metadata";
 const _cacheurl = "https://caches.rethinkdns.com/";
@@ -27,9 +29,20 @@ function determineCacheExpiry(packet) {
   // expiresImmediately => packet is not an ans but a question
   if (!dnsutil.isAnswer(packet)) return expiresImmediately;
 
+  let ttl = dnsutil.isNegativeAnswer(packet)
+    ? negativeTtl(packet)
+    : answerTtl(packet);
+
+  // see also: isAnswerFresh
+  ttl += envutil.cacheTtl();
+  const expiry = Date.now() + ttl * 1000;
+
+  return expiry; // in millis
+}
+
+function answerTtl(packet) {
   let ttl = someVeryHighTtl;
 
-  // TODO: nxdomain ttls are in the authority section
   // TODO: OPT answers need not set a ttl field
   // set min(ttl) among all answers, but at least minTtlSec
   for (const a of packet.answers) ttl = Math.min(a.ttl || minTtlSec, ttl);
@@ -37,11 +50,22 @@ function determineCacheExpiry(packet) {
   // if no answers, set min-ttl
   if (ttl === someVeryHighTtl) ttl = minTtlSec;
 
-  // see also: isAnswerFresh
-  ttl += envutil.cacheTtl();
-  const expiry = Date.now() + ttl * 1000;
+  return ttl;
+}
 
-  return expiry; // in millis
+function negativeTtl(packet) {
+  const floor = envutil.negativeCacheMinTtl();
+  const ceil = envutil.negativeCacheMaxTtl();
+  const soa = util.emptyArray(packet.authorities)
+    ? null
+    : packet.authorities.find(dnsutil.isAnswerSOA);
+
+  // sans soa, negative answers are cached for as little as possible
+  let ttl = floor;
+  // min of soa's ttl and its minimum field: rfc2308 sec 5
+  if (soa != null && soa.data) ttl = Math.min(soa.ttl, soa.data.minimum);
+
+  return Math.max(floor, ceil > 0 ? Math.min(ttl, ceil) : ttl);
 }
 
 /**
@@ -116,15 +140,26 @@ function updateTtl(packet, end) {
   for (const a of packet.answers) {
     if (!dnsutil.optAnswer(a)) a.ttl = outttl;
   }
+  // resolvers negative-cache for as long as the soa's ttl: rfc2308 sec 3
+  if (!dnsutil.isNegativeAnswer(packet)) return;
+  for (const a of packet.authorities || []) {
+    if (dnsutil.isAnswerSOA(a)) a.ttl = outttl;
+  }
 }
 
-export function makeId(packet) {
+/**
+ * @param {any} packet
+ * @param {string} tag - distinguishes answers from different upstreams
+ * @returns {string?}
+ */
+export function makeId(packet, tag = "") {
   // multiple questions are kind of an undefined behaviour
   // stackoverflow.com/a/55093896
   if (!dnsutil.hasSingleQuestion(packet)) return null;
   const q = packet.questions[0];
   const addn = dnsutil.hasDnssecOk(packet) ? ":dnssec" : "";
-  return dnsutil.normalizeName(q.name) + ":" + q.type + addn;
+  const t = util.emptyString(tag) ? "" : ":" + tag;
+  return dnsutil.normalizeName(q.name) + ":" + q.type + addn + t;
 }
 
 /**
@@ -164,10 +199,19 @@ export function makeHttpCacheValue(data) {
 
 /**
  * @param {any} packet
+ * @param {string} tag - see: makeId
  * @returns {URL}
  */
-export function makeHttpCacheKey(packet) {
-  const id = makeId(packet); // ex: domain.tld:A:dnssec
+export function makeHttpCacheKey(packet, tag = "") {
+  const id = makeId(packet, tag); // ex: domain.tld:A:dnssec:fwd-1x2y3z
+  return httpCacheKeyOf(id);
+}
+
+/**
+ * @param {string} id - see: makeId
+ * @returns {URL?}
+ */
+export function httpCacheKeyOf(id) {
   if (util.emptyString(id)) return null;
 
   return new URL(_cacheurl + cfg.timestamp() + "/" + id);
@@ -252,6 +296,47 @@ export function isAnswerFresh(m, n = 0) {
   }
 }
 
+/**
+ * @param {DnsCacheMetadata} m
+ * @param {number} staleSecs - secs past expiry an answer may be served for
+ * @returns {boolean} true if m is of an answer that may yet be served stale
+ */
+export function isAnswerServeable(m, staleSecs) {
+  if (!hasMetadata(m) || !(m.expiry > 0)) return false;
+  return Date.now() <= m.expiry + staleSecs * 1000;
+}
+
+/**
+ * @param {any} dnsPacket - a cached answer
+ * @param {number} qid
+ * @returns {any} dnsPacket with a short ttl and an extended dns error
+ */
+export function staleAnswer(dnsPacket, qid) {
+  updateQueryId(dnsPacket, qid);
+  const rrs = [...(dnsPacket.answers || []), ...(dnsPacket.authorities || [])];
+  for (const a of rrs) {
+    if (!dnsutil.optAnswer(a)) a.ttl = staleTtlSec;
+  }
+  const nx = dnsPacket.rcode === "NXDOMAIN";
+  const code = nx ? dnsutil.ede.staleNxdomainAnswer : dnsutil.ede.staleAnswer;
+  return dnsutil.addEde(dnsPacket, code);
+}
+
+/**
+ * @param {DnsCacheData} v - as got from the cache, before its ttl is updated
+ * @param {number} pct - refresh when within pct% of the answer's ttl
+ * @returns {number} time (in millis) when v is due a refresh; 0 if never
+ */
+export function prefetchTime(v, pct) {
+  if (!isValueValid(v) || !dnsutil.hasAnswers(v.dnsPacket)) return 0;
+  if (!(v.metadata.expiry > 0) || pct <= 0) return 0;
+
+  const ttl = answerTtl(v.dnsPacket) * 1000;
+  // answer-ttl ends cache-ttl before expiry; see: determineCacheExpiry
+  const end = v.metadata.expiry - envutil.cacheTtl() * 1000;
+  return end - Math.round((ttl * Math.min(pct, 100)) / 100);
+}
+
 export function updatedAnswer(dnsPacket, qid, expiry) {
   updateQueryId(dnsPacket, qid);
   updateTtl(dnsPacket, expiry);
@@ -9,16 +9,39 @@ import * as cfg from "../../core/cfg.js";
 import * as util from "../../commons/util.js";
 import * as rdnsutil from "../rdns-util.js";
 import * as dnsutil from "../../commons/dnsutil.js";
+import * as cacheutil from "../cache-util.js";
 import * as pres from "../plugin-response.js";
 import { flagsToTags, tagsToFlags } from "@serverless-dns/trie/stamp.js";
 import * as token from "../users/auth-token.js";
-import { BlocklistFilter } from "../rethinkdns/filter.js";
-import { LogPusher } from "../observability/log-pusher.js";
-import { BlocklistWrapper } from "../rethinkdns/main.js";
-import { DNSResolver } from "../dns-op/dns-op.js";
+
+/**
+ * @typedef {import("../rethinkdns/filter.js").BlocklistFilter} BlocklistFilter
+ * @typedef {import("../observability/log-pusher.js").LogPusher} LogPusher
+ * @typedef {import("../rethinkdns/main.js").BlocklistWrapper} BlocklistWrapper
+ * @typedef {import("../dns-op/dns-op.js").DNSResolver} DNSResolver
+ * @typedef {import("../dns-op/dns-op.js").DnsCache} DnsCache
+ * @typedef {import("../dns-op/dns-op.js").DNSCacheResponder} DNSCacheResponder
+ * @typedef {import("../users/user-store.js").UserStore} UserStore
+ * @typedef {import("../dns-op/dns-op.js").Explainer} Explainer
+ */
+
+// commands that are POSTed, as their inputs may not fit in a url
+const postCmds = new Set(["batchlookup", "profileput", "profiledel"]);
+// max names in a batchlookup
+const maxBatch = 10000;
+// qtypes purged when a name is purged sans a qtype
+const purgeTypes = ["A", "AAAA", "CNAME", "HTTPS", "SVCB", "TXT", "MX", "NS"];
 
 export class CommandControl {
-  constructor(blocklistWrapper, resolver, logPusher) {
+  constructor(
+    blocklistWrapper,
+    resolver,
+    logPusher,
+    cache,
+    userStore,
+    explainer,
+    cacheResponder
+  ) {
     this.latestTimestamp = rdnsutil.bareTimestampFrom(cfg.timestamp());
     this.log = log.withTags("CommandControl");
     /** @type {BlocklistWrapper} */
@@ -27,17 +50,38 @@ export class CommandControl {
     this.resolver = resolver;
     /** @type {LogPusher} */
     this.lp = logPusher;
+    /** @type {DnsCache} */
+    this.cache = cache;
+    /** @type {UserStore} */
+    this.store = userStore;
+    /** @type {Explainer} */
+    this.explainer = explainer;
+    /** @type {DNSCacheResponder} */
+    this.cacheResponder = cacheResponder;
     this.cmds = new Set([
       "configure",
       "config",
       "search",
       "dntolist",
+      "batchlookup",
+      "explain",
       "dntouint",
       "listtob64",
       "b64tolist",
+      "stampadd",
+      "stamprm",
+      "stampdiff",
       "genaccesskey",
       "analytics",
       "logs",
+      "cacheget",
+      "cachepurge",
+      "cacheflush",
+      "cachestats",
+      "profiles",
+      "profileget",
+      "profileput",
+      "profiledel",
     ]);
   }
 
@@ -46,8 +90,8 @@ export class CommandControl {
    * @returns {Promise<pres.RResp>}
    */
   async exec(ctx) {
-    // process only GET requests, ignore all others
-    if (util.isGetRequest(ctx.request)) {
+    // process only GET requests, and POSTs of post-commands, ignore all others
+    if (util.isGetRequest(ctx.request) || this.isPostCmd(ctx.request)) {
       return await this.commandOperation(
         ctx.rxid,
         ctx.request,
@@ -65,6 +109,17 @@ export class CommandControl {
     return this.cmds.has(s);
   }
 
+  /**
+   * @param {Request} req
+   * @returns {boolean} true if req is a POST of a command that is POSTed
+   */
+  isPostCmd(req) {
+    if (!util.isPostRequest(req) || util.isDnsMsg(req)) return false;
+
+    const p = this.userCommands(new URL(req.url));
+    return p.some((c) => postCmds.has(c));
+  }
+
   userCommands(url) {
     // r.x/a/b/c/ => ["", "a", "b", "c", ""]
     // abc.r.x/a => ["", "a"]
@@ -135,6 +190,15 @@ export class CommandControl {
       } else if (command === "b64tolist") {
         // convert blockstamp (b64) to blocklists (tags)
         response.data.httpResponse = b64ToList(queryString, blf);
+      } else if (command === "stampadd") {
+        // add blocklists (tags) to a blockstamp (b64 or b32)
+        response.data.httpResponse = stampEdit(queryString, /* add*/ true);
+      } else if (command === "stamprm") {
+        // remove blocklists (tags) from a blockstamp
+        response.data.httpResponse = stampEdit(queryString, /* add*/ false);
+      } else if (command === "stampdiff") {
+        // blocklists (tags) in one blockstamp but not the other
+        response.data.httpResponse = stampDiff(queryString, blf);
       } else if (command === "dntolist") {
         // convert names to blocklists (tags)
         response.data.httpResponse = await domainNameToList(
@@ -145,6 +209,23 @@ export class CommandControl {
           blf,
           this.latestTimestamp
         );
+      } else if (command === "batchlookup") {
+        // blocklists (tags) of many names, POSTed as json or one per line
+        response.data.httpResponse = await batchLookup(
+          req,
+          queryString,
+          blf,
+          b64UserFlag
+        );
+      } else if (command === "explain") {
+        // trace how a query for a name would be answered
+        response.data.httpResponse = await explain(
+          rxid,
+          this.explainer,
+          req,
+          queryString,
+          b64UserFlag
+        );
       } else if (command === "dntouint") {
         // convert names to flags
         response.data.httpResponse = domainNameToUint(
@@ -172,6 +253,58 @@ export class CommandControl {
       } else if (command === "logs") {
         // redirect to the logs page
         response.data.httpResponse = await logs(this.lp, reqUrl, auth, lid);
+      } else if (command === "cacheget") {
+        // answers to a name and qtype in the local and http caches
+        response.data.httpResponse = await cacheGet(
+          this.cache,
+          this.resolver,
+          queryString,
+          auth
+        );
+      } else if (command === "cachepurge") {
+        // delete a name (or its subdomains, too) from the caches
+        response.data.httpResponse = await cachePurge(
+          this.cache,
+          this.resolver,
+          queryString,
+          auth
+        );
+      } else if (command === "cacheflush") {
+        // delete everything from the local cache
+        response.data.httpResponse = await cacheFlush(this.cache, auth);
+      } else if (command === "cachestats") {
+        // hits, misses, evicts of the caches, and of answers (positive and
+        // negative) in them; and of upstream rescues
+        response.data.httpResponse = cacheStats(
+          this.cache,
+          this.resolver,
+          this.cacheResponder,
+          auth
+        );
+      } else if (command === "profiles") {
+        // ids of all profiles
+        response.data.httpResponse = await profileList(this.store, auth);
+      } else if (command === "profileget") {
+        response.data.httpResponse = await profileGet(
+          this.store,
+          queryString,
+          auth
+        );
+      } else if (command === "profileput") {
+        // create or replace a profile
+        response.data.httpResponse = await profilePut(
+          this.store,
+          req,
+          queryString,
+          auth
+        );
+      } else if (command === "profiledel") {
+        response.data.httpResponse = await profileDelete(
+          this.store,
+          req,
+          queryString,
+          auth
+        );
       } else if (command === "config" || command === "configure" || !isDnsCmd) {
         // redirect to configure page
         response.data.httpResponse = configRedirect(
@@ -227,7 +360,7 @@ async function generateAccessKey(queryString, hostname) {
   for (const d of util.domains(hostname)) {
     if (util.emptyString(d)) continue;
 
-    const [_, hexcat] = await token.gen(msg, d);
+    const [, hexcat] = await token.gen(msg, d);
     toks.push(hexcat);
   }
 
@@ -279,6 +412,229 @@ async function analytics(lp, reqUrl, auth, lid) {
   return plainResponse(r.body);
 }
 
+/**
+ * @param {DNSResolver} resolver
+ * @param {string} dn - domain name
+ * @param {string} qtype
+ * @returns {string[]} cache ids of dn and qtype, with and sans dnssec
+ */
+function cacheIdsOf(resolver, dn, qtype) {
+  const q = { name: dn, type: qtype };
+  const p = { questions: [q] };
+  const pdo = { questions: [q], additionals: [{ type: "OPT", flag_do: true }] };
+  // answers of forwarded queries are cached under a tag of their own
+  const tag = resolver.forwarders.tagOf(p);
+  return [cacheutil.makeId(p, tag), cacheutil.makeId(pdo, tag)];
+}
+
+/**
+ * @param {cacheutil.DnsCacheData?} v
+ * @returns {Object?}
+ */
+function cacheEntryOf(v) {
+  if (v == null) return null;
+  return {
+    expiry: v.metadata.expiry,
+    fresh: cacheutil.isAnswerFresh(v.metadata, /* no roll*/ 6),
+    rcode: v.dnsPacket ? v.dnsPacket.rcode : null,
+    answers: dnsutil.getInterestingAnswerData(v.dnsPacket),
+    stamps: v.metadata.stamps,
+  };
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {DNSResolver} resolver
+ * @param {URLSearchParams} queryString
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function cacheGet(cache, resolver, queryString, auth) {
+  // only operators (with access keys) may inspect the cache
+  if (!auth.yes) return util.respond401();
+
+  const dn = dnsutil.normalizeName(queryString.get("dn"));
+  const qtype = (queryString.get("type") || "A").toUpperCase();
+  if (util.emptyString(dn)) return util.respond400();
+
+  // ex: max.rethinkdns.com/cacheget?dn=example.com&type=AAAA
+  // res: { "domainName": "example.com", "type": "AAAA",
+  //        "entries": { "example.com:AAAA": { "local": {...}, "http": null }}}
+  const r = { domainName: dn, type: qtype, entries: {} };
+  for (const id of cacheIdsOf(resolver, dn, qtype)) {
+    const [l, h] = await cache.lookup(id);
+    if (l == null && h == null) continue;
+    r.entries[id] = { local: cacheEntryOf(l), http: cacheEntryOf(h) };
+  }
+
+  return jsonResponse(r);
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {DNSResolver} resolver
+ * @param {URLSearchParams} queryString
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function cachePurge(cache, resolver, queryString, auth) {
+  if (!auth.yes) return util.respond401();
+
+  const dn = dnsutil.normalizeName(queryString.get("dn"));
+  const qtype = queryString.get("type");
+  const suffix = queryString.get("suffix") === "true";
+  if (util.emptyString(dn)) return util.respond400();
+
+  const ids = new Set();
+  const qtypes = util.emptyString(qtype) ? purgeTypes : [qtype.toUpperCase()];
+  for (const t of qtypes) {
+    for (const id of cacheIdsOf(resolver, dn, t)) ids.add(id);
+  }
+  // subdomains are only known if they're in the local cache
+  if (suffix) {
+    for (const id of cache.idsOf(dn)) ids.add(id);
+  }
+
+  // ex: max.rethinkdns.com/cachepurge?dn=example.com&suffix=true
+  const n = await cache.purge(ids);
+  return jsonResponse({ domainName: dn, suffix: suffix, purged: n });
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function cacheFlush(cache, auth) {
+  if (!auth.yes) return util.respond401();
+
+  // entries in the http cache not put by this instance are not flushed
+  const n = await cache.flush();
+  return jsonResponse({ flushed: n });
+}
+
+/**
+ * @param {DnsCache} cache
+ * @param {DNSResolver} resolver
+ * @param {DNSCacheResponder} responder
+ * @param {token.Outcome} auth
+ * @returns {Response}
+ */
+function cacheStats(cache, resolver, responder, auth) {
+  if (!auth.yes) return util.respond401();
+
+  return jsonResponse({
+    cache: cache.stats,
+    keys: cache.keys.size,
+    // hits / misses of positive, and of negative (nxdomain, nodata) answers
+    answers: responder.stats,
+    negative: responder.negstats,
+    stale: resolver.stalestats,
+    // servfail / refused answers, and how often those were rescued
+    rcodes: resolver.rcodestats,
+  });
+}
+
+/**
+ * @param {UserStore} store
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function profileList(store, auth) {
+  // only operators (with access keys) may manage profiles
+  if (!auth.yes) return util.respond401();
+
+  return jsonResponse({ profiles: await store.profileIds() });
+}
+
+/**
+ * @param {UserStore} store
+ * @param {URLSearchParams} queryString
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function profileGet(store, queryString, auth) {
+  if (!auth.yes) return util.respond401();
+
+  const id = (queryString.get("id") || "").toLowerCase();
+  if (util.emptyString(id)) return util.respond400();
+
+  const p = await store.profileOf(id);
+  if (p == null) return util.respond404();
+
+  return jsonResponse(p);
+}
+
+/**
+ * @param {UserStore} store
+ * @param {Request} req
+ * @param {URLSearchParams} queryString
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function profilePut(store, req, queryString, auth) {
+  // changes are POSTed, so that links and prefetches can't make them
+  if (!util.isPostRequest(req)) return util.respond405();
+  if (!auth.yes) return util.respond401();
+
+  const id = (queryString.get("id") || "").toLowerCase();
+  if (util.emptyString(id)) return util.respond400();
+  // only the access key that made a profile may change it
+  if (!(await store.isOwner(id, auth.id))) return util.respond403();
+
+  // ex: POST max.rethinkdns.com/profileput?id=kids&stamp=1:YAYBACABEDAgAA==
+  //        &mode=nxdomain&rebind=block&allow=a.example.com&deny=*.b.co
+  // res: { "id": "kids", "stamp": "1:YAYBACABEDAgAA==", "mode": "nxdomain",
+  //        "rebind": "block", "allow": ["a.example.com"],
+  //        "deny": ["*.b.co"], "owner": "max.rethinkdns.com|d3adb3",
+  //        "updated": 1697040000000 }
+  // and the profile is then used as in max.rethinkdns.com/dns-query/p:kids
+  try {
+    const p = await store.putProfile(
+      id,
+      {
+        stamp: queryString.get("stamp"),
+        mode: queryString.get("mode"),
+        rebind: queryString.get("rebind"),
+        allow: csv(queryString.get("allow")),
+        deny: csv(queryString.get("deny")),
+      },
+      auth.id
+    );
+    return jsonResponse(p);
+  } catch (ex) {
+    return jsonResponse({ error: ex.message }, 400);
+  }
+}
+
+/**
+ * @param {UserStore} store
+ * @param {Request} req
+ * @param {URLSearchParams} queryString
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function profileDelete(store, req, queryString, auth) {
+  if (!util.isPostRequest(req)) return util.respond405();
+  if (!auth.yes) return util.respond401();
+
+  const id = (queryString.get("id") || "").toLowerCase();
+  if (util.emptyString(id)) return util.respond400();
+  if (!(await store.isOwner(id, auth.id))) return util.respond403();
+
+  const ok = await store.deleteProfile(id);
+  return jsonResponse({ id: id, deleted: ok });
+}
+
+/**
+ * @param {string?} s - comma separated values
+ * @returns {string[]}
+ */
+function csv(s) {
+  if (util.emptyString(s)) return [];
+  return s.split(",").filter((v) => !util.emptyString(v));
+}
+
 /**
  * @param {string} rxid
  * @param {DNSResolver} resolver
@@ -359,6 +715,119 @@ async function domainNameToList(
   return jsonResponse(r);
 }
 
+/**
+ * @param {Request} req
+ * @param {URLSearchParams} queryString
+ * @param {BlocklistFilter} blocklistFilter
+ * @param {string} userFlag - blockstamp in the url, if any
+ * @returns {Promise<Response>}
+ */
+async function batchLookup(req, queryString, blocklistFilter, userFlag) {
+  if (!util.isPostRequest(req)) return util.respond405();
+
+  const stamp = queryString.get("stamp") || userFlag || "";
+  const r = {
+    command: "Batch Lookup",
+    stamp: stamp,
+    count: 0,
+    domains: {},
+  };
+
+  let names = null;
+  let selected = null;
+  try {
+    names = namesIn(await req.text());
+    // only lists in the stamp, if any, are of interest
+    selected = util.emptyString(stamp) ? null : new Set(tagsOf(stamp));
+  } catch (ex) {
+    r.error = ex.message;
+    return jsonResponse(r, 400);
+  }
+  if (names.length > maxBatch) {
+    r.error = "too many names: " + names.length + " > " + maxBatch;
+    return jsonResponse(r, 413);
+  }
+
+  // ex: curl -X POST --data-binary @names.txt \
+  //       max.rethinkdns.com/batchlookup?stamp=1:AAIAgA==
+  // res: { "command": "Batch Lookup", "stamp": "1:AAIAgA==", "count": 2,
+  //        "domains": {
+  //          "ads.example.com": { "lists": ["172", "175"],
+  //              "names": { "ads.example.com": ["172"],
+  //                         "example.com": ["175"] } },
+  //          "example.org": { "lists": [], "names": {} },
+  //        ...
+  //      } }
+  for (const [n, stamps] of blocklistFilter.lookupAll(names)) {
+    const lists = new Set();
+    const matches = {};
+    for (const [name, uint] of stamps || []) {
+      let tags = flagsToTags(uint);
+      if (selected != null) tags = tags.filter((t) => selected.has(t));
+      if (util.emptyArray(tags)) continue;
+
+      matches[name] = tags;
+      for (const t of tags) lists.add(t);
+    }
+    r.domains[n] = { lists: [...lists], names: matches };
+    r.count += 1;
+  }
+
+  return jsonResponse(r);
+}
+
+/**
+ * @param {string} txt - json array of names, or one name per line
+ * @returns {string[]}
+ * @throws {Error} if txt is malformed json
+ */
+function namesIn(txt) {
+  if (util.emptyString(txt)) return [];
+
+  const s = txt.trim();
+  const json = s.startsWith("[") || s.startsWith("{");
+  const names = json ? JSON.parse(s) : s.split("\n");
+  if (!Array.isArray(names)) throw new Error("not a list of names");
+
+  return names
+    .filter((n) => typeof n === "string")
+    .map((n) => n.trim())
+    .filter((n) => !util.emptyString(n) && !n.startsWith("#"));
+}
+
+/**
+ * @param {string} rxid
+ * @param {Explainer} explainer
+ * @param {Request} req
+ * @param {URLSearchParams} queryString
+ * @param {string} userFlag - blockstamp in the url, if any
+ * @returns {Promise<Response>}
+ */
+async function explain(rxid, explainer, req, queryString, userFlag) {
+  const dn = dnsutil.normalizeName(queryString.get("dn"));
+  const qtype = queryString.get("type") || "A";
+  const stamp = queryString.get("stamp") || userFlag || "";
+  const mode = (queryString.get("mode") || "").toLowerCase();
+  if (util.emptyString(dn)) return util.respond400();
+
+  let blockInfo = null;
+  try {
+    blockInfo = rdnsutil.unstamp(stamp);
+  } catch (ex) {
+    return jsonResponse({ error: "invalid stamp: " + stamp }, 400);
+  }
+
+  // ex: max.rethinkdns.com/explain?dn=ads.example.com&type=A&stamp=1:...
+  // res: { "name": "ads.example.com", "type": "A", "lists": ["172", ...],
+  //        "prefilter": "off", "local": false, "forwarded": "",
+  //        "cache": "miss", "names": [{ "name": "ads.example.com",
+  //        "rule": "", "matched": "example.com", "inLists": ["172"],
+  //        "lists": ["172"], "blocked": true }], "ips": [], "answer": "",
+  //        "blocked": true, "by": "name", "response": "nullip" }
+  const why = await explainer.explain(rxid, req, dn, qtype, blockInfo, mode);
+  return jsonResponse(why);
+}
+
 /**
  * @param {string} queryString
  * @param {BlocklistFilter} blocklistFilter
@@ -446,12 +915,132 @@ function b64ToList(queryString, blocklistFilter) {
   return jsonResponse(r);
 }
 
+/**
+ * @param {string} stamp - b64 or b32 blockstamp; may be empty
+ * @returns {string[]} blocklists (tags) in stamp
+ * @throws {Error} if stamp is not a valid blockstamp
+ */
+function tagsOf(stamp) {
+  if (util.emptyString(stamp)) return [];
+  if (!rdnsutil.isStampQuery(stamp)) throw new Error("invalid stamp: " + stamp);
+
+  const s = rdnsutil.unstamp(stamp);
+  if (!rdnsutil.hasBlockstamp(s)) throw new Error("invalid stamp: " + stamp);
+
+  return flagsToTags(s.userBlocklistFlagUint);
+}
+
+/**
+ * @param {string[]} tags - blocklists, as in a list-param
+ * @returns {string[]} tags, as in those decoded from a blockstamp
+ */
+function normalizeTags(tags) {
+  if (util.emptyArray(tags)) return [];
+  return flagsToTags(tagsToFlags(tags));
+}
+
+/**
+ * @param {URLSearchParams} queryString
+ * @param {boolean} add - add (true) or remove (false) blocklists
+ * @returns {Response}
+ */
+function stampEdit(queryString, add) {
+  const stamp = queryString.get("stamp") || "";
+  const list = (queryString.get("list") || "")
+    .split(",")
+    .filter((t) => !util.emptyString(t));
+
+  // ex: max.rethinkdns.com/stampadd?stamp=1:AAIAgA==&list=172,175
+  // res: { "command": "Stamp Add", "inputStamp": "1:AAIAgA==",
+  //        "inputList": ["172", "175"], "list": [..., "172", "175"],
+  //        "b64String": "1:...", "b32String": "1-..." }
+  // where b32String is the same stamp as b64String, but for use in dot
+  const r = {
+    command: add ? "Stamp Add" : "Stamp Remove",
+    inputStamp: stamp,
+    inputList: list,
+    list: [],
+    b64String: "",
+    b32String: "",
+  };
+
+  let tags = null;
+  let edits = null;
+  try {
+    tags = new Set(tagsOf(stamp));
+    edits = normalizeTags(list);
+  } catch (ex) {
+    r.error = ex.message;
+    return jsonResponse(r, 400);
+  }
+
+  for (const t of edits) {
+    if (add) tags.add(t);
+    else tags.delete(t);
+  }
+
+  r.list = [...tags];
+  if (util.emptyArray(r.list)) return jsonResponse(r);
+
+  const flags = tagsToFlags(r.list);
+  r.b64String = rdnsutil.getB64Flag(flags, "1");
+  r.b32String = rdnsutil.getB32Flag(flags);
+
+  return jsonResponse(r);
+}
+
+/**
+ * @param {URLSearchParams} queryString
+ * @param {BlocklistFilter} blocklistFilter
+ * @returns {Response}
+ */
+function stampDiff(queryString, blocklistFilter) {
+  const a = queryString.get("a") || "";
+  const b = queryString.get("b") || "";
+
+  // ex: max.rethinkdns.com/stampdiff?a=1:AAIAgA==&b=1-madacabaaeidaiaa
+  // res: { "command": "Stamp Diff", "inputA": "1:AAIAgA==",
+  //        "inputB": "1-madacabaaeidaiaa", "both": [...],
+  //        "onlyA": { "175": { "value": 175, "vname": "...", ... } },
+  //        "onlyB": { ... } }
+  const r = {
+    command: "Stamp Diff",
+    inputA: a,
+    inputB: b,
+    both: [],
+    onlyA: {},
+    onlyB: {},
+  };
+
+  let tagsA = null;
+  let tagsB = null;
+  try {
+    tagsA = new Set(tagsOf(a));
+    tagsB = new Set(tagsOf(b));
+  } catch (ex) {
+    r.error = ex.message;
+    return jsonResponse(r, 400);
+  }
+
+  const onlyA = [...tagsA].filter((t) => !tagsB.has(t));
+  const onlyB = [...tagsB].filter((t) => !tagsA.has(t));
+  r.both = [...tagsA].filter((t) => tagsB.has(t));
+  r.onlyA = blocklistFilter.extract(onlyA);
+  r.onlyB = blocklistFilter.extract(onlyB);
+
+  return jsonResponse(r);
+}
+
 /**
  * @param {Object} obj
+ * @param {number} status - http status code
  * @returns {Response}
  */
-function jsonResponse(obj) {
-  return new Response(JSON.stringify(obj), { headers: util.jsonHeaders() });
+function jsonResponse(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status: status,
+    headers: util.jsonHeaders(),
+  });
 }
 
 /**
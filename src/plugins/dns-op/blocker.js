@@ -25,13 +25,16 @@ export class DnsBlocker {
     const dnsPacket = req.dnsPacket;
     const stamps = req.stamps;
 
-    if (!stamps) {
+    // user rules apply even to names with no stamps
+    const hasRules = rdnsutil.hasUserRules(blockInfo);
+
+    if (!stamps && !hasRules) {
       this.log.d(rxid, "q: no stamp");
       return req;
     }
 
-    if (!rdnsutil.hasBlockstamp(blockInfo)) {
-      this.log.d(rxid, "q: no user-set blockstamp");
+    if (!rdnsutil.hasBlockstamp(blockInfo) && !hasRules) {
+      this.log.d(rxid, "q: no user-set blockstamp / rules");
       return req;
     }
 
@@ -41,7 +44,7 @@ export class DnsBlocker {
     }
 
     const domains = dnsutil.extractDomains(dnsPacket);
-    const bres = this.block(domains, blockInfo, stamps);
+    const bres = this.block(domains, blockInfo, stamps || {});
 
     return pres.copyOnlyBlockProperties(req, bres);
   }
@@ -54,33 +57,45 @@ export class DnsBlocker {
    */
   blockAnswer(rxid, res, blockInfo) {
     const dnsPacket = res.dnsPacket;
-    const stamps = res.stamps;
+    const stamps = res.stamps || {};
+    const hasRules = rdnsutil.hasUserRules(blockInfo);
 
     // dnsPacket is null when cache only has metadata
-    if (!stamps || !dnsutil.hasAnswers(dnsPacket)) {
+    if ((!res.stamps && !hasRules) || !dnsutil.hasAnswers(dnsPacket)) {
       this.log.d(rxid, "ans: no stamp / dns-packet");
       return res;
     }
 
-    if (!rdnsutil.hasBlockstamp(blockInfo)) {
-      this.log.d(rxid, "ans: no user-set blockstamp");
+    if (!rdnsutil.hasBlockstamp(blockInfo) && !hasRules) {
+      this.log.d(rxid, "ans: no user-set blockstamp / rules");
       return res;
     }
 
-    if (!dnsutil.isAnswerBlockable(dnsPacket)) {
-      this.log.d(rxid, "ans not cloaked with cname/https/svcb");
+    if (dnsutil.isAnswerQuad0(dnsPacket)) {
+      this.log.d(rxid, "ans: already blocked");
       return res;
     }
 
-    if (dnsutil.isAnswerQuad0(dnsPacket)) {
-      this.log.d(rxid, "ans: already blocked");
+    // a name the user allowed is answered as-is, whatever it is cloaked by
+    const q = dnsutil.extractDomains(dnsPacket)[0];
+    if (rdnsutil.userVerdict(q, blockInfo) === "allow") {
+      this.log.d(rxid, "ans: allowed by user", q);
       return res;
     }
 
-    const domains = dnsutil.extractDomains(dnsPacket);
-    const bres = this.block(domains, blockInfo, stamps);
+    if (dnsutil.isAnswerBlockable(dnsPacket)) {
+      const domains = dnsutil.extractDomains(dnsPacket);
+      const bres = this.block(domains, blockInfo, stamps);
+      pres.copyOnlyBlockProperties(res, bres);
+      if (res.isBlocked) return res;
+    } else {
+      this.log.d(rxid, "ans not cloaked with cname/https/svcb");
+    }
 
-    return pres.copyOnlyBlockProperties(res, bres);
+    const ips = dnsutil.extractIps(dnsPacket);
+    const ires = this.blockIps(ips, blockInfo, stamps);
+    // ips not in any of the user-selected blocklists leave res as-is
+    return ires.isBlocked ? pres.copyOnlyBlockProperties(res, ires) : res;
   }
 
   /**
@@ -97,4 +112,19 @@ export class DnsBlocker {
     }
     return r;
   }
+
+  /**
+   * @param {string[]} ips
+   * @param {pres.BlockstampInfo} blockInfo
+   * @param {pres.BStamp} blockstamps
+   * @returns {pres.RespData}
+   */
+  blockIps(ips, blockInfo, blockstamps) {
+    let r = pres.rdnsNoBlockResponse();
+    for (const ip of ips) {
+      r = rdnsutil.doBlockIp(ip, blockInfo, blockstamps);
+      if (r.isBlocked) break;
+    }
+    return r;
+  }
 }
@@ -38,4 +38,15 @@ export class CacheApi {
     // todo: what does this return?
     return caches.default.put(href, response);
   }
+
+  /**
+   * @param {string} href
+   * @returns {Promise<boolean>} true if an entry was deleted
+   */
+  async delete(href) {
+    if (this.noop) return false;
+    if (!href) return false;
+
+    return await caches.default.delete(href);
+  }
 }
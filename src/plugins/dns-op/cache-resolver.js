@@ -7,6 +7,7 @@
  */
 
 import { DnsBlocker } from "./blocker.js";
+import { RebindGuard } from "./rebind.js";
 import * as cacheutil from "../cache-util.js";
 import * as rdnsutil from "../rdns-util.js";
 import * as pres from "../plugin-response.js";
@@ -14,17 +15,27 @@ import * as dnsutil from "../../commons/dnsutil.js";
 import * as util from "../../commons/util.js";
 
 export class DNSCacheResponder {
-  constructor(blocklistWrapper, cache) {
+  constructor(blocklistWrapper, cache, forwarders, prefetcher) {
     this.blocker = new DnsBlocker();
     this.log = log.withTags("DnsCacheResponder");
     /** @type {import("./cache.js").DnsCache} */
     this.cache = cache;
+    /** @type {import("./forwarders.js").Forwarders} */
+    this.forwarders = forwarders;
+    this.rebind = new RebindGuard(forwarders);
+    /** @type {import("./prefetcher.js").Prefetcher} */
+    this.prefetcher = prefetcher;
+    // hits / misses of positive answers; and separately, of negative
+    // (nxdomain, nodata) answers; keys not in the cache count as misses of
+    // positive answers, since there is no telling what they would have been
+    this.stats = { hit: 0, miss: 0 };
+    this.negstats = { hit: 0, miss: 0 };
     /** @type {import("../rethinkdns/main.js").BlocklistWrapper} */
     this.bw = blocklistWrapper;
   }
 
   /**
-   * @param {{userBlocklistInfo: any, requestDecodedDnsPacket: any, isDnsMsg: boolean}} ctx
+   * @param {{userBlocklistInfo: any, userRebindMode: string, requestDecodedDnsPacket: any, isDnsMsg: boolean, dispatcher: function(function):void}} ctx
    * @returns {Promise<pres.RResp>}
    */
   async exec(ctx) {
@@ -35,11 +46,13 @@ export class DNSCacheResponder {
     }
 
     try {
-      response.data = await this.resolveFromCache(
+      const r = await this.resolveFromCache(
         ctx.rxid,
         ctx.requestDecodedDnsPacket,
-        ctx.userBlocklistInfo
+        ctx.userBlocklistInfo,
+        ctx
       );
+      response.data = this.rebind.guard(ctx.rxid, r, ctx.userRebindMode);
     } catch (e) {
       this.log.e(ctx.rxid, "main", e.stack);
       response = pres.errResponse("DnsCacheHandler", e);
@@ -52,9 +65,10 @@ export class DNSCacheResponder {
    * @param {string} rxid
    * @param {any} packet
    * @param {pres.BStamp} blockInfo
+   * @param {Object} ctx - see: Prefetcher.maybePrefetch
    * @returns {Promise<pres.RespData>}
    */
-  async resolveFromCache(rxid, packet, blockInfo) {
+  async resolveFromCache(rxid, packet, blockInfo, ctx) {
     const noAnswer = pres.rdnsNoBlockResponse();
     // if blocklist-filter is setup, then there's no need to query http-cache
     // (it introduces 5ms to 10ms latency). Because, the sole purpose of the
@@ -70,13 +84,17 @@ export class DNSCacheResponder {
     const onlyLocal =
       this.bw.disabled() || rdnsutil.isBlocklistFilterSetup(blf);
 
-    const k = cacheutil.makeHttpCacheKey(packet);
+    // answers of forwarded queries are cached under a key of their own
+    const k = cacheutil.makeHttpCacheKey(packet, this.forwarders.tagOf(packet));
     if (!k) return noAnswer;
 
     const cr = await this.cache.get(k, onlyLocal);
     this.log.d(rxid, onlyLocal, "cache k/m", k.href, cr && cr.metadata);
 
-    if (util.emptyObj(cr)) return noAnswer;
+    if (util.emptyObj(cr)) {
+      this.stats.miss += 1;
+      return noAnswer;
+    }
 
     // note: stamps in cr may be out-of-date; for ex, consider a
     // scenario where v6.example.com AAAA to fda3:: today,
@@ -91,10 +109,18 @@ export class DNSCacheResponder {
 
     if (res.isBlocked) return res;
 
+    const st = dnsutil.isNegativeAnswer(cr.dnsPacket)
+      ? this.negstats
+      : this.stats;
     if (!cacheutil.isAnswerFresh(cr.metadata)) {
-      this.log.d(rxid, "cache ans not fresh");
+      st.miss += 1;
+      this.log.d(rxid, "cache ans not fresh", this.stats, this.negstats);
       return noAnswer;
     }
+    st.hit += 1;
+
+    // must be before the answer's ttl is updated
+    this.prefetcher.maybePrefetch(rxid, k, cr, ctx);
 
     cacheutil.updatedAnswer(
       /* out*/ res.dnsPacket,
@@ -8,6 +8,7 @@
 
 import { LfuCache } from "@serverless-dns/lfu-cache";
 import { CacheApi } from "./cache-api.js";
+import * as cfg from "../../core/cfg.js";
 import * as bufutil from "../../commons/bufutil.js";
 import * as dnsutil from "../../commons/dnsutil.js";
 import * as envutil from "../../commons/envutil.js";
@@ -26,6 +27,179 @@ export class DnsCache {
 
     this.localcache = new LfuCache("DnsCache", size);
     this.httpcache = new CacheApi();
+    // hits per local-cache key; all counts are reset once there are
+    // as many keys as the local-cache can hold
+    /** @type {Map<string, int>} */
+    this.hits = new Map();
+    this.size = size;
+    // values put in the local-cache by key, oldest first, to snapshot it
+    // with, as reads from the local-cache count towards its lfu; may have
+    // values that have since been evicted from the local-cache
+    /** @type {Map<string, any>} */
+    this.keys = new Map();
+    // evicts are local-cache misses of keys known to have been put in it
+    this.stats = { hit: 0, httphit: 0, miss: 0, put: 0, evict: 0, purge: 0 };
+  }
+
+  /**
+   * @param {string} id - see: cacheutil.makeId
+   * @returns {Promise<[cacheutil.DnsCacheData?, cacheutil.DnsCacheData?]>}
+   * entries in the local-cache and in the http-cache, if any
+   */
+  async lookup(id) {
+    const url = cacheutil.httpCacheKeyOf(id);
+    if (this.disabled || !url) return [null, null];
+
+    // unlike get, neither counts as a hit nor writes-through
+    const l = this.fromLocalCache(url.href);
+    const h = await this.fromHttpCache(url);
+    return [l, h];
+  }
+
+  /**
+   * @param {string} name - domain name
+   * @returns {string[]} ids of names that are name or its subdomains, of
+   * entries known to have been put in the local-cache
+   */
+  idsOf(name) {
+    const ids = [];
+    if (this.disabled || util.emptyString(name)) return ids;
+
+    const sub = "." + name;
+    for (const k of this.keys.keys()) {
+      // k is "/" + id, and id is "name:qtype[:dnssec][:tag]"
+      const id = k.slice(1);
+      const n = id.slice(0, id.indexOf(":"));
+      if (n === name || n.endsWith(sub)) ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Deletes entries from both the local-cache and the http-cache.
+   * @param {Iterable<string>} ids - see: cacheutil.makeId
+   * @returns {Promise<int>} entries deleted from either cache
+   */
+  async purge(ids) {
+    if (this.disabled) return 0;
+
+    let n = 0;
+    for (const id of ids) {
+      const url = cacheutil.httpCacheKeyOf(id);
+      if (!url) continue;
+
+      const k = localKeyOf(url.href);
+      // there's no delete; an empty value is as good as a missing one,
+      // though it takes up a slot in the local-cache until it is evicted;
+      // such tombstones are not counted in stats.put, nor kept in keys
+      const l = this.fromLocalCache(url.href) != null;
+      if (l) this.localcache.put(k, {});
+      this.keys.delete(k);
+      this.hits.delete(k);
+
+      const h = await this.httpcache.delete(url.href);
+      if (l || h) n += 1;
+    }
+    this.stats.purge += n;
+    this.log.i("purged", n, "entries");
+    return n;
+  }
+
+  /**
+   * Empties the local-cache, and deletes from the http-cache entries known
+   * to have been put in the local-cache; others in the http-cache remain.
+   * @returns {Promise<int>} entries deleted
+   */
+  async flush() {
+    if (this.disabled) return 0;
+
+    const ids = [...this.keys.keys()].map((k) => k.slice(1));
+    const n = await this.purge(ids);
+    this.localcache = new LfuCache("DnsCache", this.size);
+    this.keys.clear();
+    this.hits.clear();
+    return n;
+  }
+
+  /**
+   * @param {int} max - max entries, the most hit (then, recent) first
+   * @returns {{version: string, entries: Array<[string, string, cacheutil.DnsCacheMetadata]>}}
+   */
+  snapshot(max) {
+    const entries = [];
+    const snap = { version: cfg.timestamp(), entries: entries };
+    if (this.disabled) return snap;
+
+    const now = Date.now();
+    const hitsOf = (k) => this.hits.get(k) || 0;
+    // sort is stable; and so, among keys with equal hits, recent come first
+    const all = [...this.keys.keys()];
+    const keys = all.reverse().sort((a, b) => hitsOf(b) - hitsOf(a));
+    for (const k of keys) {
+      if (entries.length >= max) break;
+
+      const v = this.keys.get(k);
+      if (util.emptyObj(v) || bufutil.emptyBuf(v.dnsBuffer)) continue;
+      // questions (expiry 0) and expired answers are left out
+      if (!cacheutil.hasMetadata(v.metadata)) continue;
+      if (!(v.metadata.expiry > now)) continue;
+
+      entries.push([k, bufutil.bytesToBase64Url(v.dnsBuffer), v.metadata]);
+    }
+    return snap;
+  }
+
+  /**
+   * @param {{version: string, entries: Array<[string, string, any]>}} snap
+   * @param {int} max - max entries to restore
+   * @returns {int} entries restored
+   */
+  restore(snap, max) {
+    if (this.disabled || util.emptyObj(snap)) return 0;
+    // stamps in metadata are only valid for the blocklists they're from
+    if (snap.version !== cfg.timestamp()) {
+      this.log.w("restore: snapshot version mismatch", snap.version);
+      return 0;
+    }
+    if (util.emptyArray(snap.entries)) return 0;
+
+    const now = Date.now();
+    let n = 0;
+    for (const [k, b64, m] of snap.entries) {
+      if (n >= max) break;
+      if (util.emptyString(k) || util.emptyObj(m) || !(m.expiry > now)) {
+        continue;
+      }
+
+      const b = bufutil.base64ToBytes(b64);
+      if (bufutil.emptyBuf(b)) continue;
+      const metadata = new cacheutil.DnsCacheMetadata(m.expiry, m.stamps);
+      const v = cacheutil.makeCacheValue(null, b, metadata);
+      this.localcache.put(k, v);
+      this.keys.set(k, v);
+      n += 1;
+    }
+    this.log.i("restored", n, "of", snap.entries.length, "entries");
+    return n;
+  }
+
+  /**
+   * @param {URL} url
+   * @returns {int} number of times url was got from the cache
+   */
+  hitsOf(url) {
+    if (this.disabled || !url) return 0;
+    return this.hits.get(localKeyOf(url.href)) || 0;
+  }
+
+  /**
+   * @param {string} href
+   */
+  hit(href) {
+    const k = localKeyOf(href);
+    if (!k) return;
+    if (this.hits.size >= this.size && !this.hits.has(k)) this.hits.clear();
+    this.hits.set(k, (this.hits.get(k) || 0) + 1);
   }
 
   /**
@@ -46,17 +220,27 @@ export class DnsCache {
     // entry, whereas a local-cache may not.
     let data = this.fromLocalCache(url.href);
     if (data) {
+      this.stats.hit += 1;
+      this.hit(url.href);
       return data;
     }
+    if (this.keys.has(localKeyOf(url.href))) this.stats.evict += 1;
 
     // fetch only from local-cache
-    if (localOnly) return null;
+    if (localOnly) {
+      this.stats.miss += 1;
+      return null;
+    }
 
     // note: http cache api availble only on cloudflare
     data = await this.fromHttpCache(url);
     if (data) {
+      this.stats.httphit += 1;
+      this.hit(url.href);
       // write-through local cache
       this.putLocalCache(url.href, data);
+    } else {
+      this.stats.miss += 1;
     }
 
     return data;
@@ -100,6 +284,7 @@ export class DnsCache {
       } // else: override cachedEntry with incoming
 
       this.putLocalCache(url.href, data);
+      this.stats.put += 1;
 
       dispatcher(this.putHttpCache(url, data));
     } catch (e) {
@@ -113,14 +298,18 @@ export class DnsCache {
    * @returns {void}
    */
   putLocalCache(href, data) {
-    // href "https://caches.rethinkdns.com/2023/1682978161602/0.test.dns0.eu:A"
-    // k "/0.test.dns0.eu:A"
-    const k = href.slice(href.lastIndexOf("/"));
+    const k = localKeyOf(href);
     const v = cacheutil.makeLocalCacheValue(data);
 
     if (!k || !v) return;
 
     this.localcache.put(k, v);
+    // move k to the end, as it is now the most recent
+    this.keys.delete(k);
+    this.keys.set(k, v);
+    if (this.keys.size > this.size) {
+      this.keys.delete(this.keys.keys().next().value);
+    }
   }
 
   /**
@@ -128,7 +317,7 @@ export class DnsCache {
    * @returns {cacheutil.DnsCacheData|null}
    */
   fromLocalCache(href) {
-    const key = href.slice(href.lastIndexOf("/"));
+    const key = localKeyOf(href);
     if (!key) return false;
 
     const res = this.localcache.get(key);
@@ -182,3 +371,9 @@ export class DnsCache {
     return cacheutil.isValueValid(cr) ? cr : null;
   }
 }
+
+function localKeyOf(href) {
+  // href "https://caches.rethinkdns.com/2023/1682978161602/0.test.dns0.eu:A"
+  // k "/0.test.dns0.eu:A"
+  return href.slice(href.lastIndexOf("/"));
+}
@@ -10,5 +10,18 @@ import DNSResolver from "./resolver.js";
 import { DNSPrefilter } from "./prefilter.js";
 import { DNSCacheResponder } from "./cache-resolver.js";
 import { DnsCache } from "./cache.js";
+import { Explainer } from "./explain.js";
+import { Forwarders } from "./forwarders.js";
+import { LocalRecords } from "./local-records.js";
+import { Prefetcher } from "./prefetcher.js";
 
-export { DNSResolver, DNSCacheResponder, DnsCache, DNSPrefilter };
+export {
+  DNSResolver,
+  DNSCacheResponder,
+  DnsCache,
+  DNSPrefilter,
+  Explainer,
+  Forwarders,
+  LocalRecords,
+  Prefetcher,
+};
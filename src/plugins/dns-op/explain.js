@@ -0,0 +1,339 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import { flagsToTags } from "@serverless-dns/trie/stamp.js";
+import * as pres from "../plugin-response.js";
+import * as cacheutil from "../cache-util.js";
+import * as rdnsutil from "../rdns-util.js";
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as envutil from "../../commons/envutil.js";
+import * as util from "../../commons/util.js";
+import { isUndelegated } from "./prefilter.js";
+
+// "why blocked" queries are TXT queries for a name under this suffix, as in
+// ads.example.com._why; or ads.example.com._aaaa._why, for a qtype not A
+const whyTld = "_why";
+// max length of a character-string in a TXT record: rfc1035 sec 3.3
+const maxTxtLen = 255;
+// header flags: recursion desired, recursion available
+const flagRD = 1 << 8;
+const flagRA = 1 << 7;
+
+/**
+ * @typedef {Object} Explanation
+ * @property {string} name
+ * @property {string} type - qtype
+ * @property {string[]} lists - blocklists in the user's stamp
+ * @property {string} prefilter - off, pass, or undelegated
+ * @property {boolean} local - answered by local records
+ * @property {string} forwarded - tag of the forwarding rule, if any
+ * @property {string} cache - miss, or where the answer was found
+ * @property {rdnsutil.BlockTrace[]} names - question, and names in the answer
+ * @property {rdnsutil.BlockTrace[]} ips - ips in the answer
+ * @property {string} answer - rcode, or interesting bits of the answer
+ * @property {boolean} blocked
+ * @property {string} by - prefilter, rule, name, or ip
+ * @property {string} response - block mode, if blocked; or, the rcode
+ */
+
+// Explainer traces how a query would be answered, step by step, the same
+// way the plugins (prefilter, local records, cache, resolver, blocker) do.
+// Traces are served as json by command-control (explain), and as TXT
+// answers to "why blocked" queries, for dot (and do53) clients to debug with
+// as in: dig @max.rethinkdns.com TXT ads.example.com._why
+export class Explainer {
+  /**
+   * @param {import("../rethinkdns/main.js").BlocklistWrapper} blocklistWrapper
+   * @param {import("./cache.js").DnsCache} cache
+   * @param {import("./resolver.js").default} resolver
+   * @param {import("./local-records.js").LocalRecords} localRecords
+   */
+  constructor(blocklistWrapper, cache, resolver, localRecords) {
+    this.bw = blocklistWrapper;
+    this.cache = cache;
+    this.resolver = resolver;
+    this.localRecords = localRecords;
+    this.log = log.withTags("Explainer");
+  }
+
+  async close() {
+    // no-op
+  }
+
+  /**
+   * @param {{rxid: string, request: Request, requestDecodedDnsPacket: any, userBlocklistInfo: pres.BlockstampInfo, userBlockMode: string, isDnsMsg: boolean}} ctx
+   * @returns {Promise<pres.RResp>}
+   */
+  async exec(ctx) {
+    let r = pres.emptyResponse();
+    if (!ctx.isDnsMsg) return r;
+
+    const packet = ctx.requestDecodedDnsPacket;
+    const [name, qtype] = whyQueryOf(packet);
+    if (util.emptyString(name)) return r;
+
+    try {
+      const why = await this.explain(
+        ctx.rxid,
+        ctx.request,
+        name,
+        qtype,
+        ctx.userBlocklistInfo,
+        ctx.userBlockMode
+      );
+      r.data = txtAnswer(packet, linesOf(why));
+    } catch (e) {
+      r = pres.errResponse("explainer", e);
+      this.log.e(ctx.rxid, "main", e);
+    }
+
+    return r;
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {Request} req - request the query (or command) was sent in
+   * @param {string} name - domain name
+   * @param {string} qtype - ex: A, AAAA, HTTPS
+   * @param {pres.BlockstampInfo?} blockInfo - user's stamp and rules
+   * @param {string} mode - user's block mode, if any
+   * @returns {Promise<Explanation>}
+   */
+  async explain(rxid, req, name, qtype, blockInfo, mode = "") {
+    name = dnsutil.normalizeName(name);
+    qtype = (qtype || "A").toUpperCase();
+    const query = dnsutil.mkQ(0, [{ name: name, type: qtype }]);
+    const packet = dnsutil.decode(query);
+    blockInfo = blockInfo || new pres.BlockstampInfo();
+
+    const why = {
+      name: name,
+      type: qtype,
+      lists: rdnsutil.hasBlockstamp(blockInfo)
+        ? flagsToTags(blockInfo.userBlocklistFlagUint)
+        : [],
+      prefilter: "off",
+      local: false,
+      forwarded: "",
+      cache: "miss",
+      names: [],
+      ips: [],
+      answer: "",
+      blocked: false,
+      by: "",
+      response: "",
+    };
+    mode = dnsutil.blockModes.has(mode) ? mode : envutil.blockMode();
+
+    // ref: DNSPrefilter, which runs only when recursing
+    if (envutil.recursive()) {
+      why.prefilter = isUndelegated(name) ? "undelegated" : "pass";
+      if (why.prefilter !== "pass") {
+        return blocked(why, "prefilter", "nxdomain");
+      }
+    }
+
+    // ref: LocalRecords, which answer before blocklists apply
+    const lr = this.localRecords
+      ? this.localRecords.answer(rxid, packet)
+      : null;
+    if (lr != null && dnsutil.isAnswer(lr.dnsPacket)) {
+      why.local = true;
+      return answered(why, lr.dnsPacket);
+    }
+
+    // ref: DNSCacheResponder, and DNSResolver
+    const fwd = this.resolver.forwarders.match(packet);
+    why.forwarded = fwd ? fwd.tag : "";
+    let ans = await this.cached(why, packet, why.forwarded);
+    if (ans == null) ans = await this.resolve(rxid, req, query, packet, fwd);
+
+    await this.bw.init(rxid, /* force-wait */ true);
+    const blf = this.bw.getBlocklistFilter();
+    const stamps =
+      rdnsutil.blockstampFromBlocklistFilter(ans || packet, blf) || {};
+
+    // ref: DnsBlocker.blockQuestion
+    const q = rdnsutil.explainBlock(name, blockInfo, stamps);
+    why.names.push(q);
+    if (q.blocked) return blocked(why, q.rule ? "rule" : "name", mode);
+    // allowed names are answered as-is, ref: DnsBlocker.blockAnswer
+    if (q.rule === "allow" || ans == null) return answered(why, ans);
+
+    // names other than the question are checked only if ans is cloaked
+    const names = dnsutil.isAnswerBlockable(ans)
+      ? dnsutil.extractDomains(ans).filter((n) => n !== name)
+      : [];
+    for (const n of names) {
+      const w = rdnsutil.explainBlock(n, blockInfo, stamps);
+      why.names.push(w);
+      if (w.blocked) return blocked(why, w.rule ? "rule" : "name", mode);
+    }
+    for (const ip of dnsutil.extractIps(ans)) {
+      const w = rdnsutil.explainBlock(ip, blockInfo, stamps, /* isIp */ true);
+      why.ips.push(w);
+      if (w.blocked) return blocked(why, "ip", mode);
+    }
+
+    return answered(why, ans);
+  }
+
+  /**
+   * @param {Explanation} why - out
+   * @param {any} packet - query
+   * @param {string} tag - forwarding tag, if any
+   * @returns {Promise<any>} cached answer to packet, if fresh
+   */
+  async cached(why, packet, tag) {
+    const id = cacheutil.makeId(packet, tag);
+    const [l, h] = await this.cache.lookup(id);
+    const c = l || h;
+    if (c == null || c.dnsPacket == null) return null;
+
+    const fresh = cacheutil.isAnswerFresh(c.metadata);
+    why.cache = (l ? "local" : "http") + (fresh ? "" : ", stale");
+    return fresh ? c.dnsPacket : null;
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {Request} req
+   * @param {ArrayBuffer} query
+   * @param {any} packet - query, decoded
+   * @param {any} fwd - forwarding rule, if any
+   * @returns {Promise<any>} answer from upstreams, if any
+   */
+  async resolve(rxid, req, query, packet, fwd) {
+    // ref: DNSResolver.prefetch
+    const resolverUrls = fwd
+      ? this.resolver.determineForwardResolvers(fwd)
+      : this.resolver.determineDohResolvers();
+    try {
+      const res = await this.resolver.resolveDnsUpstream(
+        rxid,
+        req,
+        resolverUrls,
+        query,
+        packet,
+        fwd,
+        /* fromCache */ false
+      );
+      if (!res || !res.ok) return null;
+      return dnsutil.decode(await res.arrayBuffer());
+    } catch (ex) {
+      this.log.w(rxid, "resolve", packet.questions, ex.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * @param {any} packet - dns query
+ * @returns {string[]} name and qtype the "why blocked" packet asks about
+ */
+function whyQueryOf(packet) {
+  const none = ["", ""];
+  if (!dnsutil.hasSingleQuestion(packet)) return none;
+
+  const q = packet.questions[0];
+  if (q.type !== "TXT") return none;
+
+  const labels = dnsutil.normalizeName(q.name).split(".");
+  if (labels.length < 2 || labels.pop() !== whyTld) return none;
+
+  // qtype, if any, is the label before the tld, prefixed with an underscore
+  let qtype = "A";
+  const t = labels[labels.length - 1];
+  if (t.startsWith("_") && labels.length > 1) {
+    qtype = t.slice(1).toUpperCase();
+    labels.pop();
+  }
+  return [labels.join("."), qtype];
+}
+
+/**
+ * @param {Explanation} why - out
+ * @param {string} by
+ * @param {string} response - block mode
+ * @returns {Explanation}
+ */
+function blocked(why, by, response) {
+  why.blocked = true;
+  why.by = by;
+  why.response = response;
+  return why;
+}
+
+/**
+ * @param {Explanation} why - out
+ * @param {any} ans - answer, if any
+ * @returns {Explanation}
+ */
+function answered(why, ans) {
+  why.answer = ans ? dnsutil.getInterestingAnswerData(ans) : "";
+  why.response = ans ? ans.rcode || "NOERROR" : "SERVFAIL";
+  return why;
+}
+
+/**
+ * @param {rdnsutil.BlockTrace} w
+ * @returns {string}
+ */
+function lineOf(w) {
+  if (w.rule === "allow") return w.name + ": allowed by user rule";
+  if (w.rule === "deny") return w.name + ": denied by user rule";
+  if (util.emptyString(w.matched)) return w.name + ": in no blocklists";
+
+  const at = w.matched !== w.name ? " (as " + w.matched + ")" : "";
+  const lists = w.blocked ? "; blocked by " + w.lists.join(",") : "";
+  return w.name + at + ": in " + w.inLists.join(",") + lists;
+}
+
+/**
+ * @param {Explanation} why
+ * @returns {string[]}
+ */
+function linesOf(why) {
+  const verdict = why.blocked
+    ? "blocked by " + why.by + " (" + why.response + ")"
+    : "not blocked (" + why.response + ")";
+  const lines = [
+    why.name + " " + why.type + ": " + verdict,
+    "stamp: " + (why.lists.length > 0 ? why.lists.join(",") : "none"),
+    "prefilter: " + why.prefilter,
+  ];
+  if (why.local) lines.push("local records: yes");
+  if (why.forwarded) lines.push("forwarded: " + why.forwarded);
+  lines.push("cache: " + why.cache);
+  for (const w of why.names) lines.push(lineOf(w));
+  for (const w of why.ips) lines.push(lineOf(w));
+  if (!util.emptyString(why.answer)) lines.push("answer: " + why.answer);
+
+  return lines.map((s) => s.slice(0, maxTxtLen));
+}
+
+/**
+ * @param {any} packet - dns query
+ * @param {string[]} lines
+ * @returns {pres.RespData}
+ */
+function txtAnswer(packet, lines) {
+  const q = packet.questions[0];
+  const ans = {
+    id: packet.id,
+    type: "response",
+    flags: flagRA | (packet.flags & flagRD),
+    questions: packet.questions,
+    // one record per line; never cached, as traces change with blocklists,
+    // caches, and upstream answers
+    answers: lines.map((s) => {
+      return { name: q.name, type: "TXT", ttl: 0, class: "IN", data: s };
+    }),
+  };
+  const raw = dnsutil.encode(ans);
+  return pres.dnsResponse(dnsutil.decode(raw), raw);
+}
@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as envutil from "../../commons/envutil.js";
+import * as util from "../../commons/util.js";
+
+export class ForwardRule {
+  /**
+   * @param {string} suffix - domain name, sans the wildcard, if any
+   * @param {boolean} wildcard - if true, matches only subdomains of suffix
+   * @param {string} target - doh url or do53 host:port
+   */
+  constructor(suffix, wildcard, target) {
+    /** @type {string} */
+    this.suffix = suffix;
+    /** @type {boolean} */
+    this.wildcard = wildcard;
+    /** @type {string} */
+    this.target = target;
+    /** @type {boolean} */
+    this.isDoh = target.startsWith("https://");
+    /** @type {string} */
+    this.host = null;
+    /** @type {int} */
+    this.port = 0;
+    if (!this.isDoh) [this.host, this.port] = hostport(target);
+    // answers from different upstreams for the same name must not share
+    // cache entries; ex: when the target changes, or the rule is new
+    /** @type {string} */
+    this.tag = "fwd-" + fnv1a(this.toString());
+    // do53 transport, if the target isn't a doh url, set by the runtime
+    // @type {import("../../core/node/dns-transport.js").Transport}
+    this.transport = null;
+  }
+
+  toString() {
+    return (this.wildcard ? "*." : "") + this.suffix + "=" + this.target;
+  }
+}
+
+// Forwarders is a table of conditional-forwarding rules, that upstream
+// queries for a domain and all its subdomains (or, only its subdomains, if
+// the rule is a wildcard, like *.internal.example) to a particular doh
+// url or a do53 host:port. When more than one rule matches, the one with
+// the longest suffix wins. Rules are csv (suffix=target) read from env
+// FORWARD_RULES; and, on runtimes with a disk, also from a file (one rule,
+// either "suffix target" or "suffix=target", per line) at FORWARD_RULES_PATH.
+// Do53 targets are only supported on runtimes that set transports for
+// them (see: Forwarders.setupTransports); on others, such rules are skipped.
+export class Forwarders {
+  constructor() {
+    /** @type {Map<string, ForwardRule>} */
+    this.suffixes = new Map();
+    /** @type {Map<string, ForwardRule>} */
+    this.wildcards = new Map();
+    // only node/config.js (which bun runs, too) sets up do53 transports
+    /** @type {boolean} */
+    this.do53 = envutil.isNode() || envutil.isBun();
+    this.log = log.withTags("Forwarders");
+
+    this.load(envutil.forwardRules());
+  }
+
+  /**
+   * @param {Iterable<string>|string} rules - a set of rules, or lines of it
+   * @returns {int} number of rules loaded
+   */
+  load(rules) {
+    if (rules == null) return 0;
+    if (typeof rules === "string") rules = rules.split("\n");
+
+    let n = 0;
+    for (let line of rules) {
+      // strip comments, if any
+      const c = line.indexOf("#");
+      line = (c >= 0 ? line.slice(0, c) : line).trim();
+      if (util.emptyString(line)) continue;
+
+      try {
+        const r = parseRule(line);
+        // else, queries for names that match r would only ever fail
+        if (!r.isDoh && !this.do53) throw new Error("do53 unsupported");
+        if (r.wildcard) this.wildcards.set(r.suffix, r);
+        else this.suffixes.set(r.suffix, r);
+        n += 1;
+      } catch (ex) {
+        this.log.w("skip rule", line, ex.message);
+      }
+    }
+
+    if (n > 0) this.log.i("loaded", n, "rules; total", this.size());
+    return n;
+  }
+
+  size() {
+    return this.suffixes.size + this.wildcards.size;
+  }
+
+  /**
+   * Sets transports for do53 targets with mkTransport(host, port).
+   * @param {function(string, int):any} mkTransport
+   */
+  setupTransports(mkTransport) {
+    for (const r of this.all()) {
+      if (r.isDoh || r.transport != null) continue;
+      try {
+        r.transport = mkTransport(r.host, r.port);
+      } catch (ex) {
+        this.log.e("no transport for", r.toString(), ex.message);
+      }
+    }
+  }
+
+  async teardown() {
+    for (const r of this.all()) {
+      if (r.transport) await r.transport.teardown();
+    }
+  }
+
+  /**
+   * @param {any} packet - dns query
+   * @returns {ForwardRule?} the most specific rule that applies to packet
+   */
+  match(packet) {
+    if (this.size() <= 0) return null;
+    if (!dnsutil.hasSingleQuestion(packet)) return null;
+
+    const qname = dnsutil.normalizeName(packet.questions[0].name);
+    if (util.emptyString(qname)) return null;
+
+    // walk up from qname to its tld, ex: a.b.c => a.b.c, b.c, c
+    let name = qname;
+    while (!util.emptyString(name)) {
+      const r = this.suffixes.get(name);
+      if (r) return r;
+      // wildcards do not match the suffix itself
+      const w = name !== qname ? this.wildcards.get(name) : null;
+      if (w) return w;
+
+      const i = name.indexOf(".");
+      name = i < 0 ? "" : name.slice(i + 1);
+    }
+    return null;
+  }
+
+  /**
+   * @param {any} packet - dns query
+   * @returns {string} tag of the matching rule to cache answers with, if any
+   */
+  tagOf(packet) {
+    const r = this.match(packet);
+    return r ? r.tag : "";
+  }
+
+  *all() {
+    yield* this.suffixes.values();
+    yield* this.wildcards.values();
+  }
+}
+
+/**
+ * @param {string} line - "suffix=target" or "suffix target"
+ * @returns {ForwardRule}
+ * @throws {Error}
+ */
+function parseRule(line) {
+  const i = line.search(/[=\s]/);
+  if (i <= 0) throw new Error("missing target");
+
+  let suffix = dnsutil.normalizeName(line.slice(0, i));
+  const target = line.slice(i + 1).trim();
+  if (util.emptyString(target)) throw new Error("empty target");
+
+  const wildcard = suffix.startsWith("*.");
+  if (wildcard) suffix = suffix.slice(2);
+  // trailing dot, as in fqdns, is dropped, since qnames do not have it
+  if (suffix.endsWith(".")) suffix = suffix.slice(0, -1);
+  if (util.emptyString(suffix)) throw new Error("empty suffix");
+
+  if (!target.startsWith("https://") && target.includes("://")) {
+    throw new Error("target neither doh url nor host:port");
+  }
+
+  return new ForwardRule(suffix, wildcard, target);
+}
+
+/**
+ * @param {string} s - host, host:port, [ipv6], or [ipv6]:port
+ * @returns {[string, int]}
+ * @throws {Error}
+ */
+function hostport(s) {
+  let host = s;
+  let port = 53;
+  if (s.startsWith("[")) {
+    const end = s.indexOf("]");
+    if (end < 0) throw new Error("bad ipv6 " + s);
+    host = s.slice(1, end);
+    const rest = s.slice(end + 1);
+    if (rest.startsWith(":")) port = parseInt(rest.slice(1), 10);
+  } else if (s.indexOf(":") === s.lastIndexOf(":") && s.includes(":")) {
+    // exactly one colon: host:port; more than one: ipv6 sans port
+    const i = s.indexOf(":");
+    host = s.slice(0, i);
+    port = parseInt(s.slice(i + 1), 10);
+  }
+  if (util.emptyString(host) || !(port > 0 && port < 65536)) {
+    throw new Error("bad host:port " + s);
+  }
+  return [host, port];
+}
+
+// 32-bit fnv-1a of s as a base36 string
+// en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
@@ -0,0 +1,240 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as pres from "../plugin-response.js";
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as envutil from "../../commons/envutil.js";
+import * as iputil from "../../commons/iputil.js";
+import * as util from "../../commons/util.js";
+
+const defaultTtl = 300; // 5m
+// max cnames chased within local records
+const maxChase = 8;
+const supportedTypes = new Set(["A", "AAAA", "CNAME", "TXT", "PTR"]);
+
+// header flags: authoritative answer, recursion desired, recursion available
+// github.com/mafintosh/dns-packet/blob/8e6d91c07/index.js#L1455
+const flagAA = 1 << 10;
+const flagRD = 1 << 8;
+const flagRA = 1 << 7;
+
+// LocalRecords answers queries for names it has records for, without ever
+// upstreaming them. Records are either in hosts format ("ip name aliases..")
+// or zone-like ("name [ttl] [IN] type data"), of types A, AAAA, CNAME, TXT,
+// and PTR, one per line; "#" begins a comment. PTR records are generated
+// for addresses of all names in hosts format, and of A / AAAA records.
+// Records are read from env LOCAL_RECORDS; and, on runtimes with a disk,
+// also from a file at LOCAL_RECORDS_PATH. Queries for a local name but of a
+// type it has no records of are answered with NODATA.
+export class LocalRecords {
+  constructor() {
+    /** @type {Map<string, Map<string, any[]>>} */
+    this.names = new Map();
+    this.log = log.withTags("LocalRecords");
+
+    this.load(envutil.localRecords());
+  }
+
+  async close() {
+    // no-op
+  }
+
+  /**
+   * @param {{rxid: string, requestDecodedDnsPacket: any, isDnsMsg: boolean}} ctx
+   * @returns {Promise<pres.RResp>}
+   */
+  async exec(ctx) {
+    let r = pres.emptyResponse();
+    if (!ctx.isDnsMsg || this.names.size <= 0) return r;
+
+    try {
+      r.data = this.answer(ctx.rxid, ctx.requestDecodedDnsPacket);
+    } catch (e) {
+      r = pres.errResponse("localRecords", e);
+      this.log.e(ctx.rxid, "main", e);
+    }
+
+    return r;
+  }
+
+  /**
+   * @param {string} txt - records, one per line
+   * @returns {int} number of records loaded
+   */
+  load(txt) {
+    if (util.emptyString(txt)) return 0;
+
+    let n = 0;
+    for (let line of txt.split("\n")) {
+      const c = line.indexOf("#");
+      line = (c >= 0 ? line.slice(0, c) : line).trim();
+      if (util.emptyString(line)) continue;
+
+      try {
+        n += this.parse(line);
+      } catch (ex) {
+        this.log.w("skip record", line, ex.message);
+      }
+    }
+
+    if (n > 0) this.log.i("loaded", n, "records; names", this.names.size);
+    return n;
+  }
+
+  /**
+   * @param {string} line
+   * @returns {int} number of records added
+   * @throws {Error}
+   */
+  parse(line) {
+    const tokens = line.split(/\s+/);
+    if (tokens.length < 2) throw new Error("too few fields");
+
+    // hosts format: ip name [aliases...]
+    if (iputil.isIp(tokens[0])) {
+      const ip = tokens[0];
+      const typ = iputil.ip4ToBytes(ip) ? "A" : "AAAA";
+      const hosts = tokens.slice(1);
+      for (const h of hosts) this.add(h, typ, defaultTtl, ip);
+      // reverse lookups resolve to the canonical name
+      this.add(iputil.ptrName(ip), "PTR", defaultTtl, hosts[0]);
+      return hosts.length + 1;
+    }
+
+    // zone-like: name [ttl] [IN] type data...
+    let i = 1;
+    let ttl = defaultTtl;
+    if (/^\d+$/.test(tokens[i])) ttl = parseInt(tokens[i++], 10);
+    if (tokens[i] && tokens[i].toUpperCase() === "IN") i++;
+    const typ = (tokens[i++] || "").toUpperCase();
+    const data = tokens.slice(i).join(" ");
+    if (util.emptyString(data)) throw new Error("no data");
+
+    this.add(tokens[0], typ, ttl, data);
+    if (typ === "A" || typ === "AAAA") {
+      this.add(iputil.ptrName(data), "PTR", ttl, tokens[0]);
+      return 2;
+    }
+    return 1;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} typ
+   * @param {int} ttl
+   * @param {string} data
+   * @throws {Error}
+   */
+  add(name, typ, ttl, data) {
+    name = normalize(name);
+    if (util.emptyString(name)) throw new Error("no name");
+    if (!supportedTypes.has(typ)) throw new Error("unsupported type " + typ);
+
+    if (typ === "A" && iputil.ip4ToBytes(data) == null) {
+      throw new Error("not ipv4 " + data);
+    } else if (typ === "AAAA" && iputil.ip6ToBytes(data) == null) {
+      throw new Error("not ipv6 " + data);
+    } else if (typ === "CNAME" || typ === "PTR") {
+      data = normalize(data);
+    } else if (typ === "TXT") {
+      // drop enclosing quotes, if any
+      data = data.replace(/^"(.*)"$/, "$1");
+    }
+
+    let rrs = this.names.get(name);
+    if (!rrs) {
+      rrs = new Map();
+      this.names.set(name, rrs);
+    }
+    let rr = rrs.get(typ);
+    if (!rr) {
+      rr = [];
+      rrs.set(typ, rr);
+    }
+    // cname, as per rfc1034, is the only record of its name; not enforced
+    const dup = rr.some((a) => a.data === data);
+    if (!dup) {
+      rr.push({ name: name, type: typ, ttl: ttl, class: "IN", data: data });
+    }
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {any} packet - dns query
+   * @returns {pres.RespData}
+   */
+  answer(rxid, packet) {
+    const noAnswer = pres.rdnsNoBlockResponse();
+    if (!dnsutil.hasSingleQuestion(packet)) return noAnswer;
+
+    const q = packet.questions[0];
+    const qname = normalize(q.name);
+    if (!this.names.has(qname)) return noAnswer;
+
+    const answers = [];
+    let name = qname;
+    for (let i = 0; i < maxChase; i++) {
+      const rrs = this.names.get(name);
+      if (!rrs) break; // cname target is not local
+
+      const rr = rrs.get(q.type);
+      if (rr) {
+        answers.push(...rr.map((a) => rename(a, i === 0 ? q.name : null)));
+        break;
+      }
+      const cname = rrs.get("CNAME");
+      if (!cname) break;
+      answers.push(...cname.map((a) => rename(a, i === 0 ? q.name : null)));
+      name = cname[0].data;
+    }
+
+    const ans = {
+      id: packet.id,
+      type: "response",
+      // rcode NOERROR is 0; and so, flags remain as-is
+      flags: flagAA | flagRA | (packet.flags & flagRD),
+      questions: packet.questions,
+      answers: answers,
+      // NODATA answers carry a soa for negative caching: rfc2308 sec 2.2
+      authorities: util.emptyArray(answers) ? [soa(qname)] : [],
+    };
+    const raw = dnsutil.encode(ans);
+    this.log.d(rxid, "local ans", qname, q.type, answers.length);
+
+    return pres.dnsResponse(dnsutil.decode(raw), raw);
+  }
+}
+
+// answers carry the name as it was asked (case and all), if set
+function rename(a, name) {
+  return name ? Object.assign({}, a, { name: name }) : a;
+}
+
+function normalize(name) {
+  name = dnsutil.normalizeName(name);
+  if (util.emptyString(name)) return name;
+  // fqdns may end with a dot, but names in dns questions don't
+  return name.endsWith(".") ? name.slice(0, -1) : name;
+}
+
+function soa(name) {
+  return {
+    name: name,
+    type: "SOA",
+    ttl: defaultTtl,
+    class: "IN",
+    data: {
+      mname: name,
+      rname: "hostmaster." + name,
+      serial: 1,
+      refresh: 3600,
+      retry: 600,
+      expire: 86400,
+      minimum: defaultTtl,
+    },
+  };
+}
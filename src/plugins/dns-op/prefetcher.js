@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as cacheutil from "../cache-util.js";
+import * as envutil from "../../commons/envutil.js";
+import * as util from "../../commons/util.js";
+
+// max prefetches in-flight or scheduled at any given time
+const maxPending = 1024;
+
+// Prefetcher refreshes cached answers that are asked for often (at least
+// PREFETCH_MIN_HITS times) before they expire, so that popular names never
+// wait on upstreams. An answer is refreshed once it is within
+// PREFETCH_PERCENT of its ttl: on Workers, since timers do not outlive
+// requests, by the first request that hits it then; on other runtimes, on a
+// timer set by the request that hit it PREFETCH_MIN_HITS times.
+export class Prefetcher {
+  /**
+   * @param {import("./cache.js").DnsCache} cache
+   * @param {import("./resolver.js").default} resolver
+   */
+  constructor(cache, resolver) {
+    /** @type {import("./cache.js").DnsCache} */
+    this.cache = cache;
+    /** @type {import("./resolver.js").default} */
+    this.resolver = resolver;
+    /** @type {number} */
+    this.pct = envutil.prefetchPercent();
+    /** @type {number} */
+    this.minhits = envutil.prefetchMinHits();
+    // timers are only reliable on long running processes
+    /** @type {boolean} */
+    this.timers =
+      !envutil.isWorkers() && !envutil.isFastly() && !envutil.onDenoDeploy();
+    // cache keys being prefetched, or scheduled to be, to their timers
+    /** @type {Map<string, any>} */
+    this.pending = new Map();
+    this.stats = { tot: 0, ok: 0, fail: 0 };
+    this.log = log.withTags("Prefetcher");
+
+    this.log.i("init: pct", this.pct, "min-hits", this.minhits);
+  }
+
+  close() {
+    for (const tid of this.pending.values()) {
+      if (tid != null) clearTimeout(tid);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Refreshes v now, or schedules it to be, if it is a popular answer.
+   * @param {string} rxid
+   * @param {URL} k - cache key of v
+   * @param {cacheutil.DnsCacheData} v - as got from the cache
+   * @param {Object} ctx - the request that hit v in the cache
+   * @param {Request} ctx.request
+   * @param {ArrayBuffer} ctx.requestBodyBuffer
+   * @param {any} ctx.requestDecodedDnsPacket
+   * @param {function(function):void} ctx.dispatcher
+   */
+  maybePrefetch(rxid, k, v, ctx) {
+    if (this.pct <= 0 || !k) return;
+    if (this.pending.has(k.href) || this.pending.size >= maxPending) return;
+    if (this.cache.hitsOf(k) < this.minhits) return;
+
+    const at = cacheutil.prefetchTime(v, this.pct);
+    if (at <= 0) return;
+
+    const wait = at - Date.now();
+    if (wait <= 0) {
+      this.pending.set(k.href, null);
+      ctx.dispatcher(this.refresh(rxid, k, ctx));
+    } else if (this.timers) {
+      const tid = util.timeout(wait, () => this.refresh(rxid, k, ctx));
+      this.pending.set(k.href, tid);
+      this.log.d(rxid, "prefetch", k.href, "in", wait);
+    } // else: a request that hits v after wait, if any, refreshes it
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {URL} k
+   * @param {Object} ctx - see: maybePrefetch
+   * @returns {Promise<void>}
+   */
+  async refresh(rxid, k, ctx) {
+    this.stats.tot += 1;
+    try {
+      await this.resolver.prefetch(
+        rxid,
+        ctx.request,
+        ctx.requestBodyBuffer,
+        ctx.requestDecodedDnsPacket,
+        ctx.dispatcher
+      );
+      this.stats.ok += 1;
+      this.log.d(rxid, "prefetched", k.href, this.stats);
+    } catch (e) {
+      this.stats.fail += 1;
+      this.log.w(rxid, "prefetch err", k.href, e.message, this.stats);
+    } finally {
+      this.pending.delete(k.href);
+    }
+  }
+}
@@ -194,16 +194,26 @@ export class DNSPrefilter {
 
     // domains is a Set
     for (const d of domains) {
-      const subdomains = d.split(".");
-      do {
-        if (util.emptyArray(subdomains)) break;
-        const fqdn = subdomains.join(".");
-        if (undelegated.has(fqdn)) {
-          return block;
-        }
-      } while (subdomains.shift() != null);
+      if (isUndelegated(d)) return block;
     }
 
     return allow;
   }
 }
+
+/**
+ * @param {string} d - normalized domain name
+ * @returns {boolean} true if d, or any of its parents, is not delegated
+ */
+export function isUndelegated(d) {
+  const subdomains = d.split(".");
+  do {
+    if (util.emptyArray(subdomains)) break;
+    const fqdn = subdomains.join(".");
+    if (undelegated.has(fqdn)) {
+      return true;
+    }
+  } while (subdomains.shift() != null);
+
+  return false;
+}
@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as pres from "../plugin-response.js";
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as envutil from "../../commons/envutil.js";
+import * as iputil from "../../commons/iputil.js";
+import * as util from "../../commons/util.js";
+import { isUndelegated } from "./prefilter.js";
+
+// RebindGuard keeps public names from resolving to private ips (ref:
+// iputil.isPrivate), which would otherwise let websites reach into networks
+// behind the resolver, like home routers: en.wikipedia.org/wiki/DNS_rebinding
+// Private ips are either stripped from answers (env REBIND_PROTECTION set to
+// "strip"), or such answers are blocked altogether ("block"). Names that are
+// not delegated (ex: .lan, .local, .internal; ref: prefilter), and names
+// forwarded to other upstreams (ref: forwarders) are exempt.
+export class RebindGuard {
+  /**
+   * @param {import("./forwarders.js").Forwarders} forwarders
+   */
+  constructor(forwarders) {
+    /** @type {import("./forwarders.js").Forwarders} */
+    this.forwarders = forwarders;
+    /** @type {string} - one of dnsutil.rebindModes */
+    this.mode = envutil.rebindProtection();
+    this.stats = { stripped: 0, blocked: 0 };
+    this.log = log.withTags("RebindGuard");
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {pres.RespData} r - answer; not modified
+   * @param {string} mode - overrides this.mode, if set
+   * @returns {pres.RespData} r; or if r has private ips, either a copy of
+   * r without them, or a block response
+   */
+  guard(rxid, r, mode = "") {
+    if (!dnsutil.rebindModes.has(mode)) mode = this.mode;
+    if (mode !== "strip" && mode !== "block") return r;
+    if (r == null || r.isBlocked || !dnsutil.hasAnswers(r.dnsPacket)) return r;
+    if (dnsutil.isAnswerQuad0(r.dnsPacket)) return r;
+
+    const q = dnsutil.extractDomains(r.dnsPacket)[0];
+    if (util.emptyString(q) || isUndelegated(q)) return r;
+    if (this.forwarders && this.forwarders.match(r.dnsPacket)) return r;
+
+    const ips = dnsutil.extractIps(r.dnsPacket);
+    if (!ips.some(iputil.isPrivate)) return r;
+
+    if (mode === "block") {
+      this.stats.blocked += 1;
+      this.log.w(rxid, "block private ips for", q, ips, this.stats);
+      const b = pres.rdnsBlockResponse("rebind");
+      return pres.copyOnlyBlockProperties(copyOf(r, r.dnsPacket), b);
+    }
+
+    this.stats.stripped += 1;
+    this.log.w(rxid, "strip private ips for", q, ips, this.stats);
+    return copyOf(r, stripPrivateIps(r.dnsPacket));
+  }
+}
+
+/**
+ * @param {pres.RespData} r
+ * @param {any} packet
+ * @returns {pres.RespData}
+ */
+function copyOf(r, packet) {
+  const raw = packet === r.dnsPacket ? r.dnsBuffer : dnsutil.encode(packet);
+  const c = pres.dnsResponse(packet, raw, r.stamps);
+  return pres.copyOnlyBlockProperties(c, r);
+}
+
+/**
+ * @param {any} packet
+ * @returns {any} a shallow copy of packet sans private ips in its answers
+ */
+function stripPrivateIps(packet) {
+  const answers = [];
+  for (const a of packet.answers) {
+    if (dnsutil.isAnswerA(a) || dnsutil.isAnswerAAAA(a)) {
+      if (!iputil.isPrivate(a.data)) answers.push(a);
+    } else if (dnsutil.isAnswerHttps(a) && a.data && a.data.svcParams) {
+      const kv = Object.assign({}, a.data.svcParams);
+      for (const hint of ["ipv4hint", "ipv6hint"]) {
+        if (util.emptyArray(kv[hint])) continue;
+        kv[hint] = kv[hint].filter((ip) => !iputil.isPrivate(ip));
+        if (util.emptyArray(kv[hint])) delete kv[hint];
+      }
+      const data = Object.assign({}, a.data, { svcParams: kv });
+      answers.push(Object.assign({}, a, { data: data }));
+    } else {
+      answers.push(a);
+    }
+  }
+  return Object.assign({}, packet, { answers: answers });
+}
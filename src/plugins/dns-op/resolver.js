@@ -6,6 +6,8 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.
  */
 import { DnsBlocker } from "./blocker.js";
+import { RebindGuard } from "./rebind.js";
+import { HedgedFetch, UpstreamHealth, firstAnswer } from "./upstreams.js";
 import * as pres from "../plugin-response.js";
 import * as rdnsutil from "../rdns-util.js";
 import * as cacheutil from "../cache-util.js";
@@ -14,15 +16,15 @@ import * as bufutil from "../../commons/bufutil.js";
 import * as util from "../../commons/util.js";
 import * as envutil from "../../commons/envutil.js";
 import * as system from "../../system.js";
-import { BlocklistFilter } from "../rethinkdns/filter.js";
 
 export default class DNSResolver {
   /**
    * @param {import("../rethinkdns/main.js").BlocklistWrapper} blocklistWrapper
    * @param {import("./cache.js").DnsCache} cache
    * @param {any} dns53
+   * @param {import("./forwarders.js").Forwarders} forwarders
    */
-  constructor(blocklistWrapper, cache, dns53) {
+  constructor(blocklistWrapper, cache, dns53, forwarders) {
     /** @type {import("./cache.js").DnsCache} */
     this.cache = cache;
     this.blocker = new DnsBlocker();
@@ -31,10 +33,36 @@ export default class DNSResolver {
     // deno bundler not happy with typedef as it imports node:dgram
     // @type {import("../../core/node/dns-transport.js").Transport}
     this.transport = dns53 || null;
+    /** @type {import("./forwarders.js").Forwarders} */
+    this.forwarders = forwarders;
+    this.rebind = new RebindGuard(forwarders);
     this.log = log.withTags("DnsResolver");
 
     this.measurements = [];
+    // hedging needs at least two upstreams to pick from
+    this.hedge = envutil.upstreamHedge();
+    this.hedgeDelayMs = envutil.upstreamHedgeDelayMs();
+    const fanout = envutil.upstreamFanout();
+    /** @type {UpstreamHealth} */
+    this.upstreams = new UpstreamHealth(
+      this.hedge ? Math.max(fanout, 2) : fanout
+    );
     this.coalstats = { tot: 0, pub: 0, empty: 0, try: 0 };
+    // servfail / refused answers from doh upstreams; and how often other
+    // upstreams, in-flight (rescued) or retried (retried), answered instead
+    this.rcodestats = {
+      tot: 0,
+      servfail: 0,
+      refused: 0,
+      rescued: 0,
+      retried: 0,
+      unrescued: 0,
+    };
+    // secs past expiry that cached answers may be served for, if upstreams
+    // fail; and millis after which upstreams are deemed too slow: rfc8767
+    this.staleSecs = envutil.serveStaleSecs();
+    this.staleAfterMs = envutil.serveStaleAfterMs();
+    this.stalestats = { tot: 0, served: 0, missed: 0 };
     this.profileResolve = envutil.profileDnsResolves();
     // only valid on nodejs
     this.forceDoh = envutil.forceDoh();
@@ -59,11 +87,16 @@ export default class DNSResolver {
       const cok = this.cache != null;
       const dok = this.transport != null;
       this.log.i("init: cache?", cok, "dns53?", dok, "doh?", this.forceDoh);
+      // a dns53 / dot transport has just the one upstream to send to
+      if (this.hedge && dok && !this.forceDoh) {
+        this.log.w("init: hedge no-op, as queries are upstreamed over dns53");
+      }
     }
   }
 
   async close() {
     this.log.i("closing resolver (& transport?", this.transport != null, ")");
+    await this.forwarders.teardown();
     if (this.transport) return await this.transport.teardown();
   }
 
@@ -76,6 +109,7 @@ export default class DNSResolver {
    * @param {Object} ctx.userBlocklistInfo
    * @param {String} ctx.userDnsResolverUrl
    * @param {string} ctx.userBlockstamp
+   * @param {string} ctx.userRebindMode
    * @param {function(function):void} ctx.dispatcher
    * @returns {Promise<pres.RResp>}
    */
@@ -83,7 +117,9 @@ export default class DNSResolver {
     let response = pres.emptyResponse();
 
     try {
-      response.data = await this.resolveDns(ctx);
+      const r = withNoReachableAuthority(await this.resolveDnsOrStale(ctx));
+      // answers are cached as-is, and guarded only on their way out
+      response.data = this.rebind.guard(ctx.rxid, r, ctx.userRebindMode);
     } catch (e) {
       response = pres.errResponse("dnsResolver", e);
       this.log.e(ctx.rxid, "main", e.stack);
@@ -92,6 +128,109 @@ export default class DNSResolver {
     return response;
   }
 
+  /**
+   * Resolves ctx, or answers from the cache (see: serveStale), if upstreams
+   * fail or are slow; serveStale is tried at most once per query.
+   * @param {Object} ctx - see: resolveDns
+   * @returns {Promise<pres.RespData>}
+   */
+  async resolveDnsOrStale(ctx) {
+    const resolving = this.resolveDns(ctx);
+    if (this.staleSecs <= 0) return resolving;
+
+    const racers = [resolving];
+    let tid = -1;
+    if (this.staleAfterMs > 0) {
+      racers.push(
+        new Promise((resolve) => {
+          tid = util.timeout(this.staleAfterMs, () => resolve(null));
+        })
+      );
+    }
+
+    let r = null;
+    try {
+      r = await Promise.race(racers);
+    } catch (e) {
+      // upstreams failed, answer from the cache, if possible
+      const stale = await this.serveStale(ctx);
+      if (stale != null) return stale;
+      throw e;
+    } finally {
+      clearTimeout(tid);
+    }
+
+    if (r == null) {
+      // upstreams are slow; if there's a stale answer, respond with it,
+      // and let the upstreams, whenever they answer, refresh the cache
+      const stale = await this.serveStale(ctx);
+      // if resolving then fails, serveStale isn't tried again
+      if (stale == null) return resolving;
+      ctx.dispatcher(
+        resolving.catch((e) => this.log.w(ctx.rxid, "bg resolve", e.message))
+      );
+      return stale;
+    }
+
+    if (!r.isBlocked && dnsutil.failedRcode(r.dnsBuffer) != null) {
+      const stale = await this.serveStale(ctx);
+      if (stale != null) return stale;
+    }
+    return r;
+  }
+
+  /**
+   * @param {Object} ctx - see: resolveDns
+   * @returns {Promise<pres.RespData?>} answer from the cache, if any, even
+   * if it has expired, but not for longer than this.staleSecs
+   */
+  async serveStale(ctx) {
+    if (this.staleSecs <= 0 || this.cache == null) return null;
+
+    const rxid = ctx.rxid;
+    const packet = ctx.requestDecodedDnsPacket;
+    const blInfo = ctx.userBlocklistInfo;
+    this.stalestats.tot += 1;
+
+    try {
+      const tag = this.forwarders.tagOf(packet);
+      const k = cacheutil.makeHttpCacheKey(packet, tag);
+      const cr = k ? await this.cache.get(k) : null;
+      const ok =
+        cr != null &&
+        dnsutil.isAnswer(cr.dnsPacket) &&
+        dnsutil.failedRcode(cr.dnsBuffer) == null &&
+        cacheutil.isAnswerServeable(cr.metadata, this.staleSecs);
+
+      if (!ok) {
+        this.stalestats.missed += 1;
+        this.log.d(rxid, "no stale ans", this.stalestats);
+        return null;
+      }
+
+      const expired = Date.now() > cr.metadata.expiry;
+      const p = expired
+        ? cacheutil.staleAnswer(cr.dnsPacket, packet.id)
+        : cacheutil.updatedAnswer(cr.dnsPacket, packet.id, cr.metadata.expiry);
+      const stamps = rdnsutil.blockstampFromCache(cr);
+      const r = pres.dnsResponse(p, dnsutil.encode(p), stamps);
+
+      // cached answers are blocked just the same as in cache-resolver
+      this.blocker.blockQuestion(rxid, /* out*/ r, blInfo);
+      if (!r.isBlocked && dnsutil.hasAnswers(r.dnsPacket)) {
+        this.blocker.blockAnswer(rxid, /* out*/ r, blInfo);
+      }
+
+      this.stalestats.served += 1;
+      this.log.w(rxid, "serve stale", k.href, expired, this.stalestats);
+      return r;
+    } catch (e) {
+      this.stalestats.missed += 1;
+      this.log.w(rxid, "serve stale err", e.message);
+      return null;
+    }
+  }
+
   determineDohResolvers(preferredDoh, forceDoh = this.forceDoh) {
     // when this.transport is set, do not use doh unless forced
     if (this.transport && !forceDoh) return [];
@@ -106,7 +245,16 @@ export default class DNSResolver {
       return [envutil.primaryDohResolver()];
     }
 
-    return envutil.dohResolvers();
+    // pick only the healthiest of the upstreams
+    return this.upstreams.rank(envutil.dohResolvers());
+  }
+
+  /**
+   * @param {import("./forwarders.js").ForwardRule} rule
+   * @returns {string[]} doh upstream of the rule, if any; or none for do53
+   */
+  determineForwardResolvers(rule) {
+    return rule.isDoh ? [rule.target] : [];
   }
 
   // TODO: nodejs.org/api/perf_hooks.html
@@ -118,16 +266,16 @@ export default class DNSResolver {
     // log after period number of measurements are done
     if ((len + 1) % period !== 0) return;
 
-    this.measurements.sort((a, b) => a - b);
-    const p10 = this.measurements[Math.floor(len * 0.1)];
-    const p50 = this.measurements[Math.floor(len * 0.5)];
-    const p75 = this.measurements[Math.floor(len * 0.75)];
-    const p90 = this.measurements[Math.floor(len * 0.9)];
-    const p95 = this.measurements[Math.floor(len * 0.95)];
-    const p99 = this.measurements[Math.floor(len * 0.99)];
-    const p999 = this.measurements[Math.floor(len * 0.999)];
-    const p9999 = this.measurements[Math.floor(len * 0.9999)];
-    const p100 = this.measurements[len];
+    const m = this.measurements.sort((a, b) => a - b);
+    const p10 = util.percentile(m, 0.1);
+    const p50 = util.percentile(m, 0.5);
+    const p75 = util.percentile(m, 0.75);
+    const p90 = util.percentile(m, 0.9);
+    const p95 = util.percentile(m, 0.95);
+    const p99 = util.percentile(m, 0.99);
+    const p999 = util.percentile(m, 0.999);
+    const p9999 = util.percentile(m, 0.9999);
+    const p100 = m[len];
 
     this.log.qStart("runs:", len + 1);
     this.log.q("p10/50/75/90/95", p10, p50, p75, p90, p95);
@@ -165,6 +313,10 @@ export default class DNSResolver {
     const isBlfDisabled = this.bw.disabled();
     let isBlfSetup = rdnsutil.isBlocklistFilterSetup(blf);
 
+    // forwarding rules, if any, take precedence over all other upstreams
+    const fwd = this.forwarders.match(decodedpacket);
+    const fwdtag = fwd ? fwd.tag : "";
+
     // if both blocklist-filter (blf) and stamps are not setup, question-block
     // is a no-op, while we expect answer-block to catch the block regardless.
     const q = await this.makeRdnsResponse(rxid, rawpacket, blf, stamps);
@@ -173,7 +325,7 @@ export default class DNSResolver {
     this.log.d(rxid, "q block?", q.isBlocked, "blf?", isBlfSetup);
 
     if (q.isBlocked) {
-      this.primeCache(rxid, q, dispatcher);
+      this.primeCache(rxid, q, dispatcher, fwdtag);
       return q;
     }
 
@@ -185,7 +337,7 @@ export default class DNSResolver {
 
     let fromMax = false;
     let promisedTasks = null;
-    if (!isBlfSetup && this.bgBwInit) {
+    if (!isBlfSetup && this.bgBwInit && fwd == null) {
       const alt = this.ofMax(userBlockstamp);
       fromMax = true;
       this.log.d(rxid, "bg-bw-init; upstream to max", alt);
@@ -211,14 +363,18 @@ export default class DNSResolver {
       // arrayWrapper = async () => { return [fulfiller()]; }
       // result1 = await arrayWrapper() :: outputs "Array[Promise{}]"
       // result2 = await result1[0] :: outputs "123"
+      const resolverUrls = fwd
+        ? this.determineForwardResolvers(fwd)
+        : this.determineDohResolvers(userDns, forceUserDns);
       promisedTasks = await Promise.allSettled([
         this.bw.init(rxid),
         this.resolveDnsUpstream(
           rxid,
           req,
-          this.determineDohResolvers(userDns, forceUserDns),
+          resolverUrls,
           rawpacket,
-          decodedpacket
+          decodedpacket,
+          fwd
         ),
       ]);
     }
@@ -273,15 +429,58 @@ export default class DNSResolver {
     // if res was got from caches or if res was got from max doh (ie, blf
     // wasn't used to retrieve stamps), then skip hydrating the cache
     if (!fromCache && !fromMax) {
-      this.primeCache(rxid, r, dispatcher);
+      this.primeCache(rxid, r, dispatcher, fwdtag);
     }
     return r;
   }
 
+  /**
+   * Refreshes the cached answer to query from upstreams, bypassing the cache.
+   * @param {string} rxid
+   * @param {Request} request - request that query was sent in
+   * @param {ArrayBuffer} query
+   * @param {any} packet - query, decoded
+   * @param {function(function):void} dispatcher
+   * @returns {Promise<void>}
+   */
+  async prefetch(rxid, request, query, packet, dispatcher) {
+    const blf = this.bw.getBlocklistFilter();
+    // without blf, answers would be cached sans their blockstamps
+    if (!this.bw.disabled() && !rdnsutil.isBlocklistFilterSetup(blf)) {
+      throw new Error(rxid + " prefetch: no blocklist-filter");
+    }
+
+    const fwd = this.forwarders.match(packet);
+    const resolverUrls = fwd
+      ? this.determineForwardResolvers(fwd)
+      : this.determineDohResolvers();
+    const res = await this.resolveDnsUpstream(
+      rxid,
+      request,
+      resolverUrls,
+      query,
+      packet,
+      fwd,
+      /* fromCache */ false
+    );
+
+    if (!res || !res.ok) {
+      throw new Error(rxid + " prefetch: upstream err " + (res && res.status));
+    }
+
+    const ans = await res.arrayBuffer();
+    // servfail / refused answers must not replace answers in the cache
+    const rcode = dnsutil.failedRcode(ans);
+    if (rcode != null) throw new Error(rxid + " prefetch: " + rcode);
+
+    const r = await this.makeRdnsResponse(rxid, ans, blf);
+    this.primeCache(rxid, r, dispatcher, fwd ? fwd.tag : "");
+  }
+
   /**
    * @param {string} rxid
    * @param {ArrayBuffer} raw
-   * @param {BlocklistFilter} blf
+   * @param {import("../rethinkdns/filter.js").BlocklistFilter} blf
    * @param {pres.BStamp?} stamps
    * @returns
    */
@@ -304,12 +503,13 @@ export default class DNSResolver {
    * @param {string} rxid
    * @param {pres.RespData} r
    * @param {function(function):void} dispatcher
+   * @param {string} tag - see: cacheutil.makeId
    * @returns {Promise<void>}
    */
-  async primeCache(rxid, r, dispatcher) {
+  async primeCache(rxid, r, dispatcher, tag = "") {
     const blocked = r.isBlocked;
 
-    const k = cacheutil.makeHttpCacheKey(r.dnsPacket);
+    const k = cacheutil.makeHttpCacheKey(r.dnsPacket, tag);
 
     this.log.d(rxid, "primeCache: block?", blocked, "k", k.href);
 
@@ -336,6 +536,8 @@ export default class DNSResolver {
  * @param {Array} resolverUrls
  * @param {ArrayBuffer} query
  * @param {any} packet
+ * @param {import("./forwarders.js").ForwardRule?} fwd
+ * @param {boolean} fromCache - whether the cache races doh upstreams
  * @returns {Promise<Response|Error>}
  */
 DNSResolver.prototype.resolveDnsUpstream = async function (
@@ -343,11 +545,16 @@ DNSResolver.prototype.resolveDnsUpstream = async function (
   request,
   resolverUrls,
   query,
-  packet
+  packet,
+  fwd = null,
+  fromCache = true
 ) {
+  const tag = fwd ? fwd.tag : "";
   // if no doh upstreams set, resolve over plain-old dns
   if (util.emptyArray(resolverUrls)) {
-    const eid = cacheutil.makeId(packet);
+    const eid = cacheutil.makeId(packet, tag);
+    // do53 forwarders upstream over their own transport
+    const dns53 = fwd ? fwd.transport : this.transport;
     /** @type {ArrayBuffer[]?} */
     let parcel = null;
 
@@ -368,7 +575,7 @@ DNSResolver.prototype.resolveDnsUpstream = async function (
       this.log.d(rxid, "not coalesced", eid, reason, this.coalstats);
     }
 
-    if (this.transport == null) {
+    if (dns53 == null) {
       this.log.e(rxid, "plain dns transport not set");
       this.coalstats.pub += 1;
       system.pub(eid, parcel);
@@ -380,10 +587,16 @@ DNSResolver.prototype.resolveDnsUpstream = async function (
       // do not let exceptions passthrough to the caller
       const q = bufutil.bufferOf(query);
 
-      let ans = await this.transport.udpquery(rxid, q);
+      let ans = null;
+      if (dns53.encrypted && dns53.encrypted()) {
+        // dot upstreams are always over tcp
+        ans = await dns53.tcpquery(rxid, q);
+      } else {
+        ans = await dns53.udpquery(rxid, q);
+      }
       if (dnsutil.truncated(ans)) {
         this.log.w(rxid, "ans truncated, retrying over tcp");
-        ans = await this.transport.tcpquery(rxid, q);
+        ans = await dns53.tcpquery(rxid, q);
       }
 
       if (ans) {
@@ -403,20 +616,26 @@ DNSResolver.prototype.resolveDnsUpstream = async function (
     return promisedResponse;
   }
 
-  // Promise.any on promisedPromises[] only works if there are
-  // zero awaits in this function or any of its downstream calls.
+  // firstAnswer (like Promise.any) on promisedPromises[] only works if
+  // there are zero awaits in this function or any of its downstream calls.
   // Otherwise, the first reject in promisedPromises[], before
   // any statement in the call-stack awaits, would throw unhandled
-  // error, since the event loop would have 'ticked' and Promise.any
+  // error, since the event loop would have 'ticked' and firstAnswer
   // on promisedPromises[] would still not have been executed, as it
   // is the last statement of this function (which would have eaten up
   // all rejects as long as there was one resolved promise).
   const promisedPromises = [];
+  /** @type {HedgedFetch?} */
+  let hedged = null;
   try {
     // upstream to cache
-    this.log.d(rxid, "upstream cache");
-    promisedPromises.push(this.resolveDnsFromCache(rxid, packet));
+    if (fromCache) {
+      this.log.d(rxid, "upstream cache");
+      promisedPromises.push(this.resolveDnsFromCache(rxid, packet, tag));
+    }
 
+    /** @type {Array<[string, Request]>} */
+    const dnsreqs = [];
     // upstream to resolvers
     for (const rurl of resolverUrls) {
       if (util.emptyString(rurl)) {
@@ -424,48 +643,146 @@ DNSResolver.prototype.resolveDnsUpstream = async function (
         continue;
       }
 
-      const u = new URL(request.url);
-      const upstream = new URL(rurl);
-      u.hostname = upstream.hostname; // default cloudflare-dns.com
-      u.pathname = upstream.pathname; // override path, default /dns-query
-      u.port = upstream.port; // override port, default 443
-      u.protocol = upstream.protocol; // override proto, default https
-
-      let dnsreq = null;
-      // even for GET requests, plugin.js:getBodyBuffer converts contents of
-      // u.search into an arraybuffer that then needs to be reconverted back
-      if (util.isGetRequest(request)) {
-        u.search = "?dns=" + bufutil.bytesToBase64Url(query);
-        dnsreq = new Request(u.href, {
-          method: "GET",
-          headers: util.dnsHeaders(),
-        });
-      } else if (util.isPostRequest(request)) {
-        dnsreq = new Request(u.href, {
-          method: "POST",
-          headers: util.concatHeaders(
-            util.contentLengthHeader(query),
-            util.dnsHeaders()
-          ),
-          body: query,
-        });
-      } else {
-        throw new Error("get/post only");
+      const dnsreq = this.dohRequestOf(request, rurl, query);
+      this.log.d(rxid, "upstream doh2/fetch", dnsreq.url);
+      dnsreqs.push([rurl, dnsreq]);
+    }
+
+    if (this.hedge && dnsreqs.length > 1) {
+      const [primary] = dnsreqs[0];
+      const delay = this.hedgeDelayMs || this.upstreams.hedgeDelay(primary);
+      this.log.d(rxid, "upstream hedged", dnsreqs.length, "delay", delay);
+      hedged = new HedgedFetch(this.upstreams, dnsreqs, delay);
+      promisedPromises.push(hedged.start());
+    } else {
+      for (const [rurl, dnsreq] of dnsreqs) {
+        promisedPromises.push(this.upstreams.measure(rurl, fetch(dnsreq)));
       }
-      this.log.d(rxid, "upstream doh2/fetch", u.href);
-      promisedPromises.push(fetch(dnsreq));
     }
   } catch (e) {
     this.log.e(rxid, "err doh2/fetch upstream", e.stack);
     promisedPromises.push(Promise.reject(e));
   }
 
-  // Promise.any returns any rejected promise if none resolved; node v15+
-  return Promise.any(promisedPromises);
+  // unlike Promise.any, a servfail / refused answer doesn't win the race
+  return firstAnswer(promisedPromises).then(([res, ok, rcodes]) => {
+    if (hedged != null) {
+      // when answered from the cache, do not hedge (nor wait on) upstreams
+      if (cacheutil.hasCacheHeader(res.headers)) hedged.cancel();
+      rcodes.push(...hedged.rcodes);
+    }
+    return this.rescue(rxid, request, query, resolverUrls, res, ok, rcodes);
+  });
+};
+
+/**
+ * @param {Request} request
+ * @param {string} rurl
+ * @param {ArrayBuffer} query
+ * @returns {Request}
+ * @throws {Error}
+ */
+DNSResolver.prototype.dohRequestOf = function (request, rurl, query) {
+  const u = new URL(request.url);
+  const upstream = new URL(rurl);
+  u.hostname = upstream.hostname; // default cloudflare-dns.com
+  u.pathname = upstream.pathname; // override path, default /dns-query
+  u.port = upstream.port; // override port, default 443
+  u.protocol = upstream.protocol; // override proto, default https
+
+  // even for GET requests, plugin.js:getBodyBuffer converts contents of
+  // u.search into an arraybuffer that then needs to be reconverted back
+  if (util.isGetRequest(request)) {
+    u.search = "?dns=" + bufutil.bytesToBase64Url(query);
+    return new Request(u.href, {
+      method: "GET",
+      headers: util.dnsHeaders(),
+    });
+  } else if (util.isPostRequest(request)) {
+    return new Request(u.href, {
+      method: "POST",
+      headers: util.concatHeaders(
+        util.contentLengthHeader(query),
+        util.dnsHeaders()
+      ),
+      body: query,
+    });
+  }
+  throw new Error("get/post only");
+};
+
+/**
+ * Retries once with an untried doh upstream, if res is a servfail / refused.
+ * @param {string} rxid
+ * @param {Request} request
+ * @param {ArrayBuffer} query
+ * @param {string[]} tried - doh upstreams already sent query to
+ * @param {Response} res - response from one of the tried upstreams
+ * @param {boolean} ok - whether res is an ok answer
+ * @param {string[]} rcodes - servfail / refused answers from tried upstreams
+ * @returns {Promise<Response>}
+ */
+DNSResolver.prototype.rescue = async function (
+  rxid,
+  request,
+  query,
+  tried,
+  res,
+  ok,
+  rcodes
+) {
+  if (util.emptyArray(rcodes)) return res;
+
+  const stats = this.rcodestats;
+  stats.tot += 1;
+  for (const rc of rcodes) {
+    if (rc === "SERVFAIL") stats.servfail += 1;
+    else if (rc === "REFUSED") stats.refused += 1;
+  }
+
+  if (ok) {
+    stats.rescued += 1;
+    this.log.d(rxid, "rescued", rcodes, stats);
+    return res;
+  }
+
+  // retry only among the (default) upstreams, and never when the query
+  // was meant for a specific (user preferred) upstream
+  const all = envutil.dohResolvers() || [];
+  const untried = all.filter((u) => !tried.includes(u));
+  const retryable = tried.every((u) => all.includes(u));
+  if (!retryable || util.emptyArray(untried)) {
+    stats.unrescued += 1;
+    this.log.w(rxid, "unrescued", rcodes, tried, stats);
+    return res;
+  }
+
+  stats.retried += 1;
+  const [alt] = this.upstreams.rank(untried);
+  try {
+    const dnsreq = this.dohRequestOf(request, alt, query);
+    const retry = this.upstreams.measure(alt, fetch(dnsreq));
+    const [r, retryok] = await firstAnswer([retry]);
+    if (retryok) {
+      stats.rescued += 1;
+      this.log.d(rxid, "rescued on retry", alt, rcodes, stats);
+      return r;
+    }
+  } catch (e) {
+    this.log.w(rxid, "retry", alt, "err", e.message);
+  }
+
+  stats.unrescued += 1;
+  this.log.w(rxid, "unrescued after retry", alt, rcodes, stats);
+  return res;
 };
 
-DNSResolver.prototype.resolveDnsFromCache = async function (rxid, packet) {
-  const k = cacheutil.makeHttpCacheKey(packet);
+DNSResolver.prototype.resolveDnsFromCache = async function (
+  rxid,
+  packet,
+  tag = ""
+) {
+  const k = cacheutil.makeHttpCacheKey(packet, tag);
   if (!k) throw new Error("resolver: no cache-key");
 
   const cr = await this.cache.get(k);
@@ -485,3 +802,19 @@ DNSResolver.prototype.resolveDnsFromCache = async function (rxid, packet) {
 
   return Promise.resolve(r);
 };
+
+/**
+ * Tags servfail / refused answers from upstreams (which were reached, but
+ * could not, or would not, answer) with an extended dns error, if r has edns.
+ * @param {pres.RespData} r
+ * @returns {pres.RespData} r
+ */
+function withNoReachableAuthority(r) {
+  if (r == null || r.isBlocked) return r;
+  if (dnsutil.failedRcode(r.dnsBuffer) == null) return r;
+  if (!dnsutil.hasEdns(r.dnsPacket)) return r;
+
+  dnsutil.addEde(r.dnsPacket, dnsutil.ede.noReachableAuthority);
+  r.dnsBuffer = dnsutil.encode(r.dnsPacket);
+  return r;
+}
@@ -0,0 +1,443 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as util from "../../commons/util.js";
+
+// consecutive errors after which an upstream is considered down
+const maxStreak = 3;
+// an upstream that is down is re-probed after (streak * cooldownMs)
+const cooldownMs = 10000; // 10s
+// upper bound on the gap between re-probes of a down upstream
+const maxCooldownMs = 300000; // 5m
+// latencies of these many most recent exchanges make up p50 / p95
+const maxSamples = 64;
+// percentiles are recomputed after these many new samples
+const recomputeEvery = 8;
+// weight given to the most recent outcome in the success-rate ewma
+const alpha = 0.1;
+// 1 in these many rank() calls fans out to one more upstream than needed,
+// so that health stats on the lesser ranked upstreams aren't stale
+const exploreDice = 32;
+// hedge delays, when derived from an upstream's p90, are clamped to these
+const minHedgeMs = 10;
+const maxHedgeMs = 1000; // 1s
+// hedge delay for upstreams yet to record any latencies
+const defaultHedgeMs = 100;
+
+class Health {
+  constructor(url) {
+    /** @type {string} */
+    this.url = url;
+    /** @type {number} */
+    this.successRate = 1;
+    /** @type {number} */
+    this.streak = 0;
+    /** @type {number} */
+    this.lastErrorAt = 0;
+    /** @type {number} */
+    this.probeAt = 0;
+    /** @type {number[]} */
+    this.latencies = [];
+    /** @type {number} */
+    this.next = 0;
+    /** @type {number} */
+    this.samples = 0;
+    /** @type {number} */
+    this.p50 = 0;
+    /** @type {number} */
+    this.p90 = 0;
+    /** @type {number} */
+    this.p95 = 0;
+    /** @type {number} */
+    this.ok = 0;
+    /** @type {number} */
+    this.errs = 0;
+  }
+
+  /**
+   * @param {boolean} ok
+   * @param {number} ms
+   */
+  record(ok, ms) {
+    this.successRate = (1 - alpha) * this.successRate + alpha * (ok ? 1 : 0);
+    if (ok) {
+      this.ok += 1;
+      this.streak = 0;
+      this.probeAt = 0;
+    } else {
+      this.errs += 1;
+      this.streak += 1;
+      this.lastErrorAt = Date.now();
+    }
+
+    // ring buffer of latencies; errors count too, as they are time spent
+    this.latencies[this.next] = ms;
+    this.next = (this.next + 1) % maxSamples;
+    this.samples += 1;
+    if (this.samples <= recomputeEvery || this.samples % recomputeEvery === 0) {
+      const s = [...this.latencies].sort((a, b) => a - b);
+      this.p50 = util.percentile(s, 0.5);
+      this.p90 = util.percentile(s, 0.9);
+      this.p95 = util.percentile(s, 0.95);
+    }
+  }
+
+  known() {
+    return this.samples > 0;
+  }
+
+  down() {
+    return this.streak >= maxStreak;
+  }
+
+  cooldown() {
+    return Math.min(this.streak * cooldownMs, maxCooldownMs);
+  }
+
+  // a down upstream is probed at most once per cooldown period
+  probeable(now) {
+    if (!this.down()) return false;
+    const since = Math.max(this.lastErrorAt, this.probeAt);
+    return now - since >= this.cooldown();
+  }
+
+  // lower is better; unhealthy upstreams have their latencies inflated
+  score() {
+    const ms = (this.p50 + this.p95) / 2;
+    return ms / Math.max(this.successRate, 0.05);
+  }
+
+  toString() {
+    const r = this.successRate.toFixed(2);
+    const ms = `${this.p50}/${this.p95}`;
+    const n = `${this.ok}/${this.errs}`;
+    return `${this.url} ok/err ${n} rate ${r} p50/95 ${ms} streak ${this.streak}`;
+  }
+}
+
+// UpstreamHealth tracks success-rate, latencies, and error streaks of
+// upstreams (identified by their urls). It ranks upstreams healthiest
+// first, and picks only so many of them as needed to fan-out to.
+// Upstreams that fail consecutively are skipped until a cooldown, after
+// which, exactly one query is sent their way to probe for recovery.
+export class UpstreamHealth {
+  /**
+   * @param {number} fanout max upstreams to pick
+   */
+  constructor(fanout = 1) {
+    /** @type {number} */
+    this.fanout = Math.max(fanout | 0, 1);
+    /** @type {Map<string, Health>} */
+    this.upstreams = new Map();
+    this.log = log.withTags("Upstreams");
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Health}
+   */
+  of(url) {
+    let h = this.upstreams.get(url);
+    if (!h) {
+      h = new Health(url);
+      this.upstreams.set(url, h);
+    }
+    return h;
+  }
+
+  /**
+   * @param {string} url
+   * @param {boolean} ok
+   * @param {number} ms
+   */
+  record(url, ok, ms) {
+    const h = this.of(url);
+    const wasdown = h.down();
+    h.record(ok, ms);
+    if (wasdown !== h.down()) this.log.i("down?", !wasdown, h.toString());
+  }
+
+  /**
+   * Races promisedResponse to record its outcome against url.
+   * @param {string} url
+   * @param {Promise<Response>} promisedResponse
+   * @returns {Promise<Response>} the response, with its body read in
+   */
+  measure(url, promisedResponse) {
+    const start = Date.now();
+    return withRcode(promisedResponse).then(
+      ([res, rcode]) => {
+        // servfail / refused answers (over http 200) are failures, too
+        const ok = res != null && res.ok && !rcode;
+        this.record(url, ok, Date.now() - start);
+        return res;
+      },
+      (err) => {
+        // requests aborted by us say nothing about the upstream's health
+        if (!aborted(err)) this.record(url, false, Date.now() - start);
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Healthiest upstreams, in order, from urls; never empty if urls isn't.
+   * @param {string[]} urls
+   * @returns {string[]}
+   */
+  rank(urls) {
+    if (util.emptyArray(urls) || urls.length <= 1) return urls;
+
+    const now = Date.now();
+    const up = [];
+    const down = [];
+    const probes = [];
+    for (const u of urls) {
+      const h = this.of(u);
+      if (h.probeable(now)) probes.push(h);
+      else if (h.down()) down.push(h);
+      else up.push(h);
+    }
+
+    // stable sort: upstreams without any stats retain their configured
+    // order, but are ranked below ones that are known to be healthy
+    up.sort((a, b) => {
+      if (!a.known() || !b.known()) return b.known() - a.known();
+      return a.score() - b.score();
+    });
+    down.sort((a, b) => a.streak - b.streak || a.score() - b.score());
+
+    let n = this.fanout;
+    if (util.rolldice(exploreDice) === exploreDice) n += 1;
+
+    const picks = up.slice(0, n);
+    // if all upstreams are down, pick the least bad
+    if (picks.length <= 0) picks.push(...down.slice(0, n));
+    // send one query to each of the down upstreams due a probe
+    for (const h of probes) {
+      h.probeAt = now;
+      picks.push(h);
+    }
+
+    return picks.map((h) => h.url);
+  }
+
+  /**
+   * Delay before hedging a request sent to url; ie, its observed p90.
+   * @param {string} url
+   * @returns {number} ms
+   */
+  hedgeDelay(url) {
+    const h = this.upstreams.get(url);
+    if (!h || !h.known()) return defaultHedgeMs;
+    return Math.min(Math.max(h.p90, minHedgeMs), maxHedgeMs);
+  }
+
+  stats() {
+    const out = [];
+    for (const h of this.upstreams.values()) out.push(h.toString());
+    return out;
+  }
+}
+
+// HedgedFetch sends a request to the first of its upstreams, and only if it
+// hasn't responded ok within delayMs, to the next one, and so on. An upstream
+// that errors out, responds not-ok, or answers with a servfail / refused, has
+// the next one launched right away. The first ok response (see: withRcode)
+// wins, and requests in-flight to the rest are aborted.
+export class HedgedFetch {
+  /**
+   * @param {UpstreamHealth} health
+   * @param {Array<[string, Request]>} reqs upstream urls and their requests
+   * @param {number} delayMs
+   */
+  constructor(health, reqs, delayMs) {
+    /** @type {UpstreamHealth} */
+    this.health = health;
+    /** @type {Array<[string, Request]>} */
+    this.reqs = reqs;
+    /** @type {number} */
+    this.delayMs = delayMs;
+    /** @type {AbortController[]} */
+    this.ctls = [];
+    /** @type {any} - pending hedge, if any; ref: launch */
+    this.timer = null;
+    /** @type {number} */
+    this.launched = 0;
+    /** @type {number} */
+    this.settled = 0;
+    /** @type {boolean} */
+    this.done = false;
+    /** @type {Response?} */
+    this.lastRes = null;
+    /** @type {Error?} */
+    this.lastErr = null;
+    /** @type {string[]} */
+    this.rcodes = [];
+    /** @type {function(Response)} */
+    this.resolve = null;
+    /** @type {function(Error)} */
+    this.reject = null;
+  }
+
+  /**
+   * @returns {Promise<Response>} first ok response, or else the last
+   * servfail / refused answer or not-ok response, or else rejects with
+   * the last error
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+      this.launch();
+    });
+  }
+
+  // cancels all pending and in-flight requests, except that of the winner
+  cancel(winner = -1) {
+    this.done = true;
+    clearTimeout(this.timer);
+    this.ctls.forEach((ctl, i) => {
+      if (i !== winner && ctl != null) ctl.abort();
+    });
+  }
+
+  launch() {
+    if (this.done || this.launched >= this.reqs.length) return;
+
+    const i = this.launched;
+    const [url, req] = this.reqs[i];
+    this.launched += 1;
+
+    // AbortController may not be available on all runtimes
+    const ctl =
+      typeof AbortController === "function" ? new AbortController() : null;
+    this.ctls.push(ctl);
+    const r = ctl ? new Request(req, { signal: ctl.signal }) : req;
+
+    withRcode(this.health.measure(url, fetch(r)))
+      .then(([res, rcode]) => this.onResponse(i, res, rcode))
+      .catch((err) => this.onError(i, err));
+
+    // hedge: launch the next, if this one isn't done within delayMs; a
+    // pending hedge is replaced, as when the previous upstream failed fast,
+    // so that the delay always counts from the most recent launch
+    clearTimeout(this.timer);
+    if (this.launched < this.reqs.length) {
+      this.timer = util.timeout(this.delayMs, () => this.launch());
+    }
+  }
+
+  onResponse(i, res, rcode) {
+    if (this.done) return;
+    if (res && res.ok && !rcode) {
+      this.cancel(i);
+      this.resolve(res);
+      return;
+    }
+    if (rcode) this.rcodes.push(rcode);
+    // prefer a dns answer (even if servfail) over a http error
+    if (rcode || this.lastRes == null) this.lastRes = res;
+    this.onSettled();
+  }
+
+  onError(i, err) {
+    if (this.done) return;
+    this.lastErr = err;
+    this.onSettled();
+  }
+
+  onSettled() {
+    this.settled += 1;
+    if (this.settled < this.reqs.length) {
+      // do not wait on the hedge delay, when the current upstream failed
+      this.launch();
+      return;
+    }
+    this.cancel();
+    if (this.lastRes) this.resolve(this.lastRes);
+    else this.reject(this.lastErr || new Error("hedge: no response"));
+  }
+}
+
+/**
+ * Resolves with the first of promisedResponses to answer ok with an rcode
+ * other than servfail / refused; or, when none do, with a servfail / refused
+ * answer, if any, or a not-ok response, if any. Rejects if all reject.
+ * @param {Promise<Response>[]} promisedResponses
+ * @returns {Promise<[Response, boolean, string[]]>} response, whether it was
+ * answered ok, and the rcodes of the servfail / refused answers seen
+ */
+export function firstAnswer(promisedResponses) {
+  return new Promise((resolve, reject) => {
+    /** @type {string[]} */
+    const rcodes = [];
+    let pending = promisedResponses.length;
+    let fallback = null;
+    let fallbackIsAns = false;
+    let lastErr = null;
+    let done = false;
+
+    const settle = () => {
+      pending -= 1;
+      if (done || pending > 0) return;
+      done = true;
+      if (fallback) resolve([fallback, false, rcodes]);
+      else reject(lastErr || new Error("upstreams: no answer"));
+    };
+
+    if (pending <= 0) {
+      reject(new Error("upstreams: none to race"));
+      return;
+    }
+
+    for (const p of promisedResponses) {
+      withRcode(p).then(
+        ([res, rcode]) => {
+          if (done) return;
+          if (res && res.ok && !rcode) {
+            done = true;
+            resolve([res, true, rcodes]);
+            return;
+          }
+          if (rcode) rcodes.push(rcode);
+          // prefer a dns answer (even if servfail) over a http error
+          if ((rcode && !fallbackIsAns) || fallback == null) {
+            fallback = res;
+            fallbackIsAns = rcode != null;
+          }
+          settle();
+        },
+        (err) => {
+          lastErr = err;
+          settle();
+        }
+      );
+    }
+  });
+}
+
+/**
+ * @param {Promise<Response>} promisedResponse
+ * @returns {Promise<[Response, string?]>} response and its rcode, only if
+ * it is either a servfail or a refused; response's body, if read, is
+ * buffered into a new response.
+ */
+export async function withRcode(promisedResponse) {
+  const res = await promisedResponse;
+  if (!res || !res.ok) return [res, null];
+
+  const ab = await res.arrayBuffer();
+  const rcode = dnsutil.failedRcode(ab);
+  const r = new Response(ab, { status: res.status, headers: res.headers });
+  return [r, rcode];
+}
+
+function aborted(err) {
+  return err != null && err.name === "AbortError";
+}
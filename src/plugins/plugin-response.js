@@ -44,6 +44,18 @@ export class RespData {
     this.dnsResolverUrl = "";
     /** @type {string} */
     this.userBlocklistFlag = "";
+    /** @type {string} */
+    this.userBlockMode = "";
+    /** @type {boolean} */
+    this.userBlockstampIsRec = false;
+    /** @type {string} */
+    this.userRebindMode = "";
+    /** @type {string} - id of the profile in use, if any */
+    this.userProfileId = "";
+    /** @type {boolean} - true if the client is over its rate limit */
+    this.isLimited = false;
+    /** @type {int} */
+    this.retryAfterSec = 0;
   }
 }
 
@@ -53,6 +65,8 @@ export class BlockstampInfo {
     this.userBlocklistFlagUint = null;
     /** @type {String} - mosty 0 or 1 */
     this.flagVersion = "0";
+    /** @type {import("./users/user-rules.js").UserRules?} */
+    this.userRules = null;
   }
 }
 
@@ -6,14 +6,17 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.
  */
 import * as trie from "@serverless-dns/trie/stamp.js";
-import { rbase32 } from "../commons/b32.js";
+import { base32, rbase32 } from "../commons/b32.js";
 import * as bufutil from "../commons/bufutil.js";
 import * as dnsutil from "../commons/dnsutil.js";
 import * as envutil from "../commons/envutil.js";
 import * as util from "../commons/util.js";
-import { DnsCacheData } from "./cache-util.js";
 import * as pres from "./plugin-response.js";
-import { BlocklistFilter } from "./rethinkdns/filter.js";
+
+/**
+ * @typedef {import("./cache-util.js").DnsCacheData} DnsCacheData
+ * @typedef {import("./rethinkdns/filter.js").BlocklistFilter} BlocklistFilter
+ */
 
 // doh uses b64url encoded blockstamp, while dot uses lowercase b32.
 const _b64delim = ":";
@@ -22,8 +25,17 @@ const _b32delim = "-";
 export const logPrefix = new RegExp(`^l${_b64delim}|^l${_b32delim}`);
 // begins with a digit, followed by b64delim or b32delim
 export const stampPrefix = new RegExp(`^\\d+${_b64delim}|^\\d+${_b32delim}`);
+// profile ids stand in for stamps, as p:id[:accesskey] or p-id[-accesskey]
+const profileVersion = "p";
+const profilePrefix = new RegExp(
+  `^${profileVersion}${_b64delim}|^${profileVersion}${_b32delim}`
+);
 
 const emptystr = "";
+// path prefix of rebind modes, ref: rebindModeFromUrl
+const rebindPrefix = "rebind-";
+// blocked-by of names denied by a user's own rules, ref: doBlock
+export const userDenyFlag = "deny";
 // delim, version, blockstamp (flag), accesskey
 const emptystamp = [emptystr, emptystr, emptystr, emptystr];
 
@@ -68,6 +80,14 @@ export function isStampQuery(p) {
   return stampPrefix.test(p);
 }
 
+/**
+ * @param {string} p
+ * @returns {boolean}
+ */
+export function isProfileQuery(p) {
+  return profilePrefix.test(p);
+}
+
 /**
  * @param {string} p
  * @returns {boolean}
@@ -82,7 +102,8 @@ export function isLogQuery(p) {
  *              {BlockstampInfo}
  * dnBlInfo   -> obj of blocklists stamps for dn and all its subdomains
  *              {string(sub/domain-name) : u16(blocklist-stamp) }
- * FIXME: return block-dnspacket depending on altsvc/https/svcb or cname/a/aaaa
+ * a user's own rules (ref: UserRules), if any, win over blocklists
+ * note: answers to blocked queries are built by IOState per block mode
  * @param {string} dn domain name
  * @param {pres.BlockstampInfo} userBlInfo user blocklist info
  * @param {pres.BStamp} dnBlInfo domain blockstamp map
@@ -92,14 +113,16 @@ export function doBlock(dn, userBlInfo, dnBlInfo) {
   const version = userBlInfo.flagVersion;
   const noblock = pres.rdnsNoBlockResponse();
   const userUint = userBlInfo.userBlocklistFlagUint;
-  if (
-    util.emptyString(dn) ||
-    util.emptyObj(dnBlInfo) ||
-    util.emptyObj(userBlInfo)
-  ) {
+  if (util.emptyString(dn) || util.emptyObj(userBlInfo)) {
     return noblock;
   }
 
+  const verdict = userVerdict(dn, userBlInfo);
+  if (verdict === "allow") return noblock;
+  if (verdict === "deny") return pres.rdnsBlockResponse(userDenyFlag);
+
+  if (util.emptyObj(dnBlInfo)) return noblock;
+
   // treat every blocklist as a wildcard blocklist
   if (blockSubdomains) {
     return applyWildcardBlocklists(dn, version, userUint, dnBlInfo);
@@ -112,6 +135,98 @@ export function doBlock(dn, userBlInfo, dnBlInfo) {
   return applyBlocklists(version, userUint, dnUint);
 }
 
+/**
+ * @param {string} ip - ip in an answer
+ * @param {pres.BlockstampInfo} userBlInfo user blocklist info
+ * @param {pres.BStamp} ipBlInfo ip (and domain) blockstamp map
+ * @returns {pres.RespData}
+ */
+export function doBlockIp(ip, userBlInfo, ipBlInfo) {
+  const noblock = pres.rdnsNoBlockResponse();
+  if (
+    util.emptyString(ip) ||
+    util.emptyObj(ipBlInfo) ||
+    util.emptyObj(userBlInfo)
+  ) {
+    return noblock;
+  }
+
+  // unlike domains, ips are never matched by their "parents", since cidrs
+  // are already expanded to all the ip-blocklists an ip is in, ref: IpTrie
+  const ipUint = ipBlInfo[ip];
+  if (util.emptyArray(ipUint)) return noblock;
+
+  const version = userBlInfo.flagVersion;
+  const userUint = userBlInfo.userBlocklistFlagUint;
+  return applyBlocklists(version, userUint, ipUint);
+}
+
+/**
+ * @typedef {Object} BlockTrace
+ * @property {string} name - domain name or ip
+ * @property {string} rule - user rule (allow, deny) that decided name, if any
+ * @property {string} matched - name (or parent) found in blocklists, if any
+ * @property {string[]} inLists - blocklists matched is in
+ * @property {string[]} lists - of inLists, those also in the user's stamp
+ * @property {boolean} blocked
+ */
+
+/**
+ * Same as doBlock (and doBlockIp, if isIp), but tells why dn is (or isn't)
+ * blocked. Not for use when answering queries, but to explain the answers.
+ * @param {string} dn domain name, or ip
+ * @param {pres.BlockstampInfo} userBlInfo user blocklist info
+ * @param {pres.BStamp} dnBlInfo domain (and ip) blockstamp map
+ * @param {boolean} isIp
+ * @returns {BlockTrace}
+ */
+export function explainBlock(dn, userBlInfo, dnBlInfo, isIp = false) {
+  const why = {
+    name: dn,
+    rule: "",
+    matched: "",
+    inLists: [],
+    lists: [],
+    blocked: false,
+  };
+  if (util.emptyString(dn) || util.emptyObj(userBlInfo)) return why;
+
+  why.rule = isIp ? "" : userVerdict(dn, userBlInfo);
+  if (!util.emptyString(why.rule)) {
+    why.blocked = why.rule === "deny";
+    return why;
+  }
+  if (util.emptyObj(dnBlInfo)) return why;
+
+  // names (or ips) looked up in blocklists, ref: applyWildcardBlocklists
+  const names = [dn];
+  if (!isIp && envutil.blockSubdomains()) {
+    const labels = dn.split(".");
+    while (labels.shift() != null && labels.length > 0) {
+      names.push(labels.join("."));
+    }
+  }
+
+  const userUint = userBlInfo.userBlocklistFlagUint;
+  for (const n of names) {
+    const uint = dnBlInfo[n];
+    if (util.emptyArray(uint)) continue;
+
+    const common = intersect(userUint, uint);
+    // the first name in any blocklist, unless a later one is blocked
+    if (util.emptyString(why.matched) || common) {
+      why.matched = n;
+      why.inLists = trie.flagsToTags(uint);
+    }
+    if (common) {
+      why.lists = trie.flagsToTags(common);
+      why.blocked = true;
+      break;
+    }
+  }
+  return why;
+}
+
 /**
  * @param {DnsCacheData} cr
  * @returns {pres.BStamp|boolean}
@@ -147,6 +262,14 @@ export function blockstampFromBlocklistFilter(dnsPacket, blocklistFilter) {
 
     for (const [k, v] of stamp) m.set(k, v);
   }
+  // ips are keyed in as-is, alongside domains; ref: doBlockIp
+  for (const ip of dnsutil.extractIps(dnsPacket)) {
+    const stamp = blocklistFilter.ipstamp(ip);
+
+    if (util.emptyArray(stamp)) continue;
+
+    m.set(ip, stamp);
+  }
   // note: stamps must be objs, ref plugin.js "domainBlockstamp"
   return util.emptyMap(m) ? false : util.objOf(m);
 }
@@ -289,6 +412,21 @@ export function getB64Flag(uint16Arr, flagVersion) {
   }
 }
 
+/**
+ * @param {Uint16Array} uint16Arr - blockstamp
+ * @returns {string} v1 blockstamp in lowercase b32, as used by dot
+ */
+export function getB32Flag(uint16Arr) {
+  if (util.emptyArray(uint16Arr)) return "";
+
+  const u8 = new Uint8Array(
+    uint16Arr.buffer,
+    uint16Arr.byteOffset,
+    uint16Arr.byteLength
+  );
+  return "1" + _b32delim + base32(u8, /* no padding */ false).toLowerCase();
+}
+
 /**
  * Get msg key from `Request` URL
  * @param {string} u
@@ -314,10 +452,26 @@ export function blockstampFromUrl(u) {
 
   // delim at index 0, version at index 1, blockstamp at index 2
   if (util.emptyString(ver) || util.emptyString(blockstamp)) return "";
+  // profiles are resolved to their blockstamps by UserOp
+  if (ver === profileVersion) return "";
 
   return ver + delim + blockstamp;
 }
 
+/**
+ * Get the profile id, if any, from `Request` URL, as in:
+ * /dns-query/p:work:accesskey or p-work.max.rethinkdns.com (DoT)
+ * @param {string} u
+ * @returns {string} id, lowercased; or empty
+ */
+export function profileIdFromUrl(u) {
+  const ans = extractStamps(u);
+  if (ans[1] !== profileVersion) return "";
+
+  // sni labels are case-insensitive, and so, ids are, too
+  return (ans[2] || "").toLowerCase();
+}
+
 /**
  * @param {URL} url
  * @returns {String} stampvalue
@@ -342,6 +496,48 @@ export function recBlockstampFrom(url) {
   return "";
 }
 
+/**
+ * @param {string} u - Request URL string
+ * @param {string} stamp - blockstamp in u, ref: blockstampFromUrl
+ * @returns {boolean} true if stamp is the recommended stamp u asks for
+ */
+export function isRecBlockstamp(u, stamp) {
+  if (util.emptyString(stamp)) return false;
+  return recBlockstampFrom(new URL(u)) === stamp;
+}
+
+/**
+ * Block mode, if any, set in the path of `Request` URL, as in:
+ * /dns-query/nxdomain/1:AAIAgA== or /1:AAIAgA==/refused
+ * @param {string} u - Request URL string
+ * @returns {string} one of dnsutil.blockModes, or empty
+ */
+export function blockModeFromUrl(u) {
+  const url = new URL(u);
+  for (const p of url.pathname.split("/")) {
+    const m = p.toLowerCase();
+    if (dnsutil.blockModes.has(m)) return m;
+  }
+  return emptystr;
+}
+
+/**
+ * Rebind protection, if any, set in the path of `Request` URL, as in:
+ * /dns-query/rebind-strip/1:AAIAgA== or /1:AAIAgA==/rebind-off
+ * @param {string} u - Request URL string
+ * @returns {string} one of dnsutil.rebindModes, or empty
+ */
+export function rebindModeFromUrl(u) {
+  const url = new URL(u);
+  for (const p of url.pathname.split("/")) {
+    const m = p.toLowerCase();
+    if (!m.startsWith(rebindPrefix)) continue;
+    const mode = m.slice(rebindPrefix.length);
+    if (dnsutil.rebindModes.has(mode)) return mode;
+  }
+  return emptystr;
+}
+
 /**
  * @param {string} u - Request URL string
  * @returns {string[]} s - delim, version, blockstamp (flag), accesskey
@@ -365,7 +561,7 @@ export function extractStamps(u) {
   for (const d of domains) {
     if (d.length === 0) continue;
     // capture the first occurence of a b32 delimiter "-"
-    if (isStampQuery(d)) {
+    if (isStampQuery(d) || isProfileQuery(d)) {
       s = d;
       break;
     }
@@ -374,7 +570,7 @@ export function extractStamps(u) {
   for (const p of paths) {
     if (p.length === 0) continue;
     // skip to next if path has `/dns-query` or `/gateway` or '/l:'
-    if (isStampQuery(p)) {
+    if (isStampQuery(p) || isProfileQuery(p)) {
       s = p;
       break;
     }
@@ -428,7 +624,7 @@ export function base32ToUintV1(flag) {
  */
 function splitBlockstamp(s) {
   if (util.emptyString(s)) return emptystamp;
-  if (!isStampQuery(s)) return emptystamp;
+  if (!isStampQuery(s) && !isProfileQuery(s)) return emptystamp;
 
   if (isB32Stamp(s)) {
     // delim, version, blockstamp, accesskey
@@ -508,6 +704,28 @@ export function hasBlockstamp(blockInfo) {
   );
 }
 
+/**
+ * @param {pres.BlockstampInfo} blockInfo
+ * @returns {boolean}
+ */
+export function hasUserRules(blockInfo) {
+  return (
+    !util.emptyObj(blockInfo) &&
+    blockInfo.userRules != null &&
+    !blockInfo.userRules.empty()
+  );
+}
+
+/**
+ * @param {string} dn domain name
+ * @param {pres.BlockstampInfo} blockInfo
+ * @returns {string} "allow", "deny", or empty if no user rule matches dn
+ */
+export function userVerdict(dn, blockInfo) {
+  if (!hasUserRules(blockInfo)) return "";
+  return blockInfo.userRules.verdict(dn);
+}
+
 /**
  * returns true if tstamp is of form yyyy/epochMs
  * @param {string} tstamp
@@ -13,6 +13,8 @@ export class BlocklistFilter {
     // see: src/helpers/node/blocklists.js:hasBlocklistFiles
     this.ftrie = null;
     this.filetag = null;
+    /** @type {import("./iptrie.js").IpTrie?} */
+    this.iptrie = null;
   }
 
   load(frozentrie, filetag) {
@@ -20,6 +22,19 @@ export class BlocklistFilter {
     this.filetag = filetag;
   }
 
+  loadIps(iptrie) {
+    this.iptrie = iptrie;
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {Uint16Array?} blockstamp of ip-blocklists that have ip, if any
+   */
+  ipstamp(ip) {
+    if (this.iptrie == null) return null;
+    return this.iptrie.lookup(ip);
+  }
+
   blockstamp(domainName) {
     const n = dnsutil.normalizeName(domainName);
 
@@ -53,9 +68,87 @@ export class BlocklistFilter {
     return null;
   }
 
+  /**
+   * Looks up many names at once. Each distinct (normalized) name is looked
+   * up at most once; and names that are parents of other names in the batch
+   * aren't looked up at all, but are answered from the lookup of one of
+   * their subdomains, as a lookup reports matches of all parents of a name
+   * (ex: example.com from ads.example.com). The trie itself can't resume a
+   * walk from a shared suffix, and so, the rest is a lookup per name.
+   * @param {string[]} names - domain names
+   * @returns {Map<string, Map<string, Uint16Array>?>} normalized name to
+   * blockstamps of it and its parents in blocklists, if any
+   */
+  lookupAll(names) {
+    const r = new Map();
+    if (this.ftrie == null) return r;
+
+    // r is keyed in the order names are in
+    for (const name of names) {
+      const n = dnsutil.normalizeName(name);
+      if (n) r.set(n, null);
+    }
+
+    // parent name to the lookup of one of its subdomains; and so, names
+    // with the most labels are looked up first
+    const sublookups = new Map();
+    const ordered = [...r.keys()].sort((a, b) => labels(b) - labels(a));
+    for (const n of ordered) {
+      if (sublookups.has(n)) {
+        r.set(n, matchesOf(n, sublookups.get(n)));
+        continue;
+      }
+      const stamps = this.lookup(n);
+      r.set(n, stamps);
+      // null for names that cannot be transformed, which says nothing of
+      // their parents
+      if (stamps == null) continue;
+      for (const p of parentsOf(n)) {
+        if (!sublookups.has(p)) sublookups.set(p, stamps);
+      }
+    }
+    return r;
+  }
+
   extract(ids) {
     const r = {};
     for (const id of ids) r[id] = this.filetag[id];
     return r;
   }
 }
+
+/**
+ * @param {string} n - domain name
+ * @returns {int} number of labels in n
+ */
+function labels(n) {
+  return n.split(".").length;
+}
+
+/**
+ * @param {string} n - domain name, ex: a.b.example.com
+ * @returns {string[]} ex: [b.example.com, example.com, com]
+ */
+function parentsOf(n) {
+  const out = [];
+  for (let i = n.indexOf("."); i >= 0; i = n.indexOf(".", i + 1)) {
+    out.push(n.slice(i + 1));
+  }
+  return out;
+}
+
+/**
+ * @param {string} n - domain name
+ * @param {Map<string, Uint16Array>|boolean} stamps - lookup of a subdomain
+ * of n; or false, if it had no matches
+ * @returns {Map<string, Uint16Array>?} matches in stamps of n, or its parents
+ */
+function matchesOf(n, stamps) {
+  if (!(stamps instanceof Map)) return null;
+
+  const m = new Map();
+  for (const [k, v] of stamps) {
+    if (k === n || n.endsWith("." + k)) m.set(k, v);
+  }
+  return m.size > 0 ? m : null;
+}
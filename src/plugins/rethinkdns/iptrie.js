@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import { tagsToFlags } from "@serverless-dns/trie/stamp.js";
+import * as iputil from "../../commons/iputil.js";
+import * as util from "../../commons/util.js";
+
+// initial number of nodes per tree, doubles as needed
+const initialNodes = 1024;
+
+// IpTrie is a binary prefix trie of cidrs; one tree for ipv4 and another for
+// ipv6. Cidrs are read one per line as "cidr list-id[,list-id...]", where
+// list-ids are the same as those of the domain blocklists; "#" begins a
+// comment. A bare ip is a /32 (or a /128) cidr. Once sealed, a lookup for
+// an ip returns the blockstamp of all the lists that have a cidr with it.
+export class IpTrie {
+  constructor() {
+    this.v4 = new Tree(32);
+    this.v6 = new Tree(128);
+    this.sealed = false;
+    this.log = log.withTags("IpTrie");
+  }
+
+  /**
+   * @param {string} txt - cidrs, one per line
+   * @returns {int} number of cidrs loaded
+   */
+  load(txt) {
+    if (util.emptyString(txt)) return 0;
+
+    let n = 0;
+    for (let line of txt.split("\n")) {
+      const c = line.indexOf("#");
+      line = (c >= 0 ? line.slice(0, c) : line).trim();
+      if (util.emptyString(line)) continue;
+
+      const [cidr, tags] = line.split(/\s+/);
+      try {
+        this.add(cidr, util.emptyString(tags) ? [] : tags.split(","));
+        n += 1;
+      } catch (ex) {
+        this.log.w("skip cidr", line, ex.message);
+      }
+    }
+
+    this.seal();
+    this.log.i("loaded", n, "cidrs; nodes v4/v6", this.v4.n, this.v6.n);
+    return n;
+  }
+
+  /**
+   * @param {string} cidr - ex: 10.1.0.0/16, fd00::/8, 1.2.3.4
+   * @param {string[]} tags - list-ids cidr is in
+   * @throws {Error}
+   */
+  add(cidr, tags) {
+    if (this.sealed) throw new Error("sealed");
+    if (util.emptyArray(tags)) throw new Error("no list-ids");
+
+    const [ip, bits] = cidr.split("/");
+    const b = iputil.ipToBytes(ip);
+    if (b == null) throw new Error("not an ip " + ip);
+
+    const tree = b.length === 4 ? this.v4 : this.v6;
+    const len = bits == null ? tree.bits : parseInt(bits, 10);
+    if (isNaN(len) || len < 0 || len > tree.bits) {
+      throw new Error("bad prefix len " + bits);
+    }
+
+    tree.insert(b, len, tags);
+  }
+
+  seal() {
+    this.v4.seal();
+    this.v6.seal();
+    this.sealed = true;
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {Uint16Array?} blockstamp of lists that have ip, if any
+   */
+  lookup(ip) {
+    if (!this.sealed) return null;
+
+    const b = iputil.ipToBytes(ip);
+    if (b == null) return null;
+
+    return b.length === 4 ? this.v4.lookup(b) : this.v6.lookup(b);
+  }
+}
+
+class Tree {
+  /**
+   * @param {int} bits - address length in bits
+   */
+  constructor(bits) {
+    /** @type {int} */
+    this.bits = bits;
+    // children of node i are at 2i (bit 0) and 2i+1 (bit 1); and since the
+    // root (node 0) is no one's child, a child of 0 means there is none.
+    /** @type {Int32Array} */
+    this.kids = new Int32Array(initialNodes * 2);
+    /** @type {int} */
+    this.n = 1;
+    // node to list-ids of the cidr it ends; only until sealed
+    /** @type {Map<int, Set<string>>} */
+    this.tags = new Map();
+    // node to blockstamp of list-ids of the cidr it ends, and all its parents
+    /** @type {Map<int, Uint16Array>} */
+    this.stamps = new Map();
+  }
+
+  /**
+   * @param {Uint8Array} b - address
+   * @param {int} len - prefix length
+   * @param {string[]} tags
+   */
+  insert(b, len, tags) {
+    let node = 0;
+    for (let i = 0; i < len; i++) {
+      const at = node * 2 + bitAt(b, i);
+      if (this.kids[at] === 0) {
+        this.grow();
+        this.kids[at] = this.n++;
+      }
+      node = this.kids[at];
+    }
+
+    let s = this.tags.get(node);
+    if (s == null) {
+      s = new Set();
+      this.tags.set(node, s);
+    }
+    for (const t of tags) s.add(t);
+  }
+
+  grow() {
+    if (this.n * 2 < this.kids.length) return;
+    const kids = new Int32Array(this.kids.length * 2);
+    kids.set(this.kids);
+    this.kids = kids;
+  }
+
+  // a cidr in a list has all its sub-cidrs in that list, too; so that a
+  // lookup needs only the stamp of the longest matching prefix
+  seal() {
+    const stack = [[0, null]];
+    while (stack.length > 0) {
+      const [node, inherited] = stack.pop();
+      let tags = inherited;
+      const own = this.tags.get(node);
+      if (own != null) {
+        tags = new Set(inherited || []);
+        for (const t of own) tags.add(t);
+        this.stamps.set(node, tagsToFlags([...tags]));
+      }
+      for (const k of [this.kids[node * 2], this.kids[node * 2 + 1]]) {
+        if (k !== 0) stack.push([k, tags]);
+      }
+    }
+    this.tags.clear();
+  }
+
+  /**
+   * @param {Uint8Array} b - address
+   * @returns {Uint16Array?}
+   */
+  lookup(b) {
+    let node = 0;
+    let stamp = this.stamps.get(node) || null;
+    for (let i = 0; i < this.bits; i++) {
+      node = this.kids[node * 2 + bitAt(b, i)];
+      if (node === 0) break;
+      stamp = this.stamps.get(node) || stamp;
+    }
+    return stamp;
+  }
+}
+
+// msb first
+function bitAt(b, i) {
+  return (b[i >> 3] >> (7 - (i & 7))) & 1;
+}
@@ -8,6 +8,7 @@
 
 import { createTrie } from "@serverless-dns/trie/ftrie.js";
 import { BlocklistFilter } from "./filter.js";
+import { IpTrie } from "./iptrie.js";
 import { withDefaults } from "./trie-config.js";
 import * as pres from "../plugin-response.js";
 import * as cfg from "../../core/cfg.js";
@@ -184,8 +185,9 @@ export class BlocklistWrapper {
     this.log.d(rxid, url, tdNodecount, tdParts);
     const buf0 = fileFetch(url + "rd.txt", "buffer");
     const buf1 = maxrangefetches > 0 ? rangeTd(url) : makeTd(url, tdParts);
+    const ips = this.initIpBlocklists(rxid);
 
-    const downloads = await Promise.all([buf0, buf1]);
+    const downloads = await Promise.all([buf0, buf1, ips]);
 
     this.log.i(rxid, "d:trie w/ config", bconfig);
 
@@ -199,6 +201,29 @@ export class BlocklistWrapper {
     return;
   }
 
+  /**
+   * Downloads ip-blocklists, if any, into the blocklist-filter.
+   * @param {string} rxid
+   * @returns {Promise<boolean>} true if ip-blocklists were loaded
+   */
+  async initIpBlocklists(rxid) {
+    const url = envutil.ipBlocklistUrl();
+    if (util.emptyString(url)) return false;
+
+    try {
+      const buf = await fileFetch(url, "buffer");
+      const iptrie = new IpTrie();
+      const n = iptrie.load(bufutil.toStr(buf));
+      this.blocklistFilter.loadIps(iptrie);
+      this.log.i(rxid, "ip-blocklists setup; cidrs:", n);
+      return true;
+    } catch (e) {
+      // domain blocklists work just fine without ip-blocklists
+      this.log.e(rxid, "initIpBlocklists", url, e);
+    }
+    return false;
+  }
+
   triedata() {
     const blf = this.blocklistFilter;
     const ftrie = blf.ftrie;
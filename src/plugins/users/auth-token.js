@@ -15,8 +15,10 @@ import * as rdnsutil from "../../plugins/rdns-util.js";
 export const info = "sdns-public-auth-info";
 
 export class Outcome {
-  constructor(s) {
+  constructor(s, id = "") {
     this.status = s;
+    // id of the access key that passed auth, if any; ex: domain.tld|deadbe
+    this.id = id;
     // no auth or auth passed
     this.ok = s >= 0;
     // no auth or auth failed
@@ -30,8 +32,8 @@ export class Outcome {
     return new Outcome(0);
   }
   // auth passed
-  static pass() {
-    return new Outcome(1);
+  static pass(id = "") {
+    return new Outcome(1, id);
   }
   // auth failed
   static fail() {
@@ -85,11 +87,13 @@ export async function auth(rxid, url) {
     // allow if access-key (upto its full len) matches calculated hex
     for (const ak of accesskeys) {
       ok = hexcat.startsWith(ak);
+      // tells access keys apart, without giving them away
+      const [d, h] = ak.split(akdelim);
+      const id = d + akdelim + h.slice(0, 6);
       if (ok) {
-        return Outcome.pass();
+        return Outcome.pass(id);
       } else {
-        const [d, h] = ak.split(akdelim);
-        a6 += d + akdelim + h.slice(0, 6) + " ";
+        a6 += id + " ";
       }
     }
 
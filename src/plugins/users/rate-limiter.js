@@ -0,0 +1,182 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import { LfuCache } from "@serverless-dns/lfu-cache";
+import * as pres from "../plugin-response.js";
+import * as envutil from "../../commons/envutil.js";
+import * as util from "../../commons/util.js";
+import * as rdnsutil from "../rdns-util.js";
+
+// max buckets kept; the least used are let go of first
+const bucketsSize = 50000;
+// tiers clients are limited by
+const tiers = ["key", "profile", "ip"];
+
+/**
+ * @typedef {Object} Limit
+ * @property {number} rate - tokens added per second
+ * @property {number} burst - most tokens a bucket holds
+ */
+
+/**
+ * @typedef {Object} Bucket
+ * @property {number} tokens - queries that may be sent right away
+ * @property {number} at - when tokens was last refilled, epoch ms
+ */
+
+// RateLimiter limits how fast a client may query with token buckets for
+// each tier the client is in: its ip, if known (ref: clientIpOf); and, in
+// addition, its access key, if it is authenticated (ref: auth-token.js); and
+// the profile in the url, if it exists (ref: UserOp). Queries are limited
+// if any of the buckets is empty; as, else, clients could dodge limits on
+// their ips by way of tiers that aren't limited (or, have looser limits).
+// Limits are set per tier (key, profile, ip) in env RATE_LIMITS; tiers
+// without limits are never limited. Buckets are in memory, and so, on
+// Workers, they are local to each isolate.
+export class RateLimiter {
+  constructor() {
+    /** @type {Map<string, Limit>} */
+    this.limits = new Map();
+    this.buckets = new LfuCache("RateLimiter", bucketsSize);
+    this.log = log.withTags("RateLimiter");
+
+    this.load(envutil.rateLimits());
+  }
+
+  /**
+   * @param {string} json - limits by tier
+   * @returns {int} number of tiers whose limits were loaded
+   */
+  load(json) {
+    if (util.emptyString(json)) return 0;
+
+    try {
+      for (const [t, v] of Object.entries(JSON.parse(json))) {
+        const l = limitOf(v);
+        if (!tiers.includes(t) || l == null) {
+          this.log.w("skip invalid limit", t, v);
+          continue;
+        }
+        this.limits.set(t, l);
+      }
+    } catch (ex) {
+      this.log.e("limits unreadable", ex.message);
+    }
+
+    if (this.limits.size > 0) this.log.i("limits", [...this.limits]);
+    return this.limits.size;
+  }
+
+  /**
+   * @returns {boolean} true if no tier is limited
+   */
+  empty() {
+    return this.limits.size <= 0;
+  }
+
+  /**
+   * @param {{rxid: string, request: Request, userAuth: any, userProfileId: string, isDnsMsg: boolean}} ctx
+   * @returns {Promise<pres.RResp>}
+   */
+  async exec(ctx) {
+    const r = pres.emptyResponse();
+    if (!ctx.isDnsMsg || this.empty()) return r;
+
+    try {
+      let wait = 0;
+      for (const [tier, id] of clientOf(ctx)) {
+        const limit = this.limits.get(tier);
+        if (limit == null || util.emptyString(id)) continue;
+
+        const w = this.take(tier + ":" + id, limit);
+        if (w > 0) this.log.d(ctx.rxid, "limited", tier, id, "retry in", w);
+        wait = Math.max(wait, w);
+      }
+      if (wait > 0) {
+        r.data.isLimited = true;
+        r.data.retryAfterSec = wait;
+      }
+    } catch (ex) {
+      // let queries through, rather than refuse them on errors
+      this.log.e(ctx.rxid, "main", ex);
+    }
+
+    return r;
+  }
+
+  /**
+   * Takes a token out of the bucket k, refilled as per limit.
+   * @param {string} k - bucket key
+   * @param {Limit} limit
+   * @returns {int} 0 if a token was taken; or, secs until one is available
+   */
+  take(k, limit) {
+    const now = Date.now();
+    /** @type {Bucket} */
+    const b = this.buckets.get(k) || { tokens: limit.burst, at: now };
+
+    const refill = ((now - b.at) / 1000) * limit.rate;
+    b.tokens = Math.min(limit.burst, b.tokens + refill);
+    b.at = now;
+
+    let wait = 0;
+    if (b.tokens >= 1) b.tokens -= 1;
+    else wait = Math.ceil((1 - b.tokens) / limit.rate);
+
+    this.buckets.put(k, b);
+    return wait;
+  }
+}
+
+/**
+ * @param {{request: Request, userAuth: any, userProfileId: string}} ctx
+ * @returns {Array<string[]>} tiers the client is in, and its id in each
+ */
+function clientOf(ctx) {
+  const out = [["ip", clientIpOf(ctx.request)]];
+  // unverified keys (as when ACCESS_KEYS is not set) can be made up at
+  // will, and so, do not tell clients apart
+  const key = rdnsutil.msgkeyFromUrl(ctx.request.url);
+  if (ctx.userAuth && ctx.userAuth.yes && !util.emptyString(key)) {
+    out.push(["key", key]);
+  }
+  if (!util.emptyString(ctx.userProfileId)) {
+    out.push(["profile", ctx.userProfileId]);
+  }
+  return out;
+}
+
+/**
+ * Unlike LogPusher.getip, only trusts headers clients can't set themselves;
+ * else, a client could have a new bucket for every query it sends.
+ * @param {Request} req
+ * @returns {string} ip of the client, if known
+ */
+function clientIpOf(req) {
+  // Cloudflare overwrites any the client sends
+  if (envutil.isWorkers()) return req.headers.get("cf-connecting-ip") || "";
+  // our servers drop any the client sends, ref: util.clientIpHeader
+  if (envutil.isNode() || envutil.isBun() || envutil.isDeno()) {
+    return req.headers.get("x-nile-client-ip") || "";
+  }
+  // ex: on Fastly, clients aren't limited by their ips
+  return "";
+}
+
+/**
+ * @param {any} v - as in {"rate": 20, "burst": 40}
+ * @returns {Limit?}
+ */
+function limitOf(v) {
+  if (util.emptyObj(v)) return null;
+
+  const rate = Number(v.rate);
+  const burst = v.burst != null ? Number(v.burst) : rate;
+  if (!(rate > 0) || !(burst >= 1)) return null;
+
+  return { rate: rate, burst: burst };
+}
@@ -6,6 +6,7 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.
  */
 import { UserCache } from "./user-cache.js";
+import { UserRules } from "./user-rules.js";
 import * as pres from "../plugin-response.js";
 import * as util from "../../commons/util.js";
 import * as envutil from "../../commons/envutil.js";
@@ -15,14 +16,27 @@ import * as dnsutil from "../../commons/dnsutil.js";
 
 // TODO: determine an approp cache-size
 const cacheSize = 20000;
+const rulesCacheSize = 5000;
+const profilesCacheSize = 5000;
+// rules and profiles are re-read from the store once these many millis old
+const storeTtlMs = 60 * 1000; // 1m
 
 // use fixed doh upstream for these domains,
 // instead of either recursing (on Fly.io)
 const delegated = new Set(["ipv4only.arpa"]);
 
 export class UserOp {
-  constructor() {
+  /**
+   * @param {import("./user-store.js").UserStore} store
+   */
+  constructor(store = null) {
     this.userConfigCache = new UserCache(cacheSize);
+    // access key to UserRules
+    this.userRulesCache = new UserCache(rulesCacheSize);
+    // profile id to UserProfile
+    this.userProfileCache = new UserCache(profilesCacheSize);
+    /** @type {import("./user-store.js").UserStore} */
+    this.store = store;
     this.log = log.withTags("UserOp");
   }
 
@@ -38,7 +52,7 @@ export class UserOp {
       if (!out.ok) {
         res = pres.errResponse("UserOp:Auth", new Error("auth failed"));
       } else {
-        res = this.loadUser(ctx);
+        res = await this.loadUser(ctx);
       }
       res.data.userAuth = out;
     } catch (ex) {
@@ -50,9 +64,9 @@ export class UserOp {
 
   /**
    * @param {{request: Request, requestDecodedDnsPacket: any, isDnsMsg: Boolean, rxid: string}} ctx
-   * @returns {pres.RResp}
+   * @returns {Promise<pres.RResp>}
    */
-  loadUser(ctx) {
+  async loadUser(ctx) {
     const response = pres.emptyResponse();
 
     if (!ctx.isDnsMsg) {
@@ -70,7 +84,27 @@ export class UserOp {
         }
       }
 
-      const blocklistFlag = rdnsutil.blockstampFromUrl(ctx.request.url);
+      // a profile, if any, stands in for the blockstamp in the url
+      const pid = rdnsutil.profileIdFromUrl(ctx.request.url);
+      const profile = await this.profileOf(ctx.rxid, pid);
+      if (!util.emptyString(pid) && profile == null) {
+        this.log.w(ctx.rxid, "no such profile", pid);
+      }
+      // empty unless the profile exists, ref: RateLimiter
+      response.data.userProfileId = profile ? pid : "";
+
+      // empty unless the block mode is overriden in the url or profile
+      response.data.userBlockMode =
+        rdnsutil.blockModeFromUrl(ctx.request.url) ||
+        (profile ? profile.mode : "");
+      // empty unless rebind protection is overriden in the url or profile
+      response.data.userRebindMode =
+        rdnsutil.rebindModeFromUrl(ctx.request.url) ||
+        (profile ? profile.rebind : "");
+
+      const blocklistFlag = profile
+        ? profile.stamp
+        : rdnsutil.blockstampFromUrl(ctx.request.url);
       const hasflag = !util.emptyString(blocklistFlag);
       if (!hasflag) {
         this.log.d(ctx.rxid, "empty blocklist-flag", ctx.request.url);
@@ -94,9 +128,21 @@ export class UserOp {
         this.log.d(ctx.rxid, "cfg cache hit?", hasdata, blocklistFlag, r);
       }
 
-      if (hasdata) {
+      const rules = profile
+        ? profile.rules
+        : await this.rulesOf(ctx.rxid, ctx.request.url);
+      if (rules != null) {
+        // r is shared by all users of the same blockstamp, but rules aren't
+        r = withRules(r, rules);
+      }
+
+      if (hasdata || rules != null) {
         response.data.userBlocklistInfo = r;
         response.data.userBlocklistFlag = blocklistFlag;
+        response.data.userBlockstampIsRec = rdnsutil.isRecBlockstamp(
+          ctx.request.url,
+          blocklistFlag
+        );
         // TODO: override response.data.dnsResolverUrl
       }
     } catch (e) {
@@ -107,4 +153,102 @@ export class UserOp {
 
     return response;
   }
+
+  /**
+   * @param {string} rxid
+   * @param {string} u - request url
+   * @returns {Promise<UserRules?>} rules of the user, if any
+   */
+  async rulesOf(rxid, u) {
+    if (this.store == null) return null;
+    const key = rdnsutil.msgkeyFromUrl(u);
+    if (util.emptyString(key)) return null;
+
+    let rules = this.userRulesCache.get(key);
+    if (rules == null || this.stale(rules.at)) {
+      try {
+        rules = (await this.store.rulesOf(key)) || new UserRules();
+      } catch (ex) {
+        this.log.w(rxid, "rules unavailable; stale?", rules != null, ex);
+        rules = rules || new UserRules();
+      }
+      // empty rules are cached, too, so that users without any rules
+      // aren't looked up in the store on every request
+      rules.at = Date.now();
+      this.userRulesCache.put(key, rules);
+    }
+
+    return rules.empty() ? null : rules;
+  }
+
+  /**
+   * @param {string} rxid
+   * @param {string} id - profile id
+   * @returns {Promise<UserProfile?>} the profile, if it exists
+   */
+  async profileOf(rxid, id) {
+    if (this.store == null || util.emptyString(id)) return null;
+
+    let p = this.userProfileCache.get(id);
+    if (p == null || this.stale(p.at)) {
+      try {
+        p = userProfileOf(await this.store.profileOf(id));
+      } catch (ex) {
+        this.log.w(rxid, "profile unavailable; stale?", id, p != null, ex);
+        if (p == null) return null;
+      }
+      // missing profiles are cached, too; as ids in urls of deleted
+      // profiles would otherwise hit the store on every request
+      p.at = Date.now();
+      this.userProfileCache.put(id, p);
+    }
+
+    return p.found ? p : null;
+  }
+
+  /**
+   * @param {number} at - when an entry was got from the store
+   * @returns {boolean} true if the entry must be re-read from the store
+   */
+  stale(at) {
+    // profiles modified on this instance are seen right away
+    return Date.now() - at > storeTtlMs || at < this.store.modifiedAt;
+  }
+}
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {boolean} found - false if there's no such profile
+ * @property {string} stamp - blockstamp
+ * @property {string} mode - block mode
+ * @property {string} rebind - rebind mode
+ * @property {UserRules?} rules - allow / deny rules, if any
+ * @property {number} at - when the profile was got from the store
+ */
+
+/**
+ * @param {import("./user-store.js").Profile?} p
+ * @returns {UserProfile}
+ */
+function userProfileOf(p) {
+  const rules = p != null ? new UserRules(p.allow, p.deny) : null;
+  return {
+    found: p != null,
+    stamp: p != null ? p.stamp || "" : "",
+    mode: p != null ? p.mode || "" : "",
+    rebind: p != null ? p.rebind || "" : "",
+    rules: rules != null && !rules.empty() ? rules : null,
+    at: Date.now(),
+  };
+}
+
+/**
+ * @param {pres.BlockstampInfo?} r
+ * @param {UserRules} rules
+ * @returns {pres.BlockstampInfo} a copy of r with rules
+ */
+function withRules(r, rules) {
+  const b = Object.assign(new pres.BlockstampInfo(), r);
+  b.userRules = rules;
+  return b;
 }
@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as util from "../../commons/util.js";
+
+const allow = "allow";
+const deny = "deny";
+
+// UserRules are overrides over a user's blocklists, set by the operator:
+// names to always allow, even if they are in the user's blocklists; and
+// names to always deny, even if they are in none. An entry matches a name
+// and all its subdomains; or, only its subdomains, if it is a wildcard
+// (*.example.com).
+// When more than one entry matches, the one with the longest suffix wins;
+// and when an allow and a deny entry are equally long, the allow wins.
+export class UserRules {
+  /**
+   * @param {string[]} allowed - names to allow
+   * @param {string[]} denied - names to deny
+   */
+  constructor(allowed = [], denied = []) {
+    /** @type {Map<string, string>} */
+    this.suffixes = new Map();
+    /** @type {Map<string, string>} */
+    this.wildcards = new Map();
+    // entries in the order they were added, to serialize with
+    this.entries = { allow: [], deny: [] };
+    // when these rules were got from the store, ref: UserOp
+    this.at = Date.now();
+
+    // deny before allow, so that allow overwrites it
+    for (const n of denied || []) this.add(n, deny);
+    for (const n of allowed || []) this.add(n, allow);
+  }
+
+  /**
+   * @param {string} entry - name, or wildcard name
+   * @param {string} verdict - allow or deny
+   */
+  add(entry, verdict) {
+    if (typeof entry !== "string") return;
+    let name = dnsutil.normalizeName(entry);
+    const wildcard = name.startsWith("*.");
+    if (wildcard) name = name.slice(2);
+    if (name.endsWith(".")) name = name.slice(0, -1);
+    if (util.emptyString(name)) return;
+
+    const m = wildcard ? this.wildcards : this.suffixes;
+    if (m.get(name) === allow) return;
+    m.set(name, verdict);
+    this.entries[verdict].push(wildcard ? "*." + name : name);
+  }
+
+  empty() {
+    return this.suffixes.size + this.wildcards.size <= 0;
+  }
+
+  /**
+   * @param {string} dn - normalized domain name
+   * @returns {string} "allow", "deny", or empty if no entry matches dn
+   */
+  verdict(dn) {
+    if (this.empty() || util.emptyString(dn)) return "";
+
+    // walk up from dn to its tld, ex: a.b.c => a.b.c, b.c, c
+    let name = dn;
+    while (!util.emptyString(name)) {
+      const s = this.suffixes.get(name);
+      // wildcards do not match the suffix itself
+      const w = name !== dn ? this.wildcards.get(name) : null;
+      if (s === allow || w === allow) return allow;
+      if (s || w) return deny;
+
+      const i = name.indexOf(".");
+      name = i < 0 ? "" : name.slice(i + 1);
+    }
+    return "";
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
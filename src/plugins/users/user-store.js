@@ -0,0 +1,296 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import { UserRules } from "./user-rules.js";
+import * as dnsutil from "../../commons/dnsutil.js";
+import * as envutil from "../../commons/envutil.js";
+import * as util from "../../commons/util.js";
+import * as rdnsutil from "../rdns-util.js";
+
+// profile ids must not have stamp delimiters (":" and "-") in them
+const profileIdRe = /^[a-z0-9]{1,32}$/;
+// max allow and deny entries in a profile
+const maxProfileRules = 1000;
+// keys of profiles in the kv namespace
+const kvPrefix = "profile:";
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - ex: work
+ * @property {string} stamp - blockstamp, ex: 1:YAYBACABEDAgAA==
+ * @property {string} mode - one of dnsutil.blockModes; or empty
+ * @property {string} rebind - one of dnsutil.rebindModes; or empty
+ * @property {string[]} allow - names to allow, ref: UserRules
+ * @property {string[]} deny - names to deny, ref: UserRules
+ * @property {string} owner - id of the access key that made it, ref: Outcome
+ * @property {number} updated - epoch ms
+ */
+
+// UserStore holds settings of users that do not fit in a url. Those are
+// custom allow / deny rules keyed by the user's access key (the msg-key in
+// the url, ref: auth-token.js), read as json, of the form
+// {"<msg-key>": {"allow": ["a.example.com"], "deny": ["*.example.org"]}},
+// from env USER_RULES; and, on runtimes with a disk, also from a file at
+// USER_RULES_PATH. And, profiles: a blockstamp, block mode, rebind mode, and
+// rules saved under a short id, which then stands in for all of those in
+// urls (ref: rdnsutil.profileIdFromUrl). Profiles are kept in the kv
+// namespace PROFILES on Workers, in a file at PROFILES_PATH on runtimes
+// with a disk (ref: core/node/profiles.js), and in memory elsewhere.
+export class UserStore {
+  constructor() {
+    /** @type {Map<string, UserRules>} */
+    this.rules = new Map();
+    const kv = envutil.profilesKv();
+    /** @type {MemProfiles} */
+    this.profiles = kv != null ? new KvProfiles(kv) : new MemProfiles();
+    // when profiles were last modified by this instance, ref: UserOp
+    this.modifiedAt = 0;
+    this.log = log.withTags("UserStore");
+
+    this.load(envutil.userRules());
+  }
+
+  /**
+   * @param {string} json - rules by access key
+   * @returns {int} number of users whose rules were loaded
+   */
+  load(json) {
+    if (util.emptyString(json)) return 0;
+
+    let n = 0;
+    try {
+      for (const [k, v] of Object.entries(JSON.parse(json))) {
+        if (util.emptyString(k) || util.emptyObj(v)) continue;
+        this.rules.set(k, new UserRules(v.allow, v.deny));
+        n += 1;
+      }
+    } catch (ex) {
+      this.log.e("rules unreadable", ex.message);
+    }
+
+    if (n > 0) this.log.i("loaded rules of", n, "users");
+    return n;
+  }
+
+  /**
+   * @param {MemProfiles} profiles - where profiles are kept
+   */
+  setProfiles(profiles) {
+    this.profiles = profiles;
+    this.modifiedAt = Date.now();
+  }
+
+  /**
+   * @param {string} key - access key
+   * @returns {Promise<UserRules?>} rules of the user, if any
+   */
+  async rulesOf(key) {
+    if (util.emptyString(key)) return null;
+    return this.rules.get(key) || null;
+  }
+
+  /**
+   * @param {string} id - profile id
+   * @returns {Promise<Profile?>}
+   */
+  async profileOf(id) {
+    if (!isProfileId(id)) return null;
+    return await this.profiles.get(id);
+  }
+
+  /**
+   * @param {string} id - profile id
+   * @param {string} owner - id of an access key, ref: token.Outcome
+   * @returns {Promise<boolean>} true if the profile is owner's to change;
+   * or if there's no such profile, or it has no owner (made before profiles
+   * had owners), in which case, it is owner's to claim
+   */
+  async isOwner(id, owner) {
+    const p = await this.profileOf(id);
+    if (p == null || util.emptyString(p.owner)) return true;
+    return p.owner === owner;
+  }
+
+  /**
+   * @param {string} id - profile id
+   * @param {Object} o - stamp, mode, rebind, allow, deny
+   * @param {string} owner - id of the access key putting it
+   * @returns {Promise<Profile>} the saved profile
+   * @throws {Error} if any of o's fields are invalid
+   */
+  async putProfile(id, o, owner = "") {
+    const p = mkProfile(id, o, owner);
+    await this.profiles.put(id, p);
+    this.modifiedAt = Date.now();
+    this.log.i("put profile", id);
+    return p;
+  }
+
+  /**
+   * @param {string} id - profile id
+   * @returns {Promise<boolean>} true if the profile was deleted
+   */
+  async deleteProfile(id) {
+    if (!isProfileId(id)) return false;
+    const ok = await this.profiles.delete(id);
+    this.modifiedAt = Date.now();
+    this.log.i("delete profile", id, ok);
+    return ok;
+  }
+
+  /**
+   * @returns {Promise<string[]>} ids of all profiles
+   */
+  async profileIds() {
+    return await this.profiles.ids();
+  }
+}
+
+// profiles in memory, lost on restarts
+export class MemProfiles {
+  constructor() {
+    /** @type {Map<string, Profile>} */
+    this.m = new Map();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Profile?>}
+   */
+  async get(id) {
+    return this.m.get(id) || null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Profile} p
+   */
+  async put(id, p) {
+    this.m.set(id, p);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    return this.m.delete(id);
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async ids() {
+    return [...this.m.keys()];
+  }
+}
+
+// profiles in a Workers kv namespace: developers.cloudflare.com/kv/api
+class KvProfiles extends MemProfiles {
+  constructor(kv) {
+    super();
+    this.kv = kv;
+  }
+
+  async get(id) {
+    return (await this.kv.get(kvPrefix + id, { type: "json" })) || null;
+  }
+
+  async put(id, p) {
+    await this.kv.put(kvPrefix + id, JSON.stringify(p));
+  }
+
+  async delete(id) {
+    // kv does not tell if the key existed
+    await this.kv.delete(kvPrefix + id);
+    return true;
+  }
+
+  async ids() {
+    const ids = [];
+    let cursor = undefined;
+    do {
+      const r = await this.kv.list({ prefix: kvPrefix, cursor: cursor });
+      for (const k of r.keys) ids.push(k.name.slice(kvPrefix.length));
+      cursor = r.list_complete ? undefined : r.cursor;
+    } while (cursor);
+    return ids;
+  }
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isProfileId(id) {
+  return typeof id === "string" && profileIdRe.test(id);
+}
+
+/**
+ * @param {string} id
+ * @param {Object} o
+ * @param {string} owner
+ * @returns {Profile}
+ * @throws {Error}
+ */
+function mkProfile(id, o, owner) {
+  if (!isProfileId(id)) throw new Error("invalid profile id: " + id);
+  if (util.emptyObj(o)) throw new Error("empty profile: " + id);
+
+  const stamp = o.stamp || "";
+  if (!util.emptyString(stamp) && !isStamp(stamp)) {
+    throw new Error("invalid stamp: " + stamp);
+  }
+  const mode = (o.mode || "").toLowerCase();
+  if (!util.emptyString(mode) && !dnsutil.blockModes.has(mode)) {
+    throw new Error("invalid block mode: " + mode);
+  }
+  const rebind = (o.rebind || "").toLowerCase();
+  if (!util.emptyString(rebind) && !dnsutil.rebindModes.has(rebind)) {
+    throw new Error("invalid rebind mode: " + rebind);
+  }
+  const allow = namesOf(o.allow);
+  const deny = namesOf(o.deny);
+  if (allow.length + deny.length > maxProfileRules) {
+    throw new Error("too many rules: " + (allow.length + deny.length));
+  }
+
+  return {
+    id: id,
+    stamp: stamp,
+    mode: mode,
+    rebind: rebind,
+    allow: allow,
+    deny: deny,
+    owner: owner || "",
+    updated: Date.now(),
+  };
+}
+
+/**
+ * @param {string} s
+ * @returns {boolean}
+ */
+function isStamp(s) {
+  if (!rdnsutil.isStampQuery(s)) return false;
+  try {
+    return rdnsutil.hasBlockstamp(rdnsutil.unstamp(s));
+  } catch (ignore) {
+    return false;
+  }
+}
+
+/**
+ * @param {string[]?} names
+ * @returns {string[]} non-empty names in names
+ */
+function namesOf(names) {
+  if (!Array.isArray(names)) return [];
+  return names
+    .filter((n) => typeof n === "string" && !util.emptyString(n))
+    .map((n) => dnsutil.normalizeName(n));
+}
@@ -10,7 +10,7 @@
 // other modules.
 import "./core/deno/config.ts";
 import { handleRequest } from "./core/doh.js";
-import { stopAfter, uptime } from "./core/svc.js";
+import { services, stopAfter, uptime } from "./core/svc.js";
 import * as system from "./system.js";
 import * as util from "./commons/util.js";
 import * as bufutil from "./commons/bufutil.js";
@@ -131,6 +131,11 @@ function systemUp() {
     for await (const conn of dot) {
       log.d("DoT conn:", conn.remoteAddr);
 
+      if (!admit(conn.remoteAddr)) {
+        conn.close();
+        continue;
+      }
+
       // to not block the server and accept further conns, do not await
       serveTcp(conn);
     }
@@ -151,11 +156,15 @@ function systemUp() {
   }
 }
 
-function serveDoh(req: Request) {
+function serveDoh(req: Request, info: Deno.ServeHandlerInfo) {
+  // checked per request, as conns may be shared by many clients (proxies)
+  if (!admit(info.remoteAddr)) return util.respond403();
+
   try {
     // doc.deno.land/deno/stable/~/Deno.RequestEvent
     // deno.land/manual/runtime/http_server_apis#http-requests-and-responses
-    return handleRequest(util.mkFetchEvent(req));
+    const r = withClientIp(req, info.remoteAddr);
+    return handleRequest(util.mkFetchEvent(r));
   } catch (e) {
     // Client may close conn abruptly before a response could be sent
     log.w("doh fail", e);
@@ -163,6 +172,31 @@ function serveDoh(req: Request) {
   }
 }
 
+// see: server-node.js:admit
+function admit(addr: Deno.Addr) {
+  const acl = services.acl;
+  const ip = ipOf(addr);
+  if (acl == null || acl.admit(ip)) return true;
+
+  log.d("acl: not admitted", ip);
+  return false;
+}
+
+function ipOf(addr: Deno.Addr) {
+  return addr && addr.transport === "tcp" ? addr.hostname : "";
+}
+
+// see: server-node.js:handleHTTPRequest
+function withClientIp(req: Request, addr: Deno.Addr) {
+  const ip = ipOf(addr);
+  const headers = new Headers(req.headers);
+  // only servers may set it, so that clients cannot spoof it; ref:
+  // util.clientIpHeader
+  headers.delete("x-nile-client-ip");
+  if (!util.emptyString(ip)) headers.set("x-nile-client-ip", ip);
+  return new Request(req, { headers: headers });
+}
+
 async function serveTcp(conn: Deno.Conn) {
   // TODO: Sync this impl with serveTcp in server-node.js
   const qlBuf = new Uint8Array(2);
@@ -210,7 +244,7 @@ async function serveTcp(conn: Deno.Conn) {
 
 async function handleTCPQuery(q: Uint8Array, conn: Deno.Conn) {
   try {
-    const r = await resolveQuery(q);
+    const r = await resolveQuery(q, ipOf(conn.remoteAddr));
     const rlBuf = bufutil.encodeUint8ArrayBE(r.byteLength, 2);
 
     const n = await conn.write(new Uint8Array([...rlBuf, ...r]));
@@ -222,11 +256,15 @@ async function handleTCPQuery(q: Uint8Array, conn: Deno.Conn) {
   }
 }
 
-async function resolveQuery(q: Uint8Array) {
+async function resolveQuery(q: Uint8Array, ip: string) {
   // TODO: Sync code with server-node.js:resolveQuery
   const freq: Request = new Request("https://ignored.example.com", {
     method: "POST",
-    headers: util.concatHeaders(util.dnsHeaders(), util.contentLengthHeader(q)),
+    headers: util.concatHeaders(
+      util.dnsHeaders(),
+      util.contentLengthHeader(q),
+      util.clientIpHeader(ip)
+    ),
     body: q,
   });
 
@@ -12,6 +12,7 @@ import "./core/node/config.js";
 
 import { LfuCache } from "@serverless-dns/lfu-cache";
 import * as h2c from "httpx-server";
+import dgram from "node:dgram";
 import http2 from "node:http2";
 import https from "node:https";
 import net, { isIPv6 } from "node:net";
@@ -19,15 +20,16 @@ import os from "node:os";
 import { finished } from "node:stream";
 import tls from "node:tls";
 import v8 from "node:v8";
-import { V2ProxyProtocol } from "proxy-protocol-js";
 import * as bufutil from "./commons/bufutil.js";
 import * as nodecrypto from "./commons/crypto.js";
 import * as dnsutil from "./commons/dnsutil.js";
 import * as envutil from "./commons/envutil.js";
+import * as iputil from "./commons/iputil.js";
 import * as util from "./commons/util.js";
 import { handleRequest } from "./core/doh.js";
+import * as pp from "./core/node/proxy-proto.js";
 import * as nodeutil from "./core/node/util.js";
-import { stopAfter, uptime } from "./core/svc.js";
+import { services, stopAfter, uptime } from "./core/svc.js";
 import * as system from "./system.js";
 
 /**
@@ -55,6 +57,7 @@ class Stats {
     this.nofconns = 0;
     this.openconns = 0;
     this.noftimeouts = 0;
+    this.nofacldrops = 0;
     this.nofheapsnaps = 0;
     // avg1, avg5, avg15, adj, maxconns
     this.bp = [0, 0, 0, 0, 0];
@@ -65,6 +68,7 @@ class Stats {
       `reqs=${this.noreqs} c=${this.nofchecks} ` +
       `drops=${this.nofdrops}/tot=${this.nofconns}/open=${this.openconns} ` +
       `to=${this.noftimeouts}/tlserr=${this.tlserr} ` +
+      `acldrops=${this.nofacldrops} ` +
       `tls0=${this.fasttls}/tls0miss=${this.totfasttls}/tlsadjs=${this.noftlsadjs} ` +
       `n=${this.bp[4]}/adj=${this.bp[3]} ` +
       `load=${this.bp[0]}/${this.bp[1]}/${this.bp[2]}`
@@ -94,8 +98,9 @@ class ConnW {
 class Tracker {
   constructor() {
     this.zeroid = "";
-    /** @type {Array<Map<string, ConnW>>} */
-    this.connmap = [];
+    // server-id to its conns; as server-ids aren't always numbers
+    /** @type {Map<string, Map<string, ConnW>>} */
+    this.connmap = new Map();
     this.reports = [];
     /** @type {Array<net.Server>} */
     this.srvs = [];
@@ -118,7 +123,9 @@ class Tracker {
       return this.zeroid;
     }
 
-    return saddr.port + "";
+    // udp and tcp servers may listen on the same port
+    const proto = server instanceof UdpServer ? "udp" : "";
+    return proto + saddr.port;
   }
 
   /**
@@ -144,14 +151,13 @@ class Tracker {
       return this.zeroid;
     }
 
-    const cmap = this.connmap[mapid];
-    if (cmap) {
+    if (this.connmap.has(mapid)) {
       log.w("trackServer: server already tracked?", id, mapid);
       return this.zeroid;
     }
 
     log.i("trackServer: new server", id, mapid);
-    this.connmap[mapid] = new Map();
+    this.connmap.set(mapid, new Map());
     this.srvs.push(s);
     return mapid;
   }
@@ -161,8 +167,7 @@ class Tracker {
   }
 
   *conns() {
-    for (const cm of this.connmap) {
-      if (!cm) continue;
+    for (const cm of this.connmap.values()) {
       yield* cm.values();
     }
   }
@@ -180,7 +185,7 @@ class Tracker {
 
     const mapid = this.sid(server);
     const connid = this.cid(sock);
-    const cmap = this.connmap[mapid];
+    const cmap = this.connmap.get(mapid);
     if (!this.valid(mapid) || !this.valid(connid) || !cmap) {
       log.d("trackConn: server/socket not tracked?", mapid, connid);
       return this.zeroid;
@@ -201,8 +206,7 @@ class Tracker {
     const connid = this.cid(sock);
     if (!this.valid(connid)) return null; // unlikely
 
-    for (const cmap of this.connmap) {
-      if (!cmap) continue;
+    for (const cmap of this.connmap.values()) {
       const connw = cmap.get(connid);
       if (connw != null) return connw.rep;
     }
@@ -210,17 +214,52 @@ class Tracker {
   }
 
   /**
-   * @returns {[Array<net.Server>, Array<Map<string, ConnW>>]}
+   * @returns {[Array<net.Server>, Map<string, Map<string, ConnW>>]}
    */
   end() {
     const srvs = this.srvs;
     const cmap = this.connmap;
     this.srvs = [];
-    this.connmap = [];
+    this.connmap = new Map();
     return [srvs, cmap];
   }
 }
 
+// UdpServer fronts a udp socket as if it were a net.Server, for Tracker
+// and adjustMaxConns; where queries in flight stand in for connections.
+class UdpServer {
+  /**
+   * @param {dgram.Socket} sock
+   */
+  constructor(sock) {
+    this.sock = sock;
+    this.listening = false;
+    /** @type {int} max queries in flight, ref: adjustMaxConns */
+    this.maxConnections = envutil.maxconns();
+    /** @type {int} queries in flight */
+    this.inflight = 0;
+    sock.on("listening", () => (this.listening = true));
+    sock.on("close", () => (this.listening = false));
+  }
+
+  address() {
+    // sock.address() throws if sock isn't bound
+    return this.listening ? this.sock.address() : null;
+  }
+
+  busy() {
+    return this.inflight >= this.maxConnections;
+  }
+
+  close(cb) {
+    this.sock.close(cb);
+  }
+
+  unref() {
+    this.sock.unref();
+  }
+}
+
 // nodejs.org/api/net.html#serverlisten
 const zero6 = "::";
 const tracker = new Tracker();
@@ -229,7 +268,38 @@ const stats = new Stats();
 // 1369 - (1500 - 1280) = 1149
 const tlsStartFragmentSize = 1149; // bytes
 const tlsMaxFragmentSize = 16 << 10; // 16kb
+// max size of bodies of non-dns POSTs, ex: batchlookup (ref: cc.js)
+const maxCmdBodySize = 1 << 20; // 1mb
 const tlsSessions = new LfuCache("tlsSessions", 10000);
+// ips of clients by the local port of the socket that relays their conns
+// to a server over loopback, set once it connects, ref: relayTo
+/** @type {Map<int, string>} */
+const ppRelays = new Map();
+// relays yet to connect
+let ppConnecting = 0;
+// ips of clients by the remote port of servers' ends of relayed conns, for
+// as long as those are open, as relays may close first, ref: claimClient
+/** @type {Map<int, string>} */
+const ppClients = new Map();
+// servers' ends of relayed conns accepted before their relays connected
+/** @type {Map<int, function(string)>} */
+const ppWaiters = new Map();
+// max millis to wait on relays to connect, ref: clientAddrOnceKnown
+const ppWaitMs = 1000;
+const loopback = "127.0.0.1";
+const loopbacks = new Set([loopback, "::1", "::ffff:127.0.0.1"]);
+// max millis for a PROXY header to be read in full, as peers may send it
+// a byte at a time (and so, never idle long enough to time out)
+const ppHeaderTimeoutMs = 5000;
+// cidrs of proxies trusted to send PROXY headers, ref: iputil.parseCidr
+/** @type {Array<[Uint8Array, int]>} */
+const ppTrusted = [];
+// nodejs.org/api/net.html#netcreateserveroptions-connectionlistener
+/** @type {net.ServerOpts} */
+const serverOpts = {
+  keepAlive: true,
+  noDelay: true,
+};
 const cpucount = os.cpus().length || 1;
 const adjPeriodSec = 5;
 const maxHeapSnaps = 20;
@@ -263,8 +333,7 @@ function systemDown() {
 
   // drain all sockets stackoverflow.com/a/14636625
   // TODO: handle proxy protocol sockets
-  for (const m of cmap) {
-    if (!m) continue;
+  for (const m of cmap.values()) {
     console.warn("W closing...", m.size, "connections");
     for (const v of m.values()) {
       close(v.socket);
@@ -312,12 +381,12 @@ function systemUp() {
     log.i(`cpu ${cpucount}, ip ${zero6}, tcpb ${tcpbacklog}, c ${maxconns}`);
   }
 
-  // nodejs.org/api/net.html#netcreateserveroptions-connectionlistener
-  /** @type {net.ServerOpts} */
-  const serverOpts = {
-    keepAlive: true,
-    noDelay: true,
-  };
+  for (const c of envutil.proxyProtoTrusted()) {
+    const cidr = iputil.parseCidr(c);
+    if (cidr != null) ppTrusted.push(cidr);
+    else log.w("pp: skip invalid cidr", c);
+  }
+
   // default cipher suites
   // nodejs.org/api/tls.html#modifying-the-default-tls-cipher-suite
   let defaultTlsCiphers = "";
@@ -358,12 +427,16 @@ function systemUp() {
     /** @type {net.ListenOptions} */
     const dotOpts = { port: portdot, host: zero6, backlog: tcpbacklog };
 
-    // TODO: ProxyProtoV2 with TLS ClientHello (unsupported by Fly.io, rn)
+    // PROXY headers, if any, are stripped before conns reach these servers
     // DNS over TLS Cleartext
-    const dotct = net.createServer(serverOpts, serveTCP).listen(dotOpts, () => {
-      up("DoT Cleartext", dotct.address());
-      trapServerEvents("dotct", dotct);
-    });
+    const dotct = listen(
+      net.createServer(serverOpts, serveTCP),
+      dotOpts,
+      () => {
+        up("DoT Cleartext", dotct.address());
+        trapServerEvents("dotct", dotct);
+      }
+    );
 
     // DNS over HTTPS Cleartext
     // Same port for http1.1/h2 does not work on node without tls, that is,
@@ -373,12 +446,14 @@ function systemUp() {
     // Ref (for servers): github.com/nodejs/node/issues/34296
     // Ref (for clients): github.com/nodejs/node/issues/31759
     // Impl: stackoverflow.com/a/42019773
-    const dohct = h2c
-      .createServer(serverOpts, serveHTTPS)
-      .listen(dohOpts, () => {
+    const dohct = listen(
+      h2c.createServer(serverOpts, serveHTTPS),
+      dohOpts,
+      () => {
         up("DoH Cleartext", dohct.address());
         trapServerEvents("dohct", dohct);
-      });
+      }
+    );
   } else {
     // terminate tls ourselves
     const secOpts = {
@@ -397,12 +472,16 @@ function systemUp() {
     /** @type {net.ListenOptions} */
     const dot2Opts = { port: portdot2, host: zero6, backlog: tcpbacklog };
     // DNS over TLS
-    const dot1 = tls.createServer(secOpts, serveTLS).listen(dot1Opts, () => {
+    const dot1 = listen(tls.createServer(secOpts, serveTLS), dot1Opts, () => {
       up("DoT", dot1.address());
       trapSecureServerEvents("dot1", dot1);
     });
 
-    // DNS over TLS w ProxyProto
+    // DNS over TLS w ProxyProto, where PROXY headers are a must
+    const serveDoTProxyProto = (sock) => {
+      const port = dot1.listening ? dot1.address().port : 0;
+      serveProxyProto(sock, port, /* required */ true);
+    };
     const dot2 =
       envutil.isDotOverProxyProto() &&
       net.createServer(serverOpts, serveDoTProxyProto).listen(dot2Opts, () => {
@@ -412,26 +491,49 @@ function systemUp() {
 
     // DNS over HTTPS
     if (supportsHttp2) {
-      const doh = http2
-        .createSecureServer({ ...secOpts, ...h2Opts }, serveHTTPS)
-        .listen(dohOpts, () => {
-          up("DoH2", doh.address());
-          trapSecureServerEvents("doh2", doh);
-        });
+      const h2 = http2.createSecureServer(
+        { ...secOpts, ...h2Opts },
+        serveHTTPS
+      );
+      const doh = listen(h2, dohOpts, () => {
+        up("DoH2", doh.address());
+        trapSecureServerEvents("doh2", doh);
+      });
     } else if (isBun) {
-      const doh = https
-        .createServer(secOpts, serveHTTPS)
-        .listen(dohOpts, () => {
-          up("DoH1", doh.address());
-          trapSecureServerEvents("doh1", doh);
-        });
+      const h1 = https.createServer(secOpts, serveHTTPS);
+      const doh = listen(h1, dohOpts, () => {
+        up("DoH1", doh.address());
+        trapSecureServerEvents("doh1", doh);
+      });
     } else {
       console.log("unsupported runtime for doh");
     }
   }
 
+  const port53 = envutil.do53BackendPort();
+  if (port53 > 0) {
+    /** @type {net.ListenOptions} */
+    const tcp53Opts = { port: port53, host: zero6, backlog: tcpbacklog };
+    // DNS over TCP
+    const tcp53 = listen(
+      net.createServer(serverOpts, serveTCP),
+      tcp53Opts,
+      () => {
+        up("Do53 TCP", tcp53.address());
+        trapServerEvents("tcp53", tcp53);
+      }
+    );
+
+    // DNS over UDP; dual-stack, since ipv6Only is false
+    const udp53 = new UdpServer(dgram.createSocket({ type: "udp6" }));
+    udp53.sock.bind({ port: port53, address: zero6 }, () => {
+      up("Do53 UDP", udp53.address());
+      trapUdpServerEvents("udp53", udp53);
+    });
+  }
+
   const portcheck = envutil.httpCheckPort();
-  const hcheck = h2c.createServer(serve200).listen(portcheck, () => {
+  const hcheck = listen(h2c.createServer(serve200), { port: portcheck }, () => {
     up("http-check", hcheck.address());
     trapServerEvents("hcheck", hcheck);
   });
@@ -499,6 +601,35 @@ function trapServerEvents(id, s) {
   });
 }
 
+/**
+ * @param {string} id
+ * @param {UdpServer} s
+ */
+function trapUdpServerEvents(id, s) {
+  if (!s) return;
+
+  const sid = tracker.trackServer(id, s);
+
+  if (sid === tracker.zeroid) {
+    log.w("udp: may be already tracking server", id);
+    return;
+  }
+
+  s.sock.on("message", (msg, rinfo) => {
+    // drop queries when overloaded, as tcp servers drop conns
+    if (s.busy()) {
+      stats.nofdrops += 1;
+      return;
+    }
+    serveUDP(s, msg, rinfo);
+  });
+
+  s.sock.on("error", (err) => {
+    log.e("udp: stop! server error; " + err.message, err);
+    stopAfter(0);
+  });
+}
+
 /**
  * @param {string} id
  * @param  {http2.Http2SecureServer | tls.Server} s
@@ -697,66 +828,230 @@ function proxySockets(a, b) {
 }
 
 /**
- * Proxies connection to DOT server, retrieving proxy proto header.
- * @param {Socket} clientSocket
+ * Listens on opts for s; or, if any proxies are trusted, has s listen on
+ * loopback instead, and a front listen on opts that relays conns to s sans
+ * their PROXY headers, ref: serveProxyProto
+ * @param {net.Server} s
+ * @param {net.ListenOptions} opts
+ * @param {function} cb - called once s listens
+ * @returns {net.Server} s
  */
-function serveDoTProxyProto(clientSocket) {
-  let ppHandled = false;
-  log.d("--> new client Connection");
-
-  const dotSock = net.connect(envutil.dotBackendPort(), () =>
-    log.d("pp: dot socket ready")
-  );
+function listen(s, opts, cb) {
+  // before s's own handlers, which may want to know the client, too
+  s.prependListener("connection", admitConn);
+  if (util.emptyArray(ppTrusted)) return s.listen(opts, cb);
+
+  const inner = { port: 0, host: loopback, backlog: opts.backlog };
+  return s.listen(inner, () => {
+    cb();
+    const port = s.address().port;
+    const front = net
+      .createServer(serverOpts, (sock) => serveProxyProto(sock, port, false))
+      .listen(opts, () => {
+        up("ProxyProto", front.address());
+        trapServerEvents("pp" + port, front);
+      });
+  });
+}
 
-  dotSock.on("error", (e) => {
-    log.w("pp: dot socket err", e);
+/**
+ * Relays a conn to the server on port (over loopback), sans the PROXY
+ * header (v1 or v2) it begins with, if any. Headers from peers that are
+ * not trusted proxies (ref: env PROXY_PROTO_TRUSTED) get the conn dropped.
+ * @param {Socket} clientSocket
+ * @param {int} port - of the server to relay to
+ * @param {boolean} required - if the conn must begin with a header
+ */
+function serveProxyProto(clientSocket, port, required) {
+  const peer = unmapped(clientSocket.remoteAddress || "");
+  // sans trusted proxies, all peers are, as they always were for dot2
+  const trusted = util.emptyArray(ppTrusted) || iputil.inCidrs(peer, ppTrusted);
+  let buf = bufutil.createBuffer(0);
+  let relay = null;
+
+  const drop = (...why) => {
+    log.w("pp: drop conn from", peer, ...why);
+    clearTimeout(timer);
     close(clientSocket);
-    close(dotSock);
-  });
+    if (relay) close(relay);
+  };
+  const timer = util.timeout(ppHeaderTimeoutMs, () => drop("header timeout"));
 
-  function handleProxyProto(buf) {
-    // Data from only first tcp segment is to be consumed to get proxy proto.
-    // After extracting proxy proto, a duplex pipe is created to DoT server.
-    // So, further tcp segments return here.
-    if (ppHandled) return;
+  function handleProxyProto(chunk) {
+    // the header may span more than one tcp segment
+    buf = Buffer.concat([buf, chunk]);
 
-    const chunk = buf.toString("ascii");
-    const delim = chunk.indexOf("\r\n") + 2; // CRLF = \x0D \x0A
-    ppHandled = true;
+    const v = pp.accept(buf, trusted, required);
+    if (v.more) return; // expect more data
+    if (!util.emptyString(v.drop)) return drop(v.drop);
+    clearTimeout(timer);
 
-    if (delim < 0) {
-      log.e("pp: header invalid / not found =>", chunk);
-      close(clientSocket);
-      close(dotSock);
-      return;
-    }
+    const h = v.header;
+    const ip = h && !util.emptyString(h.ip) ? h.ip : peer;
+    const rest = h ? buf.subarray(h.len) : buf;
+    if (h) log.d(`pp: --> [${ip}]:${h.port} via ${peer}`);
+    if (!admit(ip)) return drop("acl: not admitted", ip);
 
-    try {
-      // TODO: admission control
-      const proto = V2ProxyProtocol.parse(chunk.slice(0, delim));
-      log.d(`pp: --> [${proto.source.ipAddress}]:${proto.source.port}`);
+    // relay the rest of the conn as-is
+    clientSocket.removeListener("data", handleProxyProto);
+    clientSocket.pause();
+    if (port <= 0) return drop("no server to relay to");
 
-      // remaining data from first tcp segment
-      if (!dotSock.destroyed) dotSock.write(buf.slice(delim));
+    relay = relayTo(port, ip);
+    relay.on("error", (e) => drop("relay err", e.message));
+    if (!bufutil.emptyBuf(rest)) relay.write(rest);
 
-      const ok = proxySockets(clientSocket, dotSock);
-      if (!ok) throw new Error(proto + " err clientSock <> dotSock proxy");
-    } catch (e) {
-      log.w(e);
-      close(clientSocket);
-      close(dotSock);
-      return;
-    }
+    if (!proxySockets(clientSocket, relay)) drop("relay closed");
   }
 
-  clientSocket.on("error", (e) => {
-    log.w("pp: client err, closing");
-    close(clientSocket);
-    close(dotSock);
-  });
+  clientSocket.on("error", (e) => drop("client err", e.message));
+  clientSocket.once("close", () => clearTimeout(timer));
   clientSocket.on("data", handleProxyProto);
 }
 
+/**
+ * @param {string} ip - of the client
+ * @returns {boolean} true if the client is to be served, ref: Acl
+ */
+function admit(ip) {
+  const acl = services.acl;
+  if (acl == null || acl.admit(ip)) return true;
+
+  stats.nofacldrops += 1;
+  return false;
+}
+
+/**
+ * Connects to the server on port (over loopback) to relay a conn from the
+ * client at ip. The server may accept the conn before the relay connects,
+ * and so, before the relay knows its own port, ref: claimClient
+ * @param {int} port - of the server to relay to
+ * @param {string} ip - of the client whose conn is relayed
+ * @returns {Socket} relay
+ */
+function relayTo(port, ip) {
+  const relay = net.connect(port, loopback);
+  let connecting = true;
+  const connected = () => {
+    if (connecting) ppConnecting -= 1;
+    connecting = false;
+  };
+  ppConnecting += 1;
+
+  // before data written to relay is sent, as that waits on connect, too
+  relay.once("connect", () => {
+    connected();
+    // localPort is unset until relay connects
+    const lport = relay.localPort;
+    ppRelays.set(lport, ip);
+    relay.once("close", () => ppRelays.delete(lport));
+
+    const claim = ppWaiters.get(lport);
+    if (claim) claim(ip);
+  });
+  relay.once("close", connected);
+  return relay;
+}
+
+/**
+ * Pins the client of a conn relayed to a server (ref: relayTo) to the
+ * server's end of it, for as long as that is open.
+ * @param {Socket} sock - server's end of a conn, as it is accepted
+ */
+function claimClient(sock) {
+  if (!loopbacks.has(sock.remoteAddress)) return;
+
+  const port = sock.remotePort;
+  sock.once("close", () => {
+    ppClients.delete(port);
+    ppWaiters.delete(port);
+  });
+
+  const ip = ppRelays.get(port);
+  if (ip) {
+    ppClients.set(port, ip);
+  } else if (ppConnecting > 0) {
+    // sock's relay (if it is one) is yet to see its own connect
+    ppWaiters.set(port, (ip) => {
+      ppWaiters.delete(port);
+      ppClients.set(port, ip);
+    });
+  } // else: not relayed, but a conn from a local client
+}
+
+/**
+ * Closes conns from clients not admitted (ref: Acl) as soon as they are
+ * accepted, before servers spend any more on them (ex: on tls handshakes).
+ * @param {Socket} sock
+ */
+function admitConn(sock) {
+  claimClient(sock);
+
+  const ip = clientAddr(sock);
+  // relays yet to connect are waited on by servers that must know the
+  // client on accept (ref: serveTCP); others check later, as relays only
+  // send data once they connect
+  if (util.emptyString(ip) && ppWaiters.has(sock.remotePort)) return;
+  if (admit(ip)) return;
+
+  log.d("acl: not admitted, destroy conn", addrstr(sock));
+  sock.destroy();
+}
+
+/**
+ * Servers that want to know the client as soon as a conn is accepted must
+ * wait on this, as the relay, if any, may not have connected yet. Others
+ * (ex: on first data, or on tls handshakes) need not, as relays only send
+ * data once they connect; and so, once they know the client.
+ * @param {Socket} sock
+ * @returns {Promise<string>} ip of the client at the other end of sock
+ */
+function clientAddrOnceKnown(sock) {
+  const port = sock.remotePort;
+  const claim = ppWaiters.get(port);
+  if (!claim) return Promise.resolve(clientAddr(sock));
+
+  return new Promise((resolve) => {
+    const timer = util.timeout(ppWaitMs, () => {
+      ppWaiters.delete(port);
+      // relayed or not, the client is not known
+      resolve("");
+    });
+    ppWaiters.set(port, (ip) => {
+      clearTimeout(timer);
+      claim(ip);
+      resolve(clientAddr(sock));
+    });
+  });
+}
+
+/**
+ * @param {Socket|TLSSocket} sock
+ * @returns {string} ip of the client at the other end of sock, if known;
+ * empty, if sock may be a conn relayed by a relay yet to connect
+ */
+function clientAddr(sock) {
+  if (!sock || util.emptyString(sock.remoteAddress)) return "";
+
+  const ip = sock.remoteAddress;
+  if (!loopbacks.has(ip)) return unmapped(ip);
+
+  // conns relayed by serveProxyProto come in over loopback
+  const port = sock.remotePort;
+  if (ppWaiters.has(port)) return "";
+  return unmapped(ppClients.get(port) || ip);
+}
+
+/**
+ * @param {string} ip
+ * @returns {string} ip4 if ip is an ip4-mapped ip6 (as on dual-stack
+ * sockets, ex: ::ffff:1.2.3.4); ip, otherwise
+ */
+function unmapped(ip) {
+  if (ip.startsWith("::ffff:") && ip.includes(".")) return ip.slice(7);
+  return ip;
+}
+
 class ScratchBuffer {
   constructor() {
     /** @type {Buffer} */
@@ -865,6 +1160,12 @@ function getMetadata(sni) {
  * @param {TLSSocket} socket
  */
 function serveTLS(socket) {
+  if (!admit(clientAddr(socket))) {
+    log.d("acl: not admitted, close conn", addrstr(socket));
+    close(socket);
+    return;
+  }
+
   const sni = socket.servername;
   if (!sni) {
     log.d("no sni, close conn");
@@ -907,18 +1208,105 @@ function serveTLS(socket) {
  * Services a DNS over TCP connection
  * @param {Socket} socket
  */
-function serveTCP(socket) {
-  // TODO: TLS ClientHello is sent with proxy-proto v2
+async function serveTCP(socket) {
+  if (!admit(await clientAddrOnceKnown(socket))) {
+    log.d("acl: not admitted, close conn", addrstr(socket));
+    close(socket);
+    return;
+  }
+
   const [flag, host] = ["", "ignored.example.com"];
   const sb = new ScratchBuffer();
 
-  log.d("----> dot cleartext request", host, flag);
+  log.d("----> tcp request", host, flag);
 
   socket.on("data", (data) => {
     handleTCPData(socket, data, sb, host, flag);
   });
 }
 
+/**
+ * Services a DNS over UDP query
+ * @param {UdpServer} server
+ * @param {Buffer} q - dns query
+ * @param {dgram.RemoteInfo} rinfo - client addr
+ */
+async function serveUDP(server, q, rinfo) {
+  heartbeat();
+
+  let ip = unmapped(rinfo.address);
+  // trusted proxies prefix each datagram with a PROXY (v2) header
+  if (!util.emptyArray(ppTrusted) && pp.sniff(q) === pp.v2) {
+    const h = udpProxyHeader(q, ip);
+    if (h == null) return;
+    if (!util.emptyString(h.ip)) ip = h.ip;
+    q = q.subarray(h.len);
+  }
+
+  if (!admit(ip)) {
+    log.d("acl: not admitted, drop query from", ip);
+    return;
+  }
+
+  if (!dnsutil.validateSize(q.byteLength)) {
+    log.d(`udp: query size err: ${q.byteLength} from ${rinfo.address}`);
+    return;
+  }
+
+  const [flag, host] = ["", "ignored.example.com"];
+  const rxid = util.xid();
+  server.inflight += 1;
+  try {
+    const r = await resolveQuery(rxid, q, host, flag, ip);
+    if (bufutil.emptyBuf(r)) {
+      log.w(rxid, "udp: empty ans from resolver");
+      return;
+    }
+    // answers that do not fit are truncated, for clients to retry over tcp
+    const ans = dnsutil.truncate(r, maxUdpAnsSize(q));
+    if (ans !== r) log.d(rxid, "udp: truncated ans", r.byteLength);
+    server.sock.send(ans, rinfo.port, rinfo.address, (err) => {
+      if (err) log.w(rxid, "udp: send fail", rinfo.address, err.message);
+    });
+  } catch (e) {
+    log.w(rxid, "udp: send fail, err", e);
+  } finally {
+    server.inflight -= 1;
+  }
+}
+
+/**
+ * @param {Buffer} q - datagram, beginning with a PROXY header
+ * @param {string} peer - ip the datagram came from
+ * @returns {pp.ProxyHeader?} header, or null if it is to be dropped
+ */
+function udpProxyHeader(q, peer) {
+  if (!iputil.inCidrs(peer, ppTrusted)) {
+    log.w("pp: udp: drop header from untrusted peer", peer);
+    return null;
+  }
+  try {
+    const h = pp.parse(q);
+    if (h == null) log.w("pp: udp: drop truncated header from", peer);
+    return h;
+  } catch (e) {
+    log.w("pp: udp: drop", peer, e.message);
+    return null;
+  }
+}
+
+/**
+ * @param {Buffer} q - dns query
+ * @returns {int} max size of answers to q over udp
+ */
+function maxUdpAnsSize(q) {
+  try {
+    return dnsutil.udpPayloadSize(dnsutil.decode(q));
+  } catch (ignore) {
+    return dnsutil.minUdpPayloadSize;
+  }
+}
+
 /**
  * Handle DNS over TCP/TLS data stream.
  * @param {Socket} socket
@@ -1003,7 +1391,7 @@ async function handleTCPQuery(q, socket, host, flag) {
   let r = null;
   const rxid = util.xid();
   try {
-    r = await resolveQuery(rxid, q, host, flag);
+    r = await resolveQuery(rxid, q, host, flag, clientAddr(socket));
     if (bufutil.emptyBuf(r)) {
       log.w(rxid, "tcp: empty ans from resolver");
       ok = false;
@@ -1057,19 +1445,20 @@ function measuredWrite(rxid, socket, data) {
  * @param {Buffer} q
  * @param {String} host
  * @param {String} flag
+ * @param {String} ip - of the client
  * @return {Promise<Uint8Array?>}
  */
-async function resolveQuery(rxid, q, host, flag) {
+async function resolveQuery(rxid, q, host, flag, ip) {
   // Using POST, since GET requests cannot be greater than 2KB,
   // where-as DNS-over-TCP msgs could be upto 64KB in size.
   const freq = new Request(`https://${host}/${flag}`, {
     method: "POST",
-    // TODO: populate req ip in x-nile-client-ip header
     // TODO: add host header
     headers: util.concatHeaders(
       util.dnsHeaders(),
       util.contentLengthHeader(q),
-      util.rxidHeader(rxid)
+      util.rxidHeader(rxid),
+      util.clientIpHeader(ip)
     ),
     body: q,
   });
@@ -1101,6 +1490,15 @@ function serve200(req, res) {
 function serveHTTPS(req, res) {
   trapRequestResponseEvents(req, res);
   const ua = req.headers["user-agent"];
+
+  // checked per request, as conns may be shared by many clients (proxies)
+  const ip = clientAddr(req.socket);
+  if (!admit(ip)) {
+    res.writeHead(403, util.corsHeadersIfNeeded(ua));
+    res.end();
+    log.d("acl: not admitted, h2 req from", ip);
+    return;
+  }
   const buffers = [];
 
   // if using for await loop, then it must be wrapped in a
@@ -1114,8 +1512,8 @@ function serveHTTPS(req, res) {
     const b = bufutil.concatBuf(buffers);
     const bLen = b.byteLength;
 
-    if (util.isPostRequest(req) && !dnsutil.validResponseSize(b)) {
-      res.writeHead(dnsutil.dohStatusCode(b), util.corsHeadersIfNeeded(ua));
+    if (util.isPostRequest(req) && !validBodySize(req, b)) {
+      res.writeHead(bodyStatusCode(req, b), util.corsHeadersIfNeeded(ua));
       res.end();
       log.w(`h2: req body length out of bounds: ${bLen}`);
     } else {
@@ -1125,6 +1523,37 @@ function serveHTTPS(req, res) {
   });
 }
 
+/**
+ * @param {Http2ServerRequest} req
+ * @returns {boolean} true if req is a dns-message
+ */
+function isDnsPost(req) {
+  const dnsmsg = "application/dns-message";
+  return (
+    req.headers["content-type"] === dnsmsg || req.headers.accept === dnsmsg
+  );
+}
+
+/**
+ * @param {Http2ServerRequest} req
+ * @param {Buffer} b - Request body
+ * @returns {boolean}
+ */
+function validBodySize(req, b) {
+  if (isDnsPost(req)) return dnsutil.validResponseSize(b);
+  return b.byteLength <= maxCmdBodySize;
+}
+
+/**
+ * @param {Http2ServerRequest} req
+ * @param {Buffer} b - Request body
+ * @returns {number}
+ */
+function bodyStatusCode(req, b) {
+  // non-dns bodies are only ever too large
+  return isDnsPost(req) ? dnsutil.dohStatusCode(b) : 413;
+}
+
 /**
  * @param {Buffer} b - Request body
  * @param {Http2ServerRequest} req
@@ -1143,10 +1572,11 @@ async function handleHTTPRequest(b, req, res) {
       // Note: In a VM container, Object spread may not be working for all
       // properties, especially of "hidden" Symbol values!? like "headers"?
       ...req,
-      // TODO: populate req ip in x-nile-client-ip header
+      // client-sent x-nile-client-ip, if any, is dropped by copy
       headers: util.concatHeaders(
         util.rxidHeader(rxid),
-        nodeutil.copyNonPseudoHeaders(req.headers)
+        nodeutil.copyNonPseudoHeaders(req.headers),
+        util.clientIpHeader(clientAddr(req.socket))
       ),
       method: req.method,
       body: req.method === "POST" ? b : null,
@@ -1,27 +1,48 @@
 /**
  * This is a proxy proto server that prepends proxy proto header to a new
  * connection and forwards it to the upstream server.
+ *
+ * usage: node test/manual/proxy-proto.js [v1|v2]
  */
 
 import net from "net";
-import proxyProtocol from "proxy-protocol-js";
 
 const CLIENT_PORT = 20000;
 const UPSTREAM_PORT = 10000;
 
-const src = new proxyProtocol.Peer("localhost", CLIENT_PORT);
-const dst = new proxyProtocol.Peer("localhost", UPSTREAM_PORT);
-const protocolText = new proxyProtocol.V1ProxyProtocol(
-  proxyProtocol.INETProtocol.TCP4,
-  src,
-  dst
-).build();
-console.log(protocolText); // => PROXY TCP4 127.0.0.1 192.0.2.1 12345 54321\r\n
+// haproxy.org/download/2.8/doc/proxy-protocol.txt
+const v2sig = Buffer.from("0d0a0d0a000d0a515549540a", "hex");
+
+const version = process.argv[2] || "v2";
+const header = version === "v1" ? v1Header() : v2Header();
+console.log(version, header.toString(version === "v1" ? "ascii" : "hex"));
 
 const server = net
   .createServer(serveConnection)
   .listen(CLIENT_PORT, () => console.log(server.address()));
 
+function v1Header() {
+  const [src, dst] = ["127.0.0.1", "127.0.0.1"];
+  return Buffer.from(
+    `PROXY TCP4 ${src} ${dst} ${CLIENT_PORT} ${UPSTREAM_PORT}\r\n`,
+    "ascii"
+  );
+}
+
+function v2Header() {
+  // version 2, command PROXY; family inet, transport stream
+  const verCmdFam = Buffer.from([0x21, 0x11]);
+  // src ip, dst ip, src port, dst port
+  const addrs = Buffer.alloc(12);
+  Buffer.from([127, 0, 0, 1]).copy(addrs, 0);
+  Buffer.from([127, 0, 0, 1]).copy(addrs, 4);
+  addrs.writeUInt16BE(CLIENT_PORT, 8);
+  addrs.writeUInt16BE(UPSTREAM_PORT, 10);
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(addrs.length);
+  return Buffer.concat([v2sig, verCmdFam, len, addrs]);
+}
+
 function serveConnection(clientSocket) {
   const upSocket = net.connect(
     {
@@ -31,8 +52,7 @@ function serveConnection(clientSocket) {
     },
     () => {
       console.log("connected to up");
-      if (!upSocket.destroyed)
-        upSocket.write(Buffer.from(protocolText, "ascii"));
+      if (!upSocket.destroyed) upSocket.write(header);
 
       clientSocket.pipe(upSocket);
       upSocket.pipe(clientSocket);
@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { Acl } from "../../src/core/acl.js";
+
+describe("acl", () => {
+  afterEach(() => {
+    delete process.env.ACL_ALLOW;
+    delete process.env.ACL_DENY;
+  });
+
+  it("admits all clients sans lists", () => {
+    const acl = new Acl();
+    assert.equal(acl.empty(), true);
+    assert.equal(acl.admit("203.0.113.9"), true);
+    assert.equal(acl.admit(""), true);
+  });
+
+  it("turns away clients in the deny list", () => {
+    process.env.ACL_DENY = "203.0.113.0/24,2001:db8::/32";
+    const acl = new Acl();
+    assert.equal(acl.admit("203.0.113.9"), false);
+    assert.equal(acl.admit("2001:db8::9"), false);
+    assert.equal(acl.admit("198.51.100.9"), true);
+  });
+
+  it("turns away clients not in the allow list, if any", () => {
+    process.env.ACL_ALLOW = "198.51.100.0/24";
+    process.env.ACL_DENY = "198.51.100.66";
+    const acl = new Acl();
+    assert.equal(acl.admit("198.51.100.9"), true);
+    assert.equal(acl.admit("198.51.100.66"), false);
+    assert.equal(acl.admit("203.0.113.9"), false);
+  });
+
+  it("admits loopback clients, but not unknown ones", () => {
+    process.env.ACL_DENY = "0.0.0.0/0,::/0";
+    const acl = new Acl();
+    assert.equal(acl.admit("127.0.0.1"), true);
+    assert.equal(acl.admit("::1"), true);
+    // ex: relayed conns whose relays are yet to connect
+    assert.equal(acl.admit(""), false);
+    assert.equal(acl.admit("not-an-ip"), false);
+  });
+
+  it("loads lists from files, in addition to env", () => {
+    process.env.ACL_DENY = "203.0.113.0/24";
+    const acl = new Acl();
+    const txt = `
+      # partners
+      allow 198.51.100.0/24
+      ALLOW 192.0.2.1 # one more
+      deny 198.51.100.66
+      deny not-a-cidr
+      block 192.0.2.2
+    `;
+    assert.equal(acl.load(txt), 4);
+    assert.equal(acl.admit("192.0.2.1"), true);
+    assert.equal(acl.admit("198.51.100.66"), false);
+    assert.equal(acl.admit("203.0.113.9"), false);
+    assert.equal(acl.admit("192.0.2.2"), false);
+
+    // lists are replaced, not added to
+    assert.equal(acl.load(""), 1);
+    assert.equal(acl.admit("192.0.2.2"), true);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as envutil from "../../src/commons/envutil.js";
+import * as cacheutil from "../../src/plugins/cache-util.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+
+const q = [{ name: "nx.example", type: "A", class: "IN" }];
+
+/**
+ * @param {string} rcode
+ * @param {int} ttl - of the soa
+ * @param {int} minimum - of the soa
+ * @returns {any} a negative answer, decoded, with a soa if ttl > 0
+ */
+function negativeAnswer(rcode, ttl, minimum) {
+  const soa = {
+    name: "example",
+    type: "SOA",
+    class: "IN",
+    ttl: ttl,
+    data: {
+      mname: "ns.example",
+      rname: "admin.example",
+      serial: 1,
+      refresh: 3600,
+      retry: 600,
+      expire: 86400,
+      minimum: minimum,
+    },
+  };
+  return {
+    id: 1,
+    type: "response",
+    rcode: rcode,
+    flags: (1 << 8) | (1 << 7) | (rcode === "NXDOMAIN" ? 3 : 0),
+    questions: q,
+    answers: [],
+    authorities: ttl > 0 ? [soa] : [],
+  };
+}
+
+/**
+ * @param {any} packet - a dns answer, decoded
+ * @returns {int} secs the answer is cached for, sans cache-ttl
+ */
+function cachedFor(packet) {
+  const raw = dnsutil.encode(packet);
+  const v = cacheutil.cacheValueOf(
+    pres.dnsResponse(dnsutil.decode(raw), raw, null)
+  );
+  const secs = (v.metadata.expiry - Date.now()) / 1000;
+  return Math.round(secs - envutil.cacheTtl());
+}
+
+describe("negative caching", () => {
+  it("tells nxdomain and nodata answers apart from the rest", () => {
+    const nx = negativeAnswer("NXDOMAIN", 300, 60);
+    const nodata = negativeAnswer("NOERROR", 300, 60);
+    assert.equal(dnsutil.isNegativeAnswer(nx), true);
+    assert.equal(dnsutil.isNegativeAnswer(nodata), true);
+    nodata.answers = [{ name: q[0].name, type: "A", data: "192.0.2.1" }];
+    assert.equal(dnsutil.isNegativeAnswer(nodata), false);
+    assert.equal(
+      dnsutil.isNegativeAnswer({ type: "query", rcode: "NXDOMAIN" }),
+      false
+    );
+  });
+
+  it("caches for the lesser of the soa's ttl and its minimum", () => {
+    assert.equal(cachedFor(negativeAnswer("NXDOMAIN", 300, 120)), 120);
+    assert.equal(cachedFor(negativeAnswer("NOERROR", 90, 600)), 90);
+  });
+
+  it("bounds ttls to NEGATIVE_CACHE_MIN_TTL and _MAX_TTL", () => {
+    // defaults: 30s and 1h
+    assert.equal(cachedFor(negativeAnswer("NXDOMAIN", 5, 5)), 30);
+    assert.equal(cachedFor(negativeAnswer("NXDOMAIN", 86400, 86400)), 3600);
+    // sans soa, for as little as possible
+    assert.equal(cachedFor(negativeAnswer("NXDOMAIN", 0, 0)), 30);
+  });
+
+  it("counts down the soa's ttl in answers from the cache", () => {
+    const nx = negativeAnswer("NXDOMAIN", 3600, 3600);
+    const expiry = Date.now() + (600 + envutil.cacheTtl()) * 1000;
+    const p = cacheutil.updatedAnswer(nx, 9, expiry);
+    assert.equal(p.id, 9);
+    assert.ok(p.authorities[0].ttl <= 600 && p.authorities[0].ttl > 590);
+  });
+});
@@ -0,0 +1,156 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as cacheutil from "../../src/plugins/cache-util.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+import { DnsCache } from "../../src/plugins/dns-op/cache.js";
+
+/**
+ * @param {string} name
+ * @param {string} ip
+ * @returns {[URL, cacheutil.DnsCacheData]} cache key and an answer for name
+ */
+function entryOf(name, ip) {
+  const q = [{ name: name, type: "A", class: "IN" }];
+  const raw = dnsutil.encode({
+    id: 1,
+    type: "response",
+    flags: (1 << 8) | (1 << 7), // rd, ra
+    questions: q,
+    answers: [{ name: name, type: "A", class: "IN", ttl: 300, data: ip }],
+  });
+  const packet = dnsutil.decode(raw);
+  const v = cacheutil.cacheValueOf(pres.dnsResponse(packet, raw, null));
+  return [cacheutil.makeHttpCacheKey(packet), v];
+}
+
+/**
+ * @param {DnsCache} c
+ * @param {string[]} names
+ * @returns {Promise<URL[]>} keys of names put in c
+ */
+async function fill(c, names) {
+  const urls = [];
+  for (const [i, n] of names.entries()) {
+    const [url, v] = entryOf(n, "192.0.2." + (i + 1));
+    await c.put(url, v, () => {});
+    urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * @param {DnsCache} c
+ * @returns {int[]} number of reads of the local-cache, as they happen
+ */
+function countReads(c) {
+  const reads = [0];
+  const get = c.localcache.get.bind(c.localcache);
+  c.localcache.get = (k) => {
+    reads[0] += 1;
+    return get(k);
+  };
+  return reads;
+}
+
+describe("cache snapshot", () => {
+  it("has the most hit, then the most recent, entries first", async () => {
+    const c = new DnsCache(10);
+    const [a, b] = await fill(c, ["a.example", "b.example", "c.example"]);
+    await c.get(a);
+    await c.get(a);
+    await c.get(b);
+
+    const snap = c.snapshot(2);
+    const ks = snap.entries.map(([k]) => k);
+    assert.deepEqual(ks, ["/a.example:A", "/b.example:A"]);
+    assert.equal(c.snapshot(10).entries[2][0], "/c.example:A");
+  });
+
+  it("does not count as reads of the local-cache", async () => {
+    const c = new DnsCache(10);
+    await fill(c, ["a.example", "b.example"]);
+    const reads = countReads(c);
+    assert.equal(c.snapshot(10).entries.length, 2);
+    assert.equal(reads[0], 0);
+  });
+
+  it("leaves out expired answers", async () => {
+    const c = new DnsCache(10);
+    const [url, v] = entryOf("old.example", "192.0.2.1");
+    v.metadata.expiry = Date.now() - 1000;
+    await c.put(url, v, () => {});
+    assert.equal(c.snapshot(10).entries.length, 0);
+  });
+
+  it("is restored into the local-cache", async () => {
+    const c = new DnsCache(10);
+    const [a, b] = await fill(c, ["a.example", "b.example"]);
+    const snap = JSON.parse(JSON.stringify(c.snapshot(10)));
+
+    // b, the most recent, is first in the snapshot
+    const fresh = new DnsCache(10);
+    assert.equal(fresh.restore(snap, 1), 1);
+    assert.equal(await fresh.get(a, true), null);
+    const v = await fresh.get(b, true);
+    assert.equal(v.dnsPacket.answers[0].data, "192.0.2.2");
+    // as if it was put, it is in the next snapshot, too
+    assert.equal(fresh.snapshot(10).entries.length, 1);
+  });
+
+  it("is not restored across blocklist versions", async () => {
+    const c = new DnsCache(10);
+    await fill(c, ["a.example"]);
+    const snap = c.snapshot(10);
+    snap.version = "0";
+    assert.equal(new DnsCache(10).restore(snap, 10), 0);
+  });
+});
+
+describe("cache purge", () => {
+  it("deletes names and their subdomains", async () => {
+    const c = new DnsCache(10);
+    const names = ["example.com", "www.example.com", "notexample.com"];
+    const [a, www, other] = await fill(c, names);
+    const ids = c.idsOf("example.com");
+    assert.deepEqual(ids, ["example.com:A", "www.example.com:A"]);
+
+    assert.equal(await c.purge(ids), 2);
+    assert.equal(await c.get(a, true), null);
+    assert.equal(await c.get(www, true), null);
+    assert.notEqual(await c.get(other, true), null);
+    assert.equal(c.stats.purge, 2);
+    // tombstones are neither puts nor keys
+    assert.equal(c.stats.put, 3);
+    assert.equal(c.keys.size, 1);
+    assert.equal(await c.purge(ids), 0);
+  });
+
+  it("flushes all entries", async () => {
+    const c = new DnsCache(10);
+    const [a] = await fill(c, ["a.example", "b.example"]);
+    assert.equal(await c.flush(), 2);
+    assert.equal(await c.get(a, true), null);
+    assert.equal(c.keys.size, 0);
+    assert.equal(c.snapshot(10).entries.length, 0);
+  });
+
+  it("looks up entries without counting hits", async () => {
+    const c = new DnsCache(10);
+    const [a] = await fill(c, ["a.example"]);
+    const [l, h] = await c.lookup("a.example:A");
+    assert.equal(l.dnsPacket.answers[0].data, "192.0.2.1");
+    assert.equal(h, null);
+    assert.equal(c.hitsOf(a), 0);
+    assert.equal(c.stats.hit, 0);
+  });
+});
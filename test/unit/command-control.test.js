@@ -0,0 +1,310 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { flagsToTags, tagsToFlags } from "@serverless-dns/trie/stamp.js";
+import { CommandControl } from "../../src/plugins/command-control/cc.js";
+import * as rdnsutil from "../../src/plugins/rdns-util.js";
+import { BlocklistFilter } from "../../src/plugins/rethinkdns/filter.js";
+import * as token from "../../src/plugins/users/auth-token.js";
+import { UserStore } from "../../src/plugins/users/user-store.js";
+
+const origin = "https://max.rethinkdns.com";
+const alice = token.Outcome.pass("max.rethinkdns.com|a11ce0");
+const bob = token.Outcome.pass("max.rethinkdns.com|b0b000");
+
+// commands need a blocklist-filter; its trie is never looked into
+const blf = {
+  ftrie: { setup: true },
+  // blocklist info by tag, ref: BlocklistFilter.extract
+  extract: (tags) => Object.fromEntries(tags.map((t) => [t, { value: +t }])),
+};
+const bw = {
+  init: async () => null,
+  getBlocklistFilter: () => blf,
+};
+
+/**
+ * @returns {CommandControl}
+ */
+function commandControl() {
+  const cc = new CommandControl(bw);
+  cc.store = new UserStore();
+  return cc;
+}
+
+/**
+ * @param {CommandControl} cc
+ * @param {string} method
+ * @param {string} path - with the query string, if any
+ * @param {token.Outcome} auth
+ * @returns {Promise<Response>}
+ */
+async function send(cc, method, path, auth = token.Outcome.none()) {
+  const req = new Request(origin + path, { method: method });
+  const r = await cc.exec({ rxid: "[rx.test]", request: req, userAuth: auth });
+  return r.data.httpResponse;
+}
+
+describe("profile commands", () => {
+  const put = "/profileput?id=kids&mode=nxdomain&allow=a.example";
+
+  it("change profiles only when POSTed", async () => {
+    const cc = commandControl();
+    const res = await send(cc, "GET", put, alice);
+    assert.equal(res.status, 405);
+    assert.equal(await cc.store.profileOf("kids"), null);
+    assert.equal(
+      (await send(cc, "GET", "/profiledel?id=kids", alice)).status,
+      405
+    );
+
+    const ok = await send(cc, "POST", put, alice);
+    assert.equal(ok.status, 200);
+    assert.equal((await cc.store.profileOf("kids")).mode, "nxdomain");
+  });
+
+  it("need an access key", async () => {
+    const cc = commandControl();
+    assert.equal(
+      (await send(cc, "POST", put, token.Outcome.none())).status,
+      401
+    );
+    assert.equal(
+      (await send(cc, "GET", "/profiles", token.Outcome.fail())).status,
+      401
+    );
+  });
+
+  it("let only the key that made a profile change it", async () => {
+    const cc = commandControl();
+    await send(cc, "POST", put, alice);
+    assert.equal((await cc.store.profileOf("kids")).owner, alice.id);
+
+    const theft = "/profileput?id=kids&mode=refused";
+    assert.equal((await send(cc, "POST", theft, bob)).status, 403);
+    assert.equal(
+      (await send(cc, "POST", "/profiledel?id=kids", bob)).status,
+      403
+    );
+    assert.equal((await cc.store.profileOf("kids")).mode, "nxdomain");
+
+    const del = await send(cc, "POST", "/profiledel?id=kids", alice);
+    assert.deepEqual(await del.json(), { id: "kids", deleted: true });
+  });
+
+  it("let profiles sans owners be claimed", async () => {
+    const cc = commandControl();
+    await cc.store.putProfile("old", { mode: "nodata" });
+    assert.equal(
+      (await send(cc, "POST", "/profileput?id=old", bob)).status,
+      200
+    );
+    assert.equal((await cc.store.profileOf("old")).owner, bob.id);
+  });
+
+  it("read profiles with GETs", async () => {
+    const cc = commandControl();
+    await send(cc, "POST", put, alice);
+    const res = await send(cc, "GET", "/profileget?id=kids", bob);
+    assert.equal((await res.json()).allow[0], "a.example");
+    const ids = await send(cc, "GET", "/profiles", bob);
+    assert.deepEqual(await ids.json(), { profiles: ["kids"] });
+  });
+});
+
+describe("access keys", () => {
+  afterEach(() => delete process.env.ACCESS_KEYS);
+
+  it("are told apart by ids that don't give them away", async () => {
+    const [hex, hexcat] = await token.gen("alice", "max.rethinkdns.com");
+    process.env.ACCESS_KEYS = "max.rethinkdns.com|" + hex.slice(0, 16);
+    const ok = await token.auth("[rx.test]", origin + "/1:AAIAgA==:alice");
+    assert.equal(ok.yes, true);
+    assert.equal(ok.id, "max.rethinkdns.com|" + hex.slice(0, 6));
+    assert.ok(hexcat.startsWith(ok.id));
+
+    const ko = await token.auth("[rx.test]", origin + "/1:AAIAgA==:bob");
+    assert.equal(ko.yes, false);
+    assert.equal(ko.id, "");
+  });
+});
+
+/**
+ * @param {string[]} tags
+ * @returns {string} v1 b64 blockstamp of tags
+ */
+function stampOf(tags) {
+  return rdnsutil.getB64Flag(tagsToFlags(tags), "1");
+}
+
+/**
+ * @param {string} stamp - b64 or b32
+ * @returns {string[]} tags in stamp
+ */
+function tagsOf(stamp) {
+  return flagsToTags(rdnsutil.unstamp(stamp).userBlocklistFlagUint);
+}
+
+describe("stamp commands", () => {
+  it("add blocklists to stamps", async () => {
+    const cc = commandControl();
+    const q = "/stampadd?stamp=" + stampOf(["1", "170"]) + "&list=170,2";
+    const r = await (await send(cc, "GET", q)).json();
+    assert.deepEqual(r.list.sort(), ["1", "170", "2"]);
+    assert.deepEqual(tagsOf(r.b64String).sort(), ["1", "170", "2"]);
+    // the same stamp, for dot
+    assert.match(r.b32String, /^1-[a-z2-7]+$/);
+    assert.deepEqual(tagsOf(r.b32String), tagsOf(r.b64String));
+  });
+
+  it("remove blocklists from stamps", async () => {
+    const cc = commandControl();
+    const s = stampOf(["1", "170", "2"]);
+    const one = await send(cc, "GET", "/stamprm?stamp=" + s + "&list=170,2");
+    assert.deepEqual(tagsOf((await one.json()).b64String), ["1"]);
+
+    // sans blocklists, there's no stamp
+    const none = await send(cc, "GET", "/stamprm?stamp=" + s + "&list=1,2,170");
+    assert.equal((await none.json()).b64String, "");
+  });
+
+  it("diff stamps, in b64 and b32", async () => {
+    const cc = commandControl();
+    const a = stampOf(["1", "2", "3"]);
+    const b = rdnsutil.getB32Flag(tagsToFlags(["3", "4"]));
+    const res = await send(cc, "GET", "/stampdiff?a=" + a + "&b=" + b);
+    const r = await res.json();
+    assert.deepEqual(r.both, ["3"]);
+    assert.deepEqual(Object.keys(r.onlyA).sort(), ["1", "2"]);
+    assert.deepEqual(Object.keys(r.onlyB), ["4"]);
+  });
+
+  it("reject bad stamps", async () => {
+    const cc = commandControl();
+    const res = await send(cc, "GET", "/stampadd?stamp=nope&list=1");
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /invalid stamp/);
+    const bad = await send(cc, "GET", "/stampdiff?a=1:!!&b=");
+    assert.equal(bad.status, 400);
+  });
+});
+
+// names in blocklists, by their list-ids
+const lists = new Map([
+  ["ads.example.com", ["1"]],
+  ["example.com", ["2"]],
+]);
+
+/**
+ * @param {string[]} lookups - out: names looked up in the trie
+ * @returns {CommandControl} with a blocklist-filter of just the names in lists
+ */
+function batchCommandControl(lookups) {
+  const f = new BlocklistFilter();
+  const trie = {
+    transform: (n) => {
+      if (n.includes("_")) throw new Error("undef num: _");
+      return n;
+    },
+    // matches of n and its parents, or false; ref: FrozenTrie.lookup
+    lookup: (n) => {
+      lookups.push(n);
+      const m = new Map();
+      for (const [k, tags] of lists) {
+        if (k === n || n.endsWith("." + k)) m.set(k, tagsToFlags(tags));
+      }
+      return m.size > 0 ? m : false;
+    },
+  };
+  f.load(trie, {});
+  return new CommandControl({
+    init: async () => null,
+    getBlocklistFilter: () => f,
+  });
+}
+
+/**
+ * @param {CommandControl} cc
+ * @param {string} path - with the query string, if any
+ * @param {string} body
+ * @returns {Promise<Response>}
+ */
+async function post(cc, path, body) {
+  const req = new Request(origin + path, { method: "POST", body: body });
+  const r = await cc.exec({ rxid: "[rx.test]", request: req });
+  return r.data.httpResponse;
+}
+
+describe("batch lookups", () => {
+  it("are only POSTed", async () => {
+    const cc = batchCommandControl([]);
+    assert.equal((await send(cc, "GET", "/batchlookup")).status, 405);
+  });
+
+  it("take names as json, or one per line", async () => {
+    const names = ["ads.example.com", "example.org"];
+    const cc = batchCommandControl([]);
+    const j = await (
+      await post(cc, "/batchlookup", JSON.stringify(names))
+    ).json();
+    const txt = "# names\nads.example.com\n\n  example.org  \n";
+    const l = await (await post(cc, "/batchlookup", txt)).json();
+    assert.deepEqual(l, j);
+    assert.equal(j.count, 2);
+    assert.deepEqual(j.domains["ads.example.com"], {
+      lists: ["1", "2"],
+      names: { "ads.example.com": ["1"], "example.com": ["2"] },
+    });
+    assert.deepEqual(j.domains["example.org"], { lists: [], names: {} });
+  });
+
+  it("answer parents from lookups of their subdomains", async () => {
+    const lookups = [];
+    const cc = batchCommandControl(lookups);
+    const names = ["example.com", "x.ads.example.com", "ads.example.com"];
+    const r = await (await post(cc, "/batchlookup", names.join("\n"))).json();
+    assert.deepEqual(lookups, ["x.ads.example.com"]);
+    // in the order names were sent in
+    assert.deepEqual(Object.keys(r.domains), names);
+    assert.deepEqual(r.domains["example.com"].names, { "example.com": ["2"] });
+    assert.deepEqual(r.domains["ads.example.com"].lists, ["1", "2"]);
+  });
+
+  it("look up parents of names that can't be looked up", async () => {
+    const lookups = [];
+    const cc = batchCommandControl(lookups);
+    const r = await (
+      await post(cc, "/batchlookup", "_x.example.com\nexample.com")
+    ).json();
+    // _x.example.com fails to transform, and so, is never looked up
+    assert.deepEqual(lookups, ["example.com"]);
+    assert.deepEqual(r.domains["_x.example.com"].lists, []);
+    assert.deepEqual(r.domains["example.com"].lists, ["2"]);
+  });
+
+  it("have only lists in the stamp, if any", async () => {
+    const cc = batchCommandControl([]);
+    const q = "/batchlookup?stamp=" + stampOf(["2"]);
+    const r = await (await post(cc, q, "ads.example.com")).json();
+    assert.deepEqual(r.domains["ads.example.com"], {
+      lists: ["2"],
+      names: { "example.com": ["2"] },
+    });
+  });
+
+  it("reject bad and too big batches", async () => {
+    const cc = batchCommandControl([]);
+    assert.equal((await post(cc, "/batchlookup", "[oops")).status, 400);
+    assert.equal((await post(cc, "/batchlookup", "{}")).status, 400);
+    const many = "a.example.com\n".repeat(10001);
+    assert.equal((await post(cc, "/batchlookup", many)).status, 413);
+  });
+});
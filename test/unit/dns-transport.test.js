@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import tls from "node:tls";
+import { after, before, describe, it } from "node:test";
+import * as dnst from "../../src/core/node/dns-transport.js";
+
+const sni = "dns.rethinkdns.localhost";
+const tlsdir = new URL("../data/tls/", import.meta.url);
+const key = readFileSync(new URL(sni + ".key", tlsdir));
+const crt = readFileSync(new URL(sni + ".crt", tlsdir));
+
+describe("dot transport", () => {
+  /** @type {tls.Server} */
+  let server = null;
+  let port = 0;
+  let accepts = 0;
+  /** @type {tls.PeerCertificate} */
+  let cert = null;
+
+  before(async () => {
+    server = tls.createServer({ key: key, cert: crt }, (sock) => sock.end());
+    server.on("connection", () => (accepts += 1));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+
+    const opts = { port: port, host: "127.0.0.1", rejectUnauthorized: false };
+    const sock = tls.connect(opts);
+    await new Promise((resolve) => sock.once("secureConnect", resolve));
+    cert = sock.getPeerCertificate();
+    sock.destroy();
+  });
+
+  after(() => server.close());
+
+  it("checks the upstream's name against the sni, not the ip", () => {
+    const t = dnst.makeTlsTransport("127.0.0.1", port, sni, []);
+    const check = t.tlsopts.checkServerIdentity;
+    assert.equal(t.tlsopts.servername, sni);
+    assert.equal(check(sni, cert), undefined);
+    assert.ok(check("dns.example.com", cert) instanceof Error);
+  });
+
+  it("pins the upstream's public key", () => {
+    const pin = createHash("sha256").update(cert.pubkey).digest("base64");
+    const ok = dnst.makeTlsTransport("127.0.0.1", port, sni, [pin]);
+    const ko = dnst.makeTlsTransport("127.0.0.1", port, sni, ["AAAA"]);
+    assert.equal(ok.tlsopts.checkServerIdentity(sni, cert), undefined);
+    assert.match(ko.tlsopts.checkServerIdentity(sni, cert).message, /pin/);
+  });
+
+  it("needs an sni for ip upstreams", () => {
+    assert.throws(() => dnst.makeTlsTransport("127.0.0.1", 853, "", []));
+    const t = dnst.makeTlsTransport("dns.example.com", 853, "", []);
+    assert.equal(t.tlsopts.servername, "dns.example.com");
+  });
+
+  it("sends udp queries over tls, and fails closed on bad certs", async () => {
+    const t = dnst.makeTlsTransport("127.0.0.1", port, sni, [], {
+      connectTimeout: 2000,
+    });
+    const before = accepts;
+    // the test cert's root ca is not trusted, and so, no answer
+    const ans = await t.udpquery("[rx.test]", Buffer.alloc(12));
+    assert.equal(ans, null);
+    assert.equal(accepts, before + 1);
+    assert.equal(t.encrypted(), true);
+    await t.teardown();
+  });
+});
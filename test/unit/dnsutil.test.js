@@ -0,0 +1,85 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+
+const question = { name: "many.example", type: "A", class: "IN" };
+
+/**
+ * @param {int?} sz - udp payload size in the opt record, if any
+ * @returns {any} a query for many.example, decoded
+ */
+function query(sz = null) {
+  const q = { id: 7, type: "query", flags: 1 << 8, questions: [question] };
+  if (sz != null) {
+    q.additionals = [
+      { name: ".", type: "OPT", udpPayloadSize: sz, flags: 0, options: [] },
+    ];
+  }
+  return q;
+}
+
+/**
+ * @param {int} n - number of A records
+ * @param {boolean} edns - whether to add an opt record
+ * @returns {Uint8Array} an answer for many.example, encoded
+ */
+function answer(n, edns = false) {
+  const ips = [...Array(n).keys()].map((i) => "192.0.2." + i);
+  return dnsutil.encode({
+    id: 7,
+    type: "response",
+    flags: (1 << 8) | (1 << 7), // rd, ra
+    questions: [question],
+    answers: ips.map((ip) => {
+      return { name: question.name, type: "A", class: "IN", ttl: 60, data: ip };
+    }),
+    additionals: edns ? query(1232).additionals : [],
+  });
+}
+
+describe("udp answers", () => {
+  it("are at most 512 bytes, sans edns", () => {
+    assert.equal(dnsutil.udpPayloadSize(query()), 512);
+    assert.equal(dnsutil.udpPayloadSize(query(1232)), 1232);
+    // rfc6891 sec 6.2.5
+    assert.equal(dnsutil.udpPayloadSize(query(100)), 512);
+    assert.equal(dnsutil.udpPayloadSize(query(65535)), 4096);
+  });
+
+  it("are sent as-is if they fit", () => {
+    const ans = answer(2);
+    assert.equal(dnsutil.truncate(ans, 512), ans);
+  });
+
+  it("are truncated to just the question if they don't fit", () => {
+    const ans = answer(40);
+    assert.ok(ans.byteLength > 512);
+
+    const tc = dnsutil.truncate(ans, 512);
+    assert.ok(tc.byteLength <= 512);
+    const p = dnsutil.decode(tc);
+    assert.equal(p.id, 7);
+    assert.equal(p.flag_tc, true);
+    assert.deepEqual(p.questions, [question]);
+    assert.equal(p.answers.length, 0);
+  });
+
+  it("keep their opt record when truncated, if it fits", () => {
+    const p = dnsutil.decode(dnsutil.truncate(answer(40, true), 512));
+    assert.equal(p.flag_tc, true);
+    assert.equal(p.additionals.length, 1);
+    assert.equal(p.additionals[0].type, "OPT");
+    // sans the opt, when too small for it
+    const q = dnsutil.decode(dnsutil.truncate(answer(40, true), 40));
+    assert.equal(q.additionals.length, 0);
+  });
+});
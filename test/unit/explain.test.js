@@ -0,0 +1,215 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { tagsToFlags } from "@serverless-dns/trie/stamp.js";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+import * as rdnsutil from "../../src/plugins/rdns-util.js";
+import { DnsCache } from "../../src/plugins/dns-op/cache.js";
+import { Explainer } from "../../src/plugins/dns-op/explain.js";
+import { Forwarders } from "../../src/plugins/dns-op/forwarders.js";
+import DNSResolver from "../../src/plugins/dns-op/resolver.js";
+import { UserRules } from "../../src/plugins/users/user-rules.js";
+
+const realFetch = globalThis.fetch;
+
+// names and ips in blocklists, by their list-ids
+const lists = new Map([
+  ["ads.rethinkdns.com", ["1", "2"]],
+  ["tracker.rethinkdns.com", ["3"]],
+  ["192.0.2.66", ["4"]],
+]);
+
+// a blocklist-filter of just the names and ips in lists
+const blf = {
+  ftrie: { setup: true },
+  blockstamp: (n) => {
+    const tags = lists.get(n);
+    return tags ? new Map([[n, tagsToFlags(tags)]]) : false;
+  },
+  ipstamp: (ip) => {
+    const tags = lists.get(ip);
+    return tags ? tagsToFlags(tags) : null;
+  },
+};
+
+const bw = {
+  disabled: () => false,
+  isBlocklistFilterSetup: () => true,
+  getBlocklistFilter: () => blf,
+  init: async () => null,
+};
+
+/**
+ * @returns {Explainer}
+ */
+function explainer() {
+  const cache = new DnsCache(10);
+  const resolver = new DNSResolver(bw, cache, null, new Forwarders());
+  return new Explainer(bw, cache, resolver, null);
+}
+
+/**
+ * @param {string[]} tags - user's blocklists
+ * @param {UserRules?} rules
+ * @returns {pres.BlockstampInfo}
+ */
+function userWith(tags, rules = null) {
+  const b = new pres.BlockstampInfo();
+  b.flagVersion = "1";
+  b.userBlocklistFlagUint = tagsToFlags(tags);
+  b.userRules = rules;
+  return b;
+}
+
+/**
+ * Replaces fetch with doh upstreams that answer A queries with ips.
+ * @param {string[]} ips
+ */
+function upstreamsAnswer(ips) {
+  globalThis.fetch = async (req) => {
+    const q = dnsutil.decode(await req.arrayBuffer());
+    const qn = q.questions[0];
+    const ans = dnsutil.encode({
+      id: q.id,
+      type: "response",
+      flags: (1 << 8) | (1 << 7), // rd, ra
+      questions: q.questions,
+      answers: ips.map((ip) => {
+        return { name: qn.name, type: "A", class: "IN", ttl: 60, data: ip };
+      }),
+    });
+    return new Response(ans);
+  };
+}
+
+/**
+ * @param {Explainer} e
+ * @param {string} name
+ * @param {pres.BlockstampInfo} user
+ * @param {string} mode
+ * @returns {Promise<any>} an explanation
+ */
+function explain(e, name, user, mode = "") {
+  const req = new Request("https://localhost/dns-query", { method: "POST" });
+  return e.explain("[rx.test]", req, name, "A", user, mode);
+}
+
+describe("explain", () => {
+  afterEach(() => (globalThis.fetch = realFetch));
+
+  it("tells which of the user's blocklists block a name", async () => {
+    upstreamsAnswer(["192.0.2.1"]);
+    const why = await explain(
+      explainer(),
+      "ads.rethinkdns.com",
+      userWith(["2"])
+    );
+    assert.equal(why.blocked, true);
+    assert.equal(why.by, "name");
+    assert.equal(why.response, "nullip");
+    assert.deepEqual(why.names[0].inLists, ["1", "2"]);
+    assert.deepEqual(why.names[0].lists, ["2"]);
+  });
+
+  it("tells names in blocklists the user hasn't chosen apart", async () => {
+    upstreamsAnswer(["192.0.2.1"]);
+    const why = await explain(
+      explainer(),
+      "ads.rethinkdns.com",
+      userWith(["3"])
+    );
+    assert.equal(why.blocked, false);
+    assert.equal(why.names[0].matched, "ads.rethinkdns.com");
+    assert.deepEqual(why.names[0].lists, []);
+    assert.equal(why.answer, "192.0.2.1");
+  });
+
+  it("tells of ips in answers that are in blocklists", async () => {
+    upstreamsAnswer(["192.0.2.66"]);
+    const why = await explain(
+      explainer(),
+      "www.rethinkdns.com",
+      userWith(["4"]),
+      "nxdomain"
+    );
+    assert.equal(why.blocked, true);
+    assert.equal(why.by, "ip");
+    assert.equal(why.response, "nxdomain");
+    assert.deepEqual(why.ips[0].lists, ["4"]);
+  });
+
+  it("tells of user rules that decide a name", async () => {
+    upstreamsAnswer(["192.0.2.1"]);
+    const rules = new UserRules(["ads.rethinkdns.com"]);
+    const why = await explain(
+      explainer(),
+      "ads.rethinkdns.com",
+      userWith(["1"], rules)
+    );
+    assert.equal(why.blocked, false);
+    assert.equal(why.names[0].rule, "allow");
+  });
+
+  it("answers TXT queries for names under _why", async () => {
+    upstreamsAnswer(["192.0.2.1"]);
+    const q = {
+      id: 9,
+      type: "query",
+      flags: 1 << 8, // rd
+      questions: [{ name: "tracker.rethinkdns.com._why", type: "TXT" }],
+    };
+    const r = await explainer().exec({
+      rxid: "[rx.test]",
+      request: new Request("https://localhost/dns-query", { method: "POST" }),
+      requestDecodedDnsPacket: q,
+      userBlocklistInfo: userWith(["3"]),
+      userBlockMode: "refused",
+      isDnsMsg: true,
+    });
+    const txts = r.data.dnsPacket.answers.map((a) => String(a.data));
+    assert.equal(r.data.dnsPacket.id, 9);
+    assert.equal(
+      txts[0],
+      "tracker.rethinkdns.com A: blocked by name (refused)"
+    );
+    assert.ok(txts.includes("tracker.rethinkdns.com: in 3; blocked by 3"));
+  });
+
+  it("lets other queries through", async () => {
+    const q = dnsutil.decode(
+      dnsutil.mkQ(1, [{ name: "a.rethinkdns.com", type: "A" }])
+    );
+    const r = await explainer().exec({
+      rxid: "[rx.test]",
+      requestDecodedDnsPacket: q,
+      isDnsMsg: true,
+    });
+    assert.equal(r.isException, false);
+    assert.equal(r.data.dnsPacket, null);
+  });
+
+  it("matches parents of names, when blocking subdomains", () => {
+    const stamps = { "rethinkdns.com": tagsToFlags(["5"]) };
+    process.env.BLOCK_SUBDOMAINS = "true";
+    try {
+      const w = rdnsutil.explainBlock(
+        "x.rethinkdns.com",
+        userWith(["5"]),
+        stamps
+      );
+      assert.equal(w.blocked, true);
+      assert.equal(w.matched, "rethinkdns.com");
+    } finally {
+      delete process.env.BLOCK_SUBDOMAINS;
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { Forwarders } from "../../src/plugins/dns-op/forwarders.js";
+
+const corp = "https://dns.corp.example/dns-query";
+
+/**
+ * @param {string} name
+ * @returns {any} a dns query for name
+ */
+function q(name) {
+  return { id: 0, type: "query", questions: [{ name: name, type: "A" }] };
+}
+
+describe("forwarders", () => {
+  afterEach(() => delete process.env.FORWARD_RULES);
+
+  it("loads rules from env", () => {
+    process.env.FORWARD_RULES = `corp.example=${corp},lan=192.168.1.1:5353`;
+    const fwd = new Forwarders();
+    assert.equal(fwd.size(), 2);
+    assert.equal(fwd.match(q("a.corp.example")).target, corp);
+    const lan = fwd.match(q("printer.lan"));
+    assert.deepEqual(
+      [lan.isDoh, lan.host, lan.port],
+      [false, "192.168.1.1", 5353]
+    );
+  });
+
+  it("matches names and their subdomains, most specific first", () => {
+    const fwd = new Forwarders();
+    fwd.load(["corp.example " + corp, "eu.corp.example=10.0.0.53"]);
+    assert.equal(fwd.match(q("corp.example")).target, corp);
+    assert.equal(fwd.match(q("WWW.Corp.Example")).target, corp);
+    assert.equal(fwd.match(q("x.eu.corp.example")).target, "10.0.0.53");
+    assert.equal(fwd.match(q("notcorp.example")), null);
+    assert.equal(fwd.match(q("example")), null);
+  });
+
+  it("matches wildcards only to subdomains", () => {
+    const fwd = new Forwarders();
+    fwd.load("*.internal.example=[fd00::53]:53");
+    assert.equal(fwd.match(q("internal.example")), null);
+    const r = fwd.match(q("db.internal.example"));
+    assert.deepEqual([r.host, r.port, r.wildcard], ["fd00::53", 53, true]);
+  });
+
+  it("skips bad rules and comments", () => {
+    const fwd = new Forwarders();
+    const n = fwd.load([
+      "# comment",
+      "a.example",
+      "b.example=ftp://x",
+      "c.example=x:99999",
+      "d.example=10.0.0.1 # inline comment",
+    ]);
+    assert.equal(n, 1);
+    assert.equal(fwd.match(q("d.example")).target, "10.0.0.1");
+  });
+
+  it("tags answers by rule, so that upstreams don't share cache", () => {
+    const fwd = new Forwarders();
+    fwd.load(["a.example=10.0.0.1", "b.example=10.0.0.2"]);
+    const ta = fwd.tagOf(q("a.example"));
+    assert.match(ta, /^fwd-/);
+    assert.notEqual(ta, fwd.tagOf(q("b.example")));
+    assert.equal(fwd.tagOf(q("c.example")), "");
+
+    const other = new Forwarders();
+    other.load("a.example=10.0.0.3");
+    assert.notEqual(ta, other.tagOf(q("a.example")));
+  });
+
+  it("skips do53 rules on runtimes without do53 transports", () => {
+    const fwd = new Forwarders();
+    fwd.do53 = false; // as on workers, fastly, deno
+    const n = fwd.load(["a.example=10.0.0.1", "b.example=" + corp]);
+    assert.equal(n, 1);
+    assert.equal(fwd.match(q("a.example")), null);
+    assert.equal(fwd.match(q("b.example")).target, corp);
+  });
+
+  it("sets up transports for do53 rules only", () => {
+    const fwd = new Forwarders();
+    fwd.load(["a.example=10.0.0.1:5353", "b.example=" + corp]);
+    const made = [];
+    fwd.setupTransports((host, port) => made.push([host, port]) && {});
+    assert.deepEqual(made, [["10.0.0.1", 5353]]);
+    assert.notEqual(fwd.match(q("a.example")).transport, null);
+    assert.equal(fwd.match(q("b.example")).transport, null);
+  });
+});
@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+import * as rdnsutil from "../../src/plugins/rdns-util.js";
+import IOState from "../../src/core/io-state.js";
+
+/**
+ * @param {string} type
+ * @returns {any} a query for ads.example of type
+ */
+function query(type) {
+  return {
+    id: 5,
+    type: "query",
+    flags: 1 << 8, // rd
+    questions: [{ name: "ads.example", type: type, class: "IN" }],
+  };
+}
+
+/**
+ * @param {string} type
+ * @param {string} mode - block mode, if any
+ * @returns {Promise<any>} the answer to a blocked query of type, decoded
+ */
+async function blocked(type, mode = "") {
+  const io = new IOState();
+  io.input(query(type));
+  io.blockWith(mode);
+  io.dnsBlockResponse("1:AAIAgA==");
+  assert.equal(io.isException, false);
+  return dnsutil.decode(await io.httpResponse.arrayBuffer());
+}
+
+/**
+ * @param {any} p - a dns answer, decoded
+ * @returns {Array<[string, any]>} type and data of answers in p
+ */
+function answersOf(p) {
+  return p.answers.map((a) => [a.type, a.data]);
+}
+
+describe("block modes", () => {
+  afterEach(() => {
+    delete process.env.BLOCK_MODE;
+    delete process.env.BLOCK_SINKHOLE_IP4;
+  });
+
+  it("answers with null ips by default", async () => {
+    const p = await blocked("A");
+    assert.equal(p.id, 5);
+    assert.equal(p.rcode, "NOERROR");
+    assert.deepEqual(answersOf(p), [["A", "0.0.0.0"]]);
+    assert.deepEqual(answersOf(await blocked("AAAA")), [["AAAA", "::"]]);
+  });
+
+  it("answers https queries with a service that is not available", () => {
+    const io = new IOState();
+    io.input(query("HTTPS"));
+    io.assignBlockResponse();
+    const p = io.decodedDnsPacket;
+    assert.equal(p.answers[0].type, "HTTPS");
+    assert.equal(p.answers[0].data.svcPriority, 0);
+    assert.equal(p.answers[0].data.targetName, ".");
+  });
+
+  it("answers queries of other types with nodata", async () => {
+    const p = await blocked("TXT");
+    assert.equal(p.rcode, "NOERROR");
+    assert.equal(p.answers.length, 0);
+  });
+
+  it("answers with sinkhole ips, as set by env", async () => {
+    process.env.BLOCK_MODE = "sinkhole";
+    process.env.BLOCK_SINKHOLE_IP4 = "192.0.2.53";
+    assert.deepEqual(answersOf(await blocked("A")), [["A", "192.0.2.53"]]);
+    // sans a valid sinkhole ip6, null ips it is
+    assert.deepEqual(answersOf(await blocked("AAAA")), [["AAAA", "::"]]);
+  });
+
+  it("answers nxdomain and nodata with a soa", async () => {
+    for (const [mode, rcode] of [
+      ["nxdomain", "NXDOMAIN"],
+      ["nodata", "NOERROR"],
+    ]) {
+      const p = await blocked("A", mode);
+      assert.equal(p.rcode, rcode);
+      assert.equal(p.answers.length, 0);
+      assert.equal(p.authorities[0].type, "SOA");
+      assert.equal(p.authorities[0].name, "ads.example");
+    }
+  });
+
+  it("answers refused sans a soa", async () => {
+    const p = await blocked("A", "refused");
+    assert.equal(p.rcode, "REFUSED");
+    assert.equal(p.authorities.length, 0);
+  });
+
+  it("ignores unknown modes", async () => {
+    const p = await blocked("A", "teapot");
+    assert.deepEqual(answersOf(p), [["A", "0.0.0.0"]]);
+  });
+
+  it("are got from the path of doh urls", () => {
+    const u = "https://max.rethinkdns.com/dns-query/";
+    assert.equal(
+      rdnsutil.blockModeFromUrl(u + "nxdomain/1:AAIAgA=="),
+      "nxdomain"
+    );
+    assert.equal(
+      rdnsutil.blockModeFromUrl(u + "1:AAIAgA==/Refused"),
+      "refused"
+    );
+    assert.equal(rdnsutil.blockModeFromUrl(u + "1:AAIAgA=="), "");
+  });
+});
+
+/**
+ * @param {string} type
+ * @returns {any} a query for ads.example of type, with an OPT record
+ */
+function ednsQuery(type) {
+  const q = query(type);
+  q.additionals = [
+    { name: ".", type: "OPT", udpPayloadSize: 4096, flags: 0, options: [] },
+  ];
+  return q;
+}
+
+/**
+ * @param {IOState} io
+ * @returns {Promise<Array<[int, string]>>} info-code and extra-text of edes
+ */
+async function edesOf(io) {
+  const p = dnsutil.decode(await io.httpResponse.arrayBuffer());
+  const opt = (p.additionals || []).find(dnsutil.optAnswer);
+  if (opt == null) return [];
+  return opt.options
+    .filter((o) => o.code === 15)
+    .map((o) => [o.data.readUInt16BE(0), o.data.subarray(2).toString()]);
+}
+
+describe("extended dns errors", () => {
+  it("are added to blocked answers, with the blocklists", async () => {
+    const io = new IOState();
+    io.input(ednsQuery("A"));
+    io.dnsBlockResponse("1:AAIAgA==");
+    const edes = await edesOf(io);
+    assert.equal(edes.length, 1);
+    assert.equal(edes[0][0], dnsutil.ede.filtered);
+    assert.deepEqual(edes[0][1], rdnsutil.blocklists("1:AAIAgA==").join(","));
+  });
+
+  it("say blocked, not filtered, for the operator's blocklists", async () => {
+    const io = new IOState();
+    io.input(ednsQuery("A"));
+    io.blockWith("", true);
+    io.dnsBlockResponse("1:AAIAgA==");
+    assert.equal((await edesOf(io))[0][0], dnsutil.ede.blocked);
+  });
+
+  it("are added to answers for undelegated names", async () => {
+    const io = new IOState();
+    io.input(ednsQuery("A"));
+    io.dnsNxDomainResponse();
+    assert.deepEqual(await edesOf(io), [[dnsutil.ede.prohibited, ""]]);
+  });
+
+  it("are added to servfails, by where they're from", async () => {
+    const io = new IOState();
+    io.input(ednsQuery("A"));
+    io.dnsExceptionResponse(pres.errResponse("dnsResolver", new Error("x")));
+    assert.deepEqual(await edesOf(io), [[dnsutil.ede.networkError, ""]]);
+  });
+
+  it("are not added for clients that don't speak edns", async () => {
+    const io = new IOState();
+    io.input(query("A"));
+    io.dnsBlockResponse("1:AAIAgA==");
+    const p = dnsutil.decode(await io.httpResponse.arrayBuffer());
+    assert.equal((p.additionals || []).length, 0);
+  });
+});
@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { flagsToTags, tagsToFlags } from "@serverless-dns/trie/stamp.js";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as rdnsutil from "../../src/plugins/rdns-util.js";
+import { IpTrie } from "../../src/plugins/rethinkdns/iptrie.js";
+
+const cidrs = `
+# bogons
+10.0.0.0/8 1
+10.1.0.0/16 2,3
+203.0.113.7 4
+fd00::/8 1 # ula
+2001:db8::/32 5
+`;
+
+/**
+ * @param {IpTrie} t
+ * @param {string} ip
+ * @returns {string[]?} list-ids ip is in, if any
+ */
+function tagsOf(t, ip) {
+  const stamp = t.lookup(ip);
+  return stamp == null ? null : flagsToTags(stamp).sort();
+}
+
+describe("ip blocklists", () => {
+  it("loads cidrs and bare ips, and skips bad ones", () => {
+    const t = new IpTrie();
+    assert.equal(t.load(cidrs + "bad 1\n10.0.0.0/33 1\n192.0.2.0/24\n"), 5);
+    assert.equal(t.sealed, true);
+    assert.throws(() => t.add("192.0.2.0/24", ["1"]), /sealed/);
+  });
+
+  it("has ips in all the lists of cidrs they are in", () => {
+    const t = new IpTrie();
+    t.load(cidrs);
+    assert.deepEqual(tagsOf(t, "10.9.9.9"), ["1"]);
+    assert.deepEqual(tagsOf(t, "10.1.2.3"), ["1", "2", "3"]);
+    assert.deepEqual(tagsOf(t, "203.0.113.7"), ["4"]);
+    assert.equal(tagsOf(t, "203.0.113.8"), null);
+    assert.equal(tagsOf(t, "11.0.0.1"), null);
+  });
+
+  it("has ipv6 cidrs apart from ipv4 ones", () => {
+    const t = new IpTrie();
+    t.load(cidrs);
+    assert.deepEqual(tagsOf(t, "fd12::1"), ["1"]);
+    assert.deepEqual(tagsOf(t, "2001:db8:1::53"), ["5"]);
+    assert.equal(tagsOf(t, "2001:db9::1"), null);
+    assert.equal(tagsOf(t, "not-an-ip"), null);
+  });
+
+  it("has no ips until sealed", () => {
+    const t = new IpTrie();
+    t.add("10.0.0.0/8", ["1"]);
+    assert.equal(t.lookup("10.0.0.1"), null);
+    t.seal();
+    assert.deepEqual(tagsOf(t, "10.0.0.1"), ["1"]);
+  });
+
+  it("blocks answers with ips in the user's blocklists", () => {
+    const t = new IpTrie();
+    t.load(cidrs);
+    const ipBlInfo = { "10.1.2.3": t.lookup("10.1.2.3") };
+    const user = (tags) => {
+      return { flagVersion: "1", userBlocklistFlagUint: tagsToFlags(tags) };
+    };
+    assert.equal(
+      rdnsutil.doBlockIp("10.1.2.3", user(["3"]), ipBlInfo).isBlocked,
+      true
+    );
+    assert.equal(
+      rdnsutil.doBlockIp("10.1.2.3", user(["4"]), ipBlInfo).isBlocked,
+      false
+    );
+    assert.equal(
+      rdnsutil.doBlockIp("10.9.9.9", user(["1"]), ipBlInfo).isBlocked,
+      false
+    );
+  });
+
+  it("are matched against ips in answers and in https hints", () => {
+    const p = {
+      answers: [
+        { name: "a.example", type: "A", data: "192.0.2.1" },
+        { name: "a.example", type: "AAAA", data: "2001:db8::1" },
+        {
+          name: "a.example",
+          type: "HTTPS",
+          data: {
+            svcPriority: 1,
+            targetName: ".",
+            svcParams: { ipv4hint: ["192.0.2.1", "192.0.2.2"] },
+          },
+        },
+      ],
+    };
+    assert.deepEqual(dnsutil.extractIps(p), [
+      "192.0.2.1",
+      "2001:db8::1",
+      "192.0.2.2",
+    ]);
+  });
+});
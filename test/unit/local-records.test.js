@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { LocalRecords } from "../../src/plugins/dns-op/local-records.js";
+
+const records = `
+# hosts format
+192.168.1.10 nas.lan files.lan
+fd00::10 nas.lan
+# zone-like
+www.lan 60 IN CNAME nas.lan
+about.lan TXT "a home lab"
+alias.lan CNAME upstream.example
+`;
+
+/**
+ * @param {string} name
+ * @param {string} type
+ * @returns {any} a dns query
+ */
+function q(name, type = "A") {
+  return {
+    id: 7,
+    type: "query",
+    flags: 1 << 8, // rd
+    questions: [{ name: name, type: type, class: "IN" }],
+  };
+}
+
+/**
+ * @param {LocalRecords} lr
+ * @param {string} name
+ * @param {string} type
+ * @returns {Array<[string, string, any]>} name, type, data of answers
+ */
+function answersOf(lr, name, type) {
+  const p = lr.answer("[rx.test]", q(name, type)).dnsPacket;
+  return p.answers.map((a) => [a.name, a.type, a.data]);
+}
+
+describe("local records", () => {
+  it("loads hosts and zone-like records", () => {
+    const lr = new LocalRecords();
+    // hosts, with a ptr each: 2 + 1, 1 + 1; and the rest: 3
+    assert.equal(lr.load(records), 8);
+    assert.equal(lr.load("bad\n1.2.3.4\nx.lan MX 10 mail.lan"), 0);
+  });
+
+  it("answers for local names, authoritatively", () => {
+    const lr = new LocalRecords();
+    lr.load(records);
+    const r = lr.answer("[rx.test]", q("files.lan"));
+    assert.equal(r.dnsPacket.id, 7);
+    assert.equal(r.dnsPacket.rcode, "NOERROR");
+    assert.equal(r.dnsPacket.flag_aa, true);
+    assert.deepEqual(answersOf(lr, "files.lan", "A"), [
+      ["files.lan", "A", "192.168.1.10"],
+    ]);
+    assert.deepEqual(answersOf(lr, "NAS.lan", "AAAA"), [
+      ["NAS.lan", "AAAA", "fd00::10"],
+    ]);
+    assert.deepEqual(answersOf(lr, "about.lan", "TXT")[0][1], "TXT");
+  });
+
+  it("chases local cnames", () => {
+    const lr = new LocalRecords();
+    lr.load(records);
+    assert.deepEqual(answersOf(lr, "www.lan", "A"), [
+      ["www.lan", "CNAME", "nas.lan"],
+      ["nas.lan", "A", "192.168.1.10"],
+    ]);
+    // the target is not local, and so, the cname is all there is
+    assert.deepEqual(answersOf(lr, "alias.lan", "A"), [
+      ["alias.lan", "CNAME", "upstream.example"],
+    ]);
+  });
+
+  it("answers reverse lookups with the canonical name", () => {
+    const lr = new LocalRecords();
+    lr.load(records);
+    assert.deepEqual(answersOf(lr, "10.1.168.192.in-addr.arpa", "PTR"), [
+      ["10.1.168.192.in-addr.arpa", "PTR", "nas.lan"],
+    ]);
+  });
+
+  it("answers nodata, with a soa, for types a local name lacks", () => {
+    const lr = new LocalRecords();
+    lr.load(records);
+    const p = lr.answer("[rx.test]", q("nas.lan", "MX")).dnsPacket;
+    assert.equal(p.rcode, "NOERROR");
+    assert.equal(p.answers.length, 0);
+    assert.equal(p.authorities[0].type, "SOA");
+  });
+
+  it("lets queries for other names through", async () => {
+    const lr = new LocalRecords();
+    lr.load(records);
+    const ctx = {
+      rxid: "[rx.test]",
+      isDnsMsg: true,
+      requestDecodedDnsPacket: q("example.com"),
+    };
+    const r = await lr.exec(ctx);
+    assert.equal(r.isException, false);
+    assert.equal(r.data.dnsPacket, null);
+  });
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as pp from "../../src/core/node/proxy-proto.js";
+
+const v2sig = Buffer.from("0d0a0d0a000d0a515549540a", "hex");
+// a dns query's length prefix and header, as the conn goes on with
+const data = Buffer.from("001c12340100", "hex");
+
+/**
+ * @param {int} cmd - 0 for LOCAL, 1 for PROXY
+ * @param {int} fam - address family and transport
+ * @param {Buffer} addrs - source and destination addresses and ports
+ * @returns {Buffer} a v2 header
+ */
+function v2(cmd, fam, addrs) {
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(addrs.length);
+  return Buffer.concat([v2sig, Buffer.from([0x20 | cmd, fam]), len, addrs]);
+}
+
+/**
+ * @param {int[]} src - ip4 bytes
+ * @param {int} sport
+ * @returns {Buffer} a v2 PROXY header, over tcp4, from src
+ */
+function v2tcp4(src, sport) {
+  const a = Buffer.alloc(12);
+  Buffer.from(src).copy(a, 0);
+  Buffer.from([192, 0, 2, 53]).copy(a, 4);
+  a.writeUInt16BE(sport, 8);
+  a.writeUInt16BE(853, 10);
+  return v2(1, 0x11, a);
+}
+
+describe("proxy protocol headers", () => {
+  it("are told apart from dns data", () => {
+    assert.equal(pp.sniff(Buffer.from("PROXY TCP4")), pp.v1);
+    assert.equal(pp.sniff(v2sig), pp.v2);
+    assert.equal(pp.sniff(Buffer.from("PRO")), pp.more);
+    assert.equal(pp.sniff(v2sig.subarray(0, 5)), pp.more);
+    assert.equal(pp.sniff(Buffer.alloc(0)), pp.more);
+    assert.equal(pp.sniff(data), pp.none);
+  });
+
+  it("are parsed in v1", () => {
+    const h4 = "PROXY TCP4 203.0.113.9 192.0.2.53 40000 853\r\n";
+    const buf = Buffer.concat([Buffer.from(h4), data]);
+    assert.deepEqual(pp.parse(buf), {
+      len: h4.length,
+      ip: "203.0.113.9",
+      port: 40000,
+    });
+
+    const h6 = "PROXY TCP6 2001:db8::9 2001:db8::53 40000 853\r\n";
+    assert.equal(pp.parse(Buffer.from(h6)).ip, "2001:db8::9");
+  });
+
+  it("are parsed in v2", () => {
+    const h4 = v2tcp4([203, 0, 113, 9], 40000);
+    const buf = Buffer.concat([h4, data]);
+    assert.deepEqual(pp.parse(buf), {
+      len: h4.length,
+      ip: "203.0.113.9",
+      port: 40000,
+    });
+
+    const a6 = Buffer.alloc(36);
+    Buffer.from("20010db8000000000000000000000009", "hex").copy(a6, 0);
+    a6.writeUInt16BE(40000, 32);
+    const h6 = pp.parse(v2(1, 0x21, a6));
+    assert.equal(h6.ip, "2001:db8:0:0:0:0:0:9");
+    assert.equal(h6.port, 40000);
+  });
+
+  it("may not name the client, as in v2 LOCAL and v1 UNKNOWN", () => {
+    const local = v2(0, 0x00, Buffer.alloc(0));
+    assert.deepEqual(pp.parse(local), { len: 16, ip: "", port: 0 });
+    // LOCAL ignores addresses, if any
+    const hc = v2(0, 0x11, Buffer.alloc(12));
+    assert.deepEqual(pp.parse(hc), { len: 28, ip: "", port: 0 });
+
+    const unknown = "PROXY UNKNOWN\r\n";
+    assert.deepEqual(pp.parse(Buffer.from(unknown)), {
+      len: unknown.length,
+      ip: "",
+      port: 0,
+    });
+  });
+
+  it("are read in full, even if fragmented", () => {
+    const h1 = Buffer.from("PROXY TCP4 203.0.113.9 192.0.2.53 40000 853\r\n");
+    for (const h of [h1, v2tcp4([203, 0, 113, 9], 40000)]) {
+      for (let i = 1; i < h.length; i++) {
+        const frag = h.subarray(0, i);
+        const v = pp.accept(frag, /* trusted */ true, /* required */ true);
+        assert.equal(v.more, true, "at " + i + " of " + h.length);
+        assert.equal(v.drop, "");
+      }
+      const v = pp.accept(Buffer.concat([h, data]), true, true);
+      assert.equal(v.more, false);
+      assert.equal(v.header.ip, "203.0.113.9");
+      assert.equal(v.header.len, h.length);
+    }
+  });
+
+  it("are rejected if malformed", () => {
+    const bad = [
+      "PROXY TCP4 2001:db8::9 192.0.2.53 40000 853\r\n",
+      "PROXY UDP4 203.0.113.9 192.0.2.53 40000 853\r\n",
+      "PROXY TCP4 203.0.113.9 192.0.2.53 70000 853\r\n",
+    ];
+    for (const h of bad) {
+      assert.throws(() => pp.parse(Buffer.from(h)), /pp1/);
+    }
+    // sans crlf, in more bytes than a v1 header may be
+    const long = Buffer.from("PROXY TCP4 " + "9".repeat(100));
+    assert.throws(() => pp.parse(long), /too long/);
+
+    const v3 = v2(1, 0x11, Buffer.alloc(12));
+    v3[12] = 0x31;
+    assert.throws(() => pp.parse(v3), /bad version/);
+    assert.throws(() => pp.parse(v2(1, 0x11, Buffer.alloc(4))), /bad family/);
+    assert.throws(() => pp.parse(data), /no header/);
+  });
+});
+
+describe("proxy protocol conns", () => {
+  const h = Buffer.concat([v2tcp4([203, 0, 113, 9], 40000), data]);
+
+  it("are dropped if untrusted peers send headers", () => {
+    const v = pp.accept(h, /* trusted */ false, /* required */ false);
+    assert.equal(v.more, false);
+    assert.match(v.drop, /untrusted/);
+    assert.equal(v.header, null);
+  });
+
+  it("are relayed as-is sans headers, unless they are required", () => {
+    const v = pp.accept(data, /* trusted */ false, /* required */ false);
+    assert.deepEqual(v, { more: false, drop: "", header: null });
+    assert.match(pp.accept(data, true, true).drop, /sans header/);
+  });
+
+  it("are dropped if headers are malformed, or never end", () => {
+    const bad = Buffer.from("PROXY TCP9 x y 1 2\r\n");
+    assert.match(pp.accept(bad, true, false).drop, /bad proto/);
+
+    // v2 headers may say they are longer than what is read in
+    const huge = v2(1, 0x11, Buffer.alloc(12));
+    huge.writeUInt16BE(65535, 14);
+    const buf = Buffer.concat([huge, Buffer.alloc(4096)]);
+    assert.match(pp.accept(buf, true, false).drop, /too long/);
+  });
+});
@@ -0,0 +1,133 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { copyNonPseudoHeaders } from "../../src/core/node/util.js";
+import { RateLimiter } from "../../src/plugins/users/rate-limiter.js";
+import * as token from "../../src/plugins/users/auth-token.js";
+
+const runtime = envManager.r;
+
+/**
+ * @param {Object} limits - by tier
+ * @param {string} r - runtime, ex: node, worker, fastly
+ * @returns {RateLimiter}
+ */
+function limiterWith(limits, r = "node") {
+  process.env.RATE_LIMITS = JSON.stringify(limits);
+  envManager.r = () => r;
+  return new RateLimiter();
+}
+
+/**
+ * @param {RateLimiter} rl
+ * @param {Object} headers
+ * @param {string} path - of the url, with the key, if any
+ * @param {string} profile - id, if any
+ * @returns {Promise<int>} secs to wait, if the query is limited; 0 if not
+ */
+async function send(rl, headers, path = "/dns-query", profile = "") {
+  const r = await rl.exec({
+    rxid: "[rx.test]",
+    request: new Request("https://max.rethinkdns.com" + path, {
+      headers: headers,
+    }),
+    userAuth: path.includes(":") ? token.Outcome.pass() : token.Outcome.none(),
+    userProfileId: profile,
+    isDnsMsg: true,
+  });
+  return r.data.isLimited ? r.data.retryAfterSec : 0;
+}
+
+/**
+ * @param {string} spoof - client ip, as the client says it is
+ * @returns {Object} headers a node server passes on, ref: handleHTTPRequest
+ */
+function fromNode(spoof) {
+  const h = copyNonPseudoHeaders({ ":path": "/", "x-nile-client-ip": spoof });
+  return { ...h, "x-nile-client-ip": "198.51.100.9" };
+}
+
+describe("rate limits", () => {
+  afterEach(() => {
+    delete process.env.RATE_LIMITS;
+    envManager.r = runtime;
+  });
+
+  it("let bursts through, and then, as many as the rate", async () => {
+    const rl = limiterWith({ ip: { rate: 1, burst: 2 } });
+    const h = { "x-nile-client-ip": "198.51.100.9" };
+    assert.equal(await send(rl, h), 0);
+    assert.equal(await send(rl, h), 0);
+    assert.equal(await send(rl, h), 1);
+    // other clients have buckets of their own
+    assert.equal(await send(rl, { "x-nile-client-ip": "198.51.100.10" }), 0);
+  });
+
+  it("skip tiers without limits, and clients with unknown ips", async () => {
+    const rl = limiterWith({ ip: { rate: 0 }, nope: { rate: 1 } });
+    assert.equal(rl.empty(), true);
+    const one = limiterWith({ ip: { rate: 1, burst: 1 } });
+    for (let i = 0; i < 3; i++) assert.equal(await send(one, {}), 0);
+  });
+
+  it("key ip buckets on ips clients can't set", async () => {
+    const node = limiterWith({ ip: { rate: 1, burst: 2 } });
+    assert.equal(await send(node, fromNode("10.0.0.1")), 0);
+    assert.equal(await send(node, fromNode("10.0.0.2")), 0);
+    assert.equal(await send(node, fromNode("10.0.0.3")), 1);
+
+    // workers: only cf-connecting-ip, which Cloudflare sets, is trusted
+    const cf = "203.0.113.7";
+    const workers = limiterWith({ ip: { rate: 1, burst: 2 } }, "worker");
+    assert.equal(await send(workers, { "cf-connecting-ip": cf }), 0);
+    assert.equal(await send(workers, { "cf-connecting-ip": cf }), 0);
+    for (let i = 0; i < 5; i++) {
+      const spoof = {
+        "cf-connecting-ip": cf,
+        "x-nile-client-ip": "10.0.0." + i,
+      };
+      assert.equal(await send(workers, spoof), 1);
+    }
+
+    // fastly: no trusted header, and so, no ip buckets
+    const fastly = limiterWith({ ip: { rate: 1, burst: 1 } }, "fastly");
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await send(fastly, { "x-nile-client-ip": "10.0.0.1" }), 0);
+    }
+  });
+
+  it("can't be dodged with profiles or keys", async () => {
+    // profile and key tiers aren't limited
+    const rl = limiterWith({ ip: { rate: 1, burst: 2 } });
+    const h = { "x-nile-client-ip": "198.51.100.9" };
+    assert.equal(await send(rl, h, "/dns-query", "p1"), 0);
+    assert.equal(await send(rl, h, "/dns-query", "p2"), 0);
+    assert.equal(await send(rl, h, "/dns-query", "p3"), 1);
+    assert.equal(await send(rl, h, "/1:AAIAgA==:k1", "p4"), 1);
+  });
+
+  it("stack, and wait for the emptiest bucket", async () => {
+    const rl = limiterWith({
+      ip: { rate: 10, burst: 10 },
+      key: { rate: 0.5, burst: 1 },
+      profile: { rate: 0.25, burst: 2 },
+    });
+    const h = { "x-nile-client-ip": "198.51.100.9" };
+    const key = "/1:AAIAgA==:k1";
+    assert.equal(await send(rl, h, key, "p1"), 0);
+    // key's bucket is empty; profile's has 1 more
+    assert.equal(await send(rl, h, key, "p1"), 2);
+    // key's bucket is empty; so is profile's, which refills slower
+    assert.equal(await send(rl, h, key, "p1"), 4);
+    // another key and profile, from the same ip
+    assert.equal(await send(rl, h, "/1:AAIAgA==:k2", "p2"), 0);
+  });
+});
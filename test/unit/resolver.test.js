@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import * as dnsutil from "../../src/commons/dnsutil.js";
+import * as cacheutil from "../../src/plugins/cache-util.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+import { DnsCache } from "../../src/plugins/dns-op/cache.js";
+import { Forwarders } from "../../src/plugins/dns-op/forwarders.js";
+import { Prefetcher } from "../../src/plugins/dns-op/prefetcher.js";
+import DNSResolver from "../../src/plugins/dns-op/resolver.js";
+
+// blocklists are not needed to resolve names
+const noBlocklists = {
+  disabled: () => true,
+  isBlocklistFilterSetup: () => false,
+  getBlocklistFilter: () => null,
+  init: async () => null,
+};
+
+const realFetch = globalThis.fetch;
+const envs = [];
+
+/**
+ * @param {Object<string, string>} env - set until the test ends
+ * @returns {DNSResolver}
+ */
+function resolverWith(env = {}) {
+  for (const [k, v] of Object.entries(env)) {
+    process.env[k] = v;
+    envs.push(k);
+  }
+  const cache = new DnsCache(100);
+  return new DNSResolver(noBlocklists, cache, null, new Forwarders());
+}
+
+/**
+ * @param {string} name
+ * @param {string} type
+ * @returns {any} a dns query, decoded
+ */
+function query(name, type = "A") {
+  return {
+    id: 1,
+    type: "query",
+    flags: 1 << 8, // rd
+    questions: [{ name: name, type: type, class: "IN" }],
+  };
+}
+
+/**
+ * @param {any} q - a dns query, decoded
+ * @param {string[]} ips
+ * @param {int} ttl
+ * @returns {ArrayBuffer} an answer to q with ips
+ */
+function answerOf(q, ips, ttl = 300) {
+  const qn = q.questions[0];
+  return dnsutil.encode({
+    id: q.id,
+    type: "response",
+    flags: (1 << 8) | (1 << 7), // rd, ra
+    questions: q.questions,
+    answers: ips.map((ip) => {
+      return { name: qn.name, type: qn.type, class: "IN", ttl: ttl, data: ip };
+    }),
+  });
+}
+
+/**
+ * @param {any} q - a dns query, decoded
+ * @param {Array<Promise>} bg - tasks dispatched to the background
+ * @returns {any} ctx for DNSResolver.exec
+ */
+function ctxOf(q, bg = []) {
+  const raw = dnsutil.encode(q);
+  return {
+    rxid: "[rx.test]",
+    request: new Request("https://localhost/dns-query", {
+      method: "POST",
+      body: raw,
+    }),
+    requestBodyBuffer: raw,
+    requestDecodedDnsPacket: q,
+    userBlocklistInfo: new pres.BlockstampInfo(),
+    userDnsResolverUrl: "",
+    userBlockstamp: "",
+    dispatcher: (p) => bg.push(p),
+  };
+}
+
+/**
+ * Caches an answer to q with ips, that expires in secs (or, if negative,
+ * that expired secs ago).
+ * @param {DNSResolver} r
+ * @param {any} q
+ * @param {string[]} ips
+ * @param {int} secs
+ * @param {int} ttl - of the answer
+ */
+async function cacheAnswer(r, q, ips, secs, ttl = 300) {
+  const ans = answerOf(q, ips, ttl);
+  const v = cacheutil.cacheValueOf(
+    pres.dnsResponse(dnsutil.decode(ans), ans, null)
+  );
+  v.metadata.expiry = Date.now() + secs * 1000;
+  await r.cache.put(cacheutil.makeHttpCacheKey(q), v, () => {});
+}
+
+/**
+ * Replaces fetch with doh upstreams that answer with ips after ms; or,
+ * if ips is null, fail after ms.
+ * @param {string[]?} ips
+ * @param {int} ms
+ */
+function upstreamsAnswer(ips, ms = 0) {
+  globalThis.fetch = async (req) => {
+    const q = dnsutil.decode(await req.arrayBuffer());
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    if (ips == null) throw new Error("upstream unreachable");
+    return new Response(answerOf(q, ips));
+  };
+}
+
+/**
+ * @param {pres.RespData} data
+ * @returns {string[]}
+ */
+function ipsOf(data) {
+  return data.dnsPacket.answers.map((a) => a.data);
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const k of envs.splice(0)) delete process.env[k];
+});
+
+describe("serve stale", () => {
+  it("is off by default", async () => {
+    const r = resolverWith();
+    const q = query("stale.example");
+    await cacheAnswer(r, q, ["192.0.2.1"], -10);
+    upstreamsAnswer(null);
+    const res = await r.exec(ctxOf(q));
+    assert.equal(res.isException, true);
+    assert.equal(r.stalestats.tot, 0);
+  });
+
+  it("answers from the cache when upstreams fail", async () => {
+    const r = resolverWith({ SERVE_STALE_SECS: "60" });
+    const q = query("stale.example");
+    await cacheAnswer(r, q, ["192.0.2.1"], -10);
+    upstreamsAnswer(null);
+    const res = await r.exec(ctxOf(q));
+    assert.equal(res.isException, false);
+    assert.deepEqual(ipsOf(res.data), ["192.0.2.1"]);
+    assert.ok(res.data.dnsPacket.answers[0].ttl <= 30);
+    assert.deepEqual(r.stalestats, { tot: 1, served: 1, missed: 0 });
+  });
+
+  it("does not answer with answers older than SERVE_STALE_SECS", async () => {
+    const r = resolverWith({ SERVE_STALE_SECS: "60" });
+    const q = query("stale.example");
+    await cacheAnswer(r, q, ["192.0.2.1"], -120);
+    upstreamsAnswer(null);
+    const res = await r.exec(ctxOf(q));
+    assert.equal(res.isException, true);
+    assert.deepEqual(r.stalestats, { tot: 1, served: 0, missed: 1 });
+  });
+
+  it("answers slow queries from the cache, and refreshes it", async () => {
+    const r = resolverWith({
+      SERVE_STALE_SECS: "60",
+      SERVE_STALE_AFTER_MS: "20",
+    });
+    const q = query("slow.example");
+    await cacheAnswer(r, q, ["192.0.2.1"], -10);
+    upstreamsAnswer(["192.0.2.2"], 100);
+    const bg = [];
+    const res = await r.exec(ctxOf(q, bg));
+    assert.deepEqual(ipsOf(res.data), ["192.0.2.1"]);
+
+    await Promise.all(bg);
+    const cr = await r.cache.get(cacheutil.makeHttpCacheKey(q));
+    assert.deepEqual(ipsOf(cr), ["192.0.2.2"]);
+  });
+
+  it("is tried once per query, even if slow upstreams then fail", async () => {
+    const r = resolverWith({
+      SERVE_STALE_SECS: "60",
+      SERVE_STALE_AFTER_MS: "20",
+    });
+    upstreamsAnswer(null, 60);
+    const res = await r.exec(ctxOf(query("nothing.example")));
+    assert.equal(res.isException, true);
+    assert.deepEqual(r.stalestats, { tot: 1, served: 0, missed: 1 });
+  });
+});
+
+describe("prefetch", () => {
+  const env = { PREFETCH_PERCENT: "10", PREFETCH_MIN_HITS: "2" };
+
+  it("is off by default", () => {
+    const p = new Prefetcher(null, resolverWith());
+    assert.equal(p.pct, 0);
+  });
+
+  it("refreshes popular answers about to expire", async () => {
+    const r = resolverWith(env);
+    const p = new Prefetcher(r.cache, r);
+    const q = query("popular.example");
+    const k = cacheutil.makeHttpCacheKey(q);
+    // 5s of 100s left, which is within 10% of its ttl
+    const cacheTtl = Number(process.env.CACHE_TTL || 1800);
+    await cacheAnswer(r, q, ["192.0.2.1"], cacheTtl + 5, 100);
+    upstreamsAnswer(["192.0.2.2"]);
+
+    const bg = [];
+    const ctx = ctxOf(q, bg);
+    // not yet popular enough
+    p.maybePrefetch("[rx.test]", k, await r.cache.get(k), ctx);
+    assert.equal(bg.length, 0);
+    p.maybePrefetch("[rx.test]", k, await r.cache.get(k), ctx);
+    assert.equal(bg.length, 1);
+
+    await Promise.all(bg);
+    assert.deepEqual(p.stats, { tot: 1, ok: 1, fail: 0 });
+    assert.deepEqual(ipsOf(await r.cache.get(k)), ["192.0.2.2"]);
+    assert.equal(p.pending.size, 0);
+  });
+
+  it("schedules refreshes of answers not yet due", async () => {
+    const r = resolverWith(env);
+    const p = new Prefetcher(r.cache, r);
+    const q = query("later.example");
+    const k = cacheutil.makeHttpCacheKey(q);
+    await cacheAnswer(r, q, ["192.0.2.1"], 3600, 3600);
+
+    const bg = [];
+    p.maybePrefetch("[rx.test]", k, await r.cache.get(k), ctxOf(q, bg));
+    p.maybePrefetch("[rx.test]", k, await r.cache.get(k), ctxOf(q, bg));
+    assert.equal(bg.length, 0);
+    assert.notEqual(p.pending.get(k.href), null);
+    p.close();
+    assert.equal(p.pending.size, 0);
+  });
+
+  it("keeps cached answers, if upstreams answer servfail", async () => {
+    const r = resolverWith(env);
+    const p = new Prefetcher(r.cache, r);
+    const q = query("flaky.example");
+    const k = cacheutil.makeHttpCacheKey(q);
+    globalThis.fetch = async () =>
+      new Response(dnsutil.servfail(1, q.questions));
+
+    const ctx = ctxOf(q);
+    await cacheAnswer(r, q, ["192.0.2.1"], 60);
+    await p.refresh("[rx.test]", k, ctx);
+    assert.deepEqual(p.stats, { tot: 1, ok: 0, fail: 1 });
+    assert.deepEqual(ipsOf(await r.cache.get(k)), ["192.0.2.1"]);
+  });
+});
+
+describe("rebind protection", () => {
+  // names under .example are not delegated, and so, exempt
+  const mixed = ["10.1.2.3", "192.0.2.1"];
+
+  it("is off by default", async () => {
+    const r = resolverWith();
+    upstreamsAnswer(mixed);
+    const res = await r.exec(ctxOf(query("mixed.rethinkdns.com")));
+    assert.deepEqual(ipsOf(res.data), mixed);
+  });
+
+  it("strips private ips from answers", async () => {
+    const r = resolverWith({ REBIND_PROTECTION: "strip" });
+    upstreamsAnswer(mixed);
+    const q = query("mixed.rethinkdns.com");
+    const res = await r.exec(ctxOf(q));
+    assert.deepEqual(ipsOf(res.data), ["192.0.2.1"]);
+    assert.equal(r.rebind.stats.stripped, 1);
+    // but caches answers as-is
+    const cr = await r.cache.get(cacheutil.makeHttpCacheKey(q));
+    assert.deepEqual(ipsOf(cr), mixed);
+  });
+
+  it("blocks answers with private ips", async () => {
+    const r = resolverWith({ REBIND_PROTECTION: "block" });
+    upstreamsAnswer(mixed);
+    const res = await r.exec(ctxOf(query("mixed.rethinkdns.com")));
+    assert.equal(res.data.isBlocked, true);
+    assert.equal(r.rebind.stats.blocked, 1);
+  });
+
+  it("lets clients choose the mode", async () => {
+    const r = resolverWith({ REBIND_PROTECTION: "block" });
+    upstreamsAnswer(mixed);
+    const ctx = ctxOf(query("mixed.rethinkdns.com"));
+    ctx.userRebindMode = "strip";
+    const res = await r.exec(ctx);
+    assert.deepEqual(ipsOf(res.data), ["192.0.2.1"]);
+  });
+
+  it("exempts names that are not delegated", async () => {
+    const r = resolverWith({ REBIND_PROTECTION: "strip" });
+    upstreamsAnswer(mixed);
+    const res = await r.exec(ctxOf(query("router.lan")));
+    assert.deepEqual(ipsOf(res.data), mixed);
+  });
+
+  it("strips private ips from stale answers, too", async () => {
+    const r = resolverWith({
+      REBIND_PROTECTION: "strip",
+      SERVE_STALE_SECS: "60",
+    });
+    const q = query("stale.rethinkdns.com");
+    await cacheAnswer(r, q, mixed, -10);
+    upstreamsAnswer(null);
+    const res = await r.exec(ctxOf(q));
+    assert.equal(r.stalestats.served, 1);
+    assert.deepEqual(ipsOf(res.data), ["192.0.2.1"]);
+  });
+});
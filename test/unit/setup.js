@@ -0,0 +1,15 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// sets up env and log the way core/node/config.js does, sans the rest of
+// it (blocklists, tls certs, transports); must be imported before src/
+import EnvManager from "../../src/core/env.js";
+import Log from "../../src/core/log.js";
+
+globalThis.envManager = new EnvManager();
+globalThis.log = new Log({ level: process.env.LOG_LEVEL || "error" });
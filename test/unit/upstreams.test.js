@@ -0,0 +1,250 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  HedgedFetch,
+  UpstreamHealth,
+  firstAnswer,
+} from "../../src/plugins/dns-op/upstreams.js";
+
+const a = "https://a.example/dns-query";
+const b = "https://b.example/dns-query";
+const c = "https://c.example/dns-query";
+
+describe("upstream health", () => {
+  it("keeps the configured order sans stats", () => {
+    const uh = new UpstreamHealth(3);
+    assert.deepEqual(uh.rank([a, b, c]), [a, b, c]);
+  });
+
+  it("ranks faster upstreams first", () => {
+    const uh = new UpstreamHealth(3);
+    for (let i = 0; i < 8; i++) {
+      uh.record(a, true, 300);
+      uh.record(b, true, 20);
+      uh.record(c, true, 100);
+    }
+    assert.deepEqual(uh.rank([a, b, c]).slice(0, 3), [b, c, a]);
+  });
+
+  it("ranks flaky upstreams below slower ones", () => {
+    const uh = new UpstreamHealth(2);
+    // a fails 2 in 3, but never thrice in a row (and so, is never down)
+    for (let i = 0; i < 24; i++) {
+      uh.record(a, i % 3 === 2, 20);
+      uh.record(b, true, 40);
+    }
+    assert.equal(uh.rank([a, b])[0], b);
+  });
+
+  it("skips upstreams that are down, but for probes", () => {
+    const uh = new UpstreamHealth(1);
+    uh.record(b, true, 50);
+    for (let i = 0; i < 3; i++) uh.record(a, false, 10);
+    assert.equal(uh.of(a).down(), true);
+    assert.equal(uh.rank([a, b])[0], b);
+    assert.equal(uh.rank([a, b]).includes(a), false);
+
+    // once cooled down, exactly one query probes a
+    uh.of(a).lastErrorAt -= 60000;
+    const picks = uh.rank([a, b]);
+    assert.equal(picks[0], b);
+    assert.equal(picks.includes(a), true);
+    assert.equal(uh.rank([a, b]).includes(a), false);
+
+    uh.record(a, true, 10);
+    assert.equal(uh.of(a).down(), false);
+  });
+
+  it("picks the least bad, if all are down", () => {
+    const uh = new UpstreamHealth(1);
+    for (let i = 0; i < 4; i++) uh.record(a, false, 10);
+    for (let i = 0; i < 3; i++) uh.record(b, false, 10);
+    assert.equal(uh.rank([a, b])[0], b);
+  });
+});
+
+describe("hedged fetch", () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => (globalThis.fetch = realFetch));
+
+  it("sends to the next upstream only once the delay is up", async () => {
+    const sent = fakeUpstreams({ [a]: [20, ok], [b]: [20, ok] });
+    const res = await hedge([a, b], 200).start();
+    assert.equal(res.ok, true);
+    assert.deepEqual(urlsOf(sent), [a]);
+  });
+
+  it("hedges slow upstreams, and aborts the losers", async () => {
+    const sent = fakeUpstreams({ [a]: [1000, ok], [b]: [20, ok] });
+    const res = await hedge([a, b], 50).start();
+    assert.equal(res.ok, true);
+    assert.deepEqual(urlsOf(sent), [a, b]);
+    assert.ok(sent[1].at - sent[0].at >= 40);
+    assert.equal(sent[0].req.signal.aborted, true);
+  });
+
+  it("counts the delay from the most recent launch", async () => {
+    // a fails fast, and so, b is sent to right away, and c only after
+    // b hasn't answered within the delay
+    const sent = fakeUpstreams({
+      [a]: [10, httperr(502)],
+      [b]: [1000, ok],
+      [c]: [20, ok],
+    });
+    const res = await hedge([a, b, c], 150).start();
+    assert.equal(res.ok, true);
+    assert.deepEqual(urlsOf(sent), [a, b, c]);
+    assert.ok(sent[1].at - sent[0].at < 100);
+    assert.ok(sent[2].at - sent[1].at >= 140);
+  });
+
+  it("responds with the last failure, if all fail", async () => {
+    fakeUpstreams({ [a]: [10, httperr(502)], [b]: [20, httperr(502)] });
+    const res = await hedge([a, b], 100).start();
+    assert.equal(res.status, 502);
+  });
+});
+
+describe("servfail and refused answers", () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => (globalThis.fetch = realFetch));
+
+  it("count against the health of upstreams", async () => {
+    const uh = new UpstreamHealth(2);
+    for (let i = 0; i < 3; i++) {
+      await uh.measure(a, Promise.resolve(answer(servfail)));
+      await uh.measure(b, Promise.resolve(ok()));
+    }
+    assert.equal(uh.of(a).down(), true);
+    assert.equal(uh.of(b).down(), false);
+    assert.equal(uh.rank([a, b])[0], b);
+  });
+
+  it("lose races to ok answers", async () => {
+    const [res, isok, rcodes] = await firstAnswer([
+      delayed(5, answer(servfail)),
+      delayed(10, httperr(502)()),
+      delayed(20, ok()),
+    ]);
+    assert.equal(isok, true);
+    assert.equal(rcodeOf(await res.arrayBuffer()), 0);
+    assert.deepEqual(rcodes, ["SERVFAIL"]);
+  });
+
+  it("win races over http errors, if none answer ok", async () => {
+    const [res, isok, rcodes] = await firstAnswer([
+      delayed(5, httperr(502)()),
+      delayed(10, answer(refused)),
+      Promise.reject(new Error("unreachable")),
+    ]);
+    assert.equal(isok, false);
+    assert.equal(rcodeOf(await res.arrayBuffer()), refused);
+    assert.deepEqual(rcodes, ["REFUSED"]);
+  });
+
+  it("have hedges move on to the next upstream right away", async () => {
+    const sent = fakeUpstreams({
+      [a]: [10, () => answer(servfail)],
+      [b]: [10, ok],
+    });
+    const hf = hedge([a, b], 1000);
+    const res = await hf.start();
+    assert.equal(rcodeOf(await res.arrayBuffer()), 0);
+    assert.ok(sent[1].at - sent[0].at < 500);
+    assert.deepEqual(hf.rcodes, ["SERVFAIL"]);
+  });
+});
+
+const servfail = 2;
+const refused = 5;
+
+/**
+ * @param {string[]} urls
+ * @param {number} delayMs
+ * @returns {HedgedFetch}
+ */
+function hedge(urls, delayMs) {
+  const reqs = urls.map((u) => [u, new Request(u, { method: "POST" })]);
+  return new HedgedFetch(new UpstreamHealth(urls.length), reqs, delayMs);
+}
+
+/**
+ * Replaces fetch with upstreams that respond after ms.
+ * @param {Object<string, [number, function():Response]>} plan - by url
+ * @returns {Array<{req: Request, at: number}>} requests, as they are sent
+ */
+function fakeUpstreams(plan) {
+  const sent = [];
+  globalThis.fetch = (req) => {
+    sent.push({ req: req, at: Date.now() });
+    const [ms, respond] = plan[req.url];
+    return new Promise((resolve, reject) => {
+      const tid = setTimeout(() => resolve(respond()), ms);
+      req.signal.addEventListener("abort", () => {
+        clearTimeout(tid);
+        reject(new DOMException("aborted", "AbortError"));
+      });
+    });
+  };
+  return sent;
+}
+
+/**
+ * @param {Array<{req: Request}>} sent
+ * @returns {string[]}
+ */
+function urlsOf(sent) {
+  return sent.map((s) => s.req.url);
+}
+
+/**
+ * @returns {Response} a dns answer (header only)
+ */
+function ok() {
+  return answer(0);
+}
+
+/**
+ * @param {number} rcode
+ * @returns {Response} a dns answer (header only) with rcode
+ */
+function answer(rcode) {
+  const h = new Uint8Array(12);
+  h[2] = 0x81; // response, rd
+  h[3] = 0x80 | rcode; // ra
+  return new Response(h, { headers: { "content-type": "dns-message" } });
+}
+
+/**
+ * @param {ArrayBuffer} ab - a dns answer
+ * @returns {number}
+ */
+function rcodeOf(ab) {
+  return new Uint8Array(ab)[3] & 0xf;
+}
+
+/**
+ * @param {number} ms
+ * @param {Response} res
+ * @returns {Promise<Response>}
+ */
+function delayed(ms, res) {
+  return new Promise((resolve) => setTimeout(() => resolve(res), ms));
+}
+
+/**
+ * @param {number} status
+ * @returns {function():Response}
+ */
+function httperr(status) {
+  return () => new Response(null, { status: status });
+}
@@ -0,0 +1,85 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { tagsToFlags } from "@serverless-dns/trie/stamp.js";
+import * as pres from "../../src/plugins/plugin-response.js";
+import * as rdnsutil from "../../src/plugins/rdns-util.js";
+import { UserRules } from "../../src/plugins/users/user-rules.js";
+import { UserStore } from "../../src/plugins/users/user-store.js";
+
+/**
+ * @param {UserRules?} rules
+ * @returns {pres.BlockstampInfo} a user with blocklist 1, and rules
+ */
+function userWith(rules) {
+  const b = new pres.BlockstampInfo();
+  b.flagVersion = "1";
+  b.userBlocklistFlagUint = tagsToFlags(["1"]);
+  b.userRules = rules;
+  return b;
+}
+
+describe("user rules", () => {
+  afterEach(() => delete process.env.USER_RULES);
+
+  it("match names and their subdomains; wildcards, only subdomains", () => {
+    const r = new UserRules(["cdn.example.com"], ["*.ads.example.org"]);
+    assert.equal(r.verdict("cdn.example.com"), "allow");
+    assert.equal(r.verdict("a.cdn.example.com"), "allow");
+    assert.equal(r.verdict("example.com"), "");
+    assert.equal(r.verdict("x.ads.example.org"), "deny");
+    assert.equal(r.verdict("ads.example.org"), "");
+  });
+
+  it("let the more specific entry win; an allow, if equally specific", () => {
+    const r = new UserRules(
+      ["ok.tracker.example", "both.example"],
+      ["tracker.example", "both.example"]
+    );
+    assert.equal(r.verdict("x.tracker.example"), "deny");
+    assert.equal(r.verdict("x.ok.tracker.example"), "allow");
+    assert.equal(r.verdict("both.example"), "allow");
+    assert.deepEqual(r.toJSON(), {
+      allow: ["ok.tracker.example", "both.example"],
+      deny: ["tracker.example", "both.example"],
+    });
+  });
+
+  it("win over blocklists", () => {
+    const blocked = { "ads.example": tagsToFlags(["1"]) };
+    const r = new UserRules(["ads.example"], ["fine.example"]);
+    assert.equal(
+      rdnsutil.doBlock("ads.example", userWith(null), blocked).isBlocked,
+      true
+    );
+    assert.equal(
+      rdnsutil.doBlock("ads.example", userWith(r), blocked).isBlocked,
+      false
+    );
+    assert.equal(
+      rdnsutil.doBlock("fine.example", userWith(r), {}).isBlocked,
+      true
+    );
+  });
+
+  it("are loaded from env, by access key", async () => {
+    process.env.USER_RULES = JSON.stringify({
+      k1: { allow: ["a.example"] },
+      k2: { deny: ["b.example"] },
+      k3: null,
+    });
+    const store = new UserStore();
+    assert.equal(store.rules.size, 2);
+    assert.equal((await store.rulesOf("k2")).verdict("b.example"), "deny");
+    assert.equal(await store.rulesOf("k3"), null);
+    assert.equal(store.load("{not json"), 0);
+  });
+});
@@ -0,0 +1,37 @@
+/*
+ * Copyright (c) 2023 RethinkDNS and its authors.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+import "./setup.js";
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as util from "../../src/commons/util.js";
+import * as nodeutil from "../../src/core/node/util.js";
+
+describe("client ips", () => {
+  it("are sent in a header, if known", () => {
+    assert.deepEqual(util.clientIpHeader("192.0.2.1"), {
+      "x-nile-client-ip": "192.0.2.1",
+    });
+    assert.equal(util.clientIpHeader(""), null);
+    const h = util.concatHeaders(
+      util.dnsHeaders(),
+      util.clientIpHeader("2001:db8::1")
+    );
+    assert.equal(h["x-nile-client-ip"], "2001:db8::1");
+  });
+
+  it("are not taken from clients' requests", () => {
+    const h = nodeutil.copyNonPseudoHeaders({
+      ":method": "GET",
+      ":path": "/dns-query",
+      "accept": "application/dns-message",
+      "x-nile-client-ip": "203.0.113.9",
+    });
+    assert.deepEqual(h, { accept: "application/dns-message" });
+  });
+});